@@ -11,6 +11,18 @@ class AuthService {
         localStorage.removeItem('cromwell_token');
     }
     
+    static getRefreshToken() {
+        return localStorage.getItem('cromwell_refresh_token');
+    }
+    
+    static setRefreshToken(token) {
+        if (token) localStorage.setItem('cromwell_refresh_token', token);
+    }
+    
+    static removeRefreshToken() {
+        localStorage.removeItem('cromwell_refresh_token');
+    }
+    
     static getUser() {
         const user = localStorage.getItem('cromwell_user');
         return user ? JSON.parse(user) : null;
@@ -28,22 +40,105 @@ class AuthService {
         return !!this.getToken();
     }
     
-    static logout() {
+    static clear() {
         this.removeToken();
+        this.removeRefreshToken();
         this.removeUser();
+    }
+    
+    static async logout() {
+        const token = this.getToken();
+        
+        // Revoke the session server-side; clear locally even if that fails
+        if (token) {
+            try {
+                await fetch('/api/logout', {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                });
+            } catch (error) {
+                console.error('Logout request failed:', error);
+            }
+        }
+        
+        this.clear();
         window.location.href = '/login';
     }
     
+    // Get a new token pair. Concurrent callers share one refresh because
+    // refresh tokens are single-use.
+    static refresh() {
+        if (this.refreshing) return this.refreshing;
+        
+        const refreshToken = this.getRefreshToken();
+        if (!refreshToken) return Promise.resolve(false);
+        
+        this.refreshing = (async () => {
+            try {
+                const response = await fetch('/api/token/refresh', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ refreshToken })
+                });
+                
+                const data = await response.json();
+                if (data.success) {
+                    this.setToken(data.token);
+                    this.setRefreshToken(data.refreshToken);
+                    return true;
+                }
+            } catch (error) {
+                console.error('Token refresh failed:', error);
+            } finally {
+                this.refreshing = null;
+            }
+            return false;
+        })();
+        
+        return this.refreshing;
+    }
+    
+    // A 401 asking to confirm the operation (password or 2FA code) is not an
+    // expired session and is left to the caller
+    static async isSessionError(response) {
+        if (response.status !== 401) return false;
+        const data = await response.clone().json().catch(() => ({}));
+        return data.code !== 'STEP_UP_REQUIRED';
+    }
+    
+    // fetch with the current token; on 401 refresh once and retry
+    static async fetch(url, options = {}) {
+        const send = () => fetch(url, {
+            ...options,
+            headers: {
+                ...options.headers,
+                'Authorization': `Bearer ${this.getToken()}`
+            }
+        });
+        
+        let response = await send();
+        
+        if (await this.isSessionError(response) && await this.refresh()) {
+            response = await send();
+        }
+        
+        if (await this.isSessionError(response)) {
+            this.clear();
+            window.location.href = '/login';
+        }
+        
+        return response;
+    }
+    
     static async verifyToken() {
-        const token = this.getToken();
-        if (!token) return false;
+        if (!this.getToken()) return false;
         
         try {
-            const response = await fetch('/api/verify-token', {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
+            const response = await this.fetch('/api/verify-token');
             
             if (response.ok) {
                 const data = await response.json();
@@ -56,7 +151,8 @@ class AuthService {
             console.error('Token verification failed:', error);
         }
         
-        this.logout();
+        this.clear();
+        window.location.href = '/login';
         return false;
     }
 }
@@ -0,0 +1,787 @@
+-- ============================================
+-- CROMWELL PAY - ESQUEMA DE BASE DE DATOS (Supabase / Postgres)
+-- Ejecutar en el SQL Editor de Supabase. Es idempotente.
+-- ============================================
+
+-- ========== LEDGER DE MOVIMIENTOS ==========
+-- Cada cambio de CWT/CWS es una entrada inmutable. El saldo de `profiles`
+-- se concilia contra la suma de estas entradas.
+create table if not exists transactions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references profiles(id) on delete cascade,
+    currency text not null check (currency in ('CWT', 'CWS')),
+    amount numeric(18, 4) not null check (amount <> 0),
+    balance_after numeric(18, 4) not null check (balance_after >= 0),
+    type text not null,
+    actor_id uuid references profiles(id),
+    reason text not null default '',
+    reference text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists transactions_user_created_idx
+    on transactions (user_id, created_at desc);
+
+-- Solo se permite insertar: ni UPDATE ni DELETE sobre el ledger
+create or replace function transactions_append_only() returns trigger as $$
+begin
+    raise exception 'transactions es de solo inserción';
+end;
+$$ language plpgsql;
+
+drop trigger if exists transactions_no_update on transactions;
+create trigger transactions_no_update
+    before update or delete on transactions
+    for each row execute function transactions_append_only();
+
+-- Saldo de apertura para los perfiles que ya tenían saldo antes del ledger
+insert into transactions (user_id, currency, amount, balance_after, type, reason)
+select p.id, 'CWT', p.cwt, p.cwt, 'opening_balance', 'Saldo existente al activar el ledger'
+from profiles p
+where coalesce(p.cwt, 0) > 0
+  and not exists (select 1 from transactions t where t.user_id = p.id and t.currency = 'CWT');
+
+insert into transactions (user_id, currency, amount, balance_after, type, reason)
+select p.id, 'CWS', p.cws, p.cws, 'opening_balance', 'Saldo existente al activar el ledger'
+from profiles p
+where coalesce(p.cws, 0) > 0
+  and not exists (select 1 from transactions t where t.user_id = p.id and t.currency = 'CWS');
+
+-- ========== MOVIMIENTOS ATÓMICOS ==========
+-- Total neto que ha salido de la cuenta en p_currency desde p_desde. Cuentan
+-- canjes, transferencias enviadas y pagos; sus devoluciones restan. Es la única
+-- lista de tipos con límite: server.js también la consulta por rpc.
+create or replace function salidas_desde(p_user_id uuid, p_currency text, p_desde timestamptz)
+returns numeric as $$
+    select greatest(-coalesce(sum(amount), 0), 0)
+    from transactions
+    where user_id = p_user_id
+      and currency = p_currency
+      and type in ('redemption_hold', 'redemption_release', 'transfer_out', 'payment', 'payment_refund')
+      and created_at >= p_desde;
+$$ language sql stable;
+
+-- Aplica una lista de movimientos en una sola transacción: bloquea los perfiles
+-- implicados (en orden de id para evitar deadlocks), valida saldo, saldo esperado
+-- y límites de salida, actualiza profiles e inserta en el ledger. Si uno falla,
+-- no se aplica ninguno. Los límites se suman con el perfil ya bloqueado, así dos
+-- salidas simultáneas no pueden superarlos entre las dos.
+-- Cada elemento: { user_id, currency, amount, type, actor_id?, reason?, reference?,
+--                  expected_balance?, daily_limit?, monthly_limit? }
+create or replace function aplicar_movimientos(p_movimientos jsonb)
+returns setof transactions as $$
+declare
+    v_item jsonb;
+    v_user_id uuid;
+    v_currency text;
+    v_amount numeric;
+    v_saldo numeric;
+    v_nuevo numeric;
+    v_llevas numeric;
+    v_mov transactions;
+begin
+    perform 1 from profiles
+    where id in (select (e->>'user_id')::uuid from jsonb_array_elements(p_movimientos) e)
+    order by id
+    for update;
+
+    for v_item in select * from jsonb_array_elements(p_movimientos) loop
+        v_user_id := (v_item->>'user_id')::uuid;
+        v_currency := v_item->>'currency';
+        v_amount := (v_item->>'amount')::numeric;
+
+        if v_currency not in ('CWT', 'CWS') then
+            raise exception 'Moneda inválida' using errcode = '22023';
+        end if;
+
+        select case when v_currency = 'CWT' then coalesce(cwt, 0) else coalesce(cws, 0) end
+        into v_saldo
+        from profiles
+        where id = v_user_id;
+
+        if not found then
+            raise exception 'Usuario no encontrado' using errcode = 'P0002';
+        end if;
+
+        if v_item ? 'expected_balance' and (v_item->>'expected_balance')::numeric <> v_saldo then
+            raise exception 'El saldo % cambió mientras se editaba', v_currency using errcode = '40001';
+        end if;
+
+        v_nuevo := v_saldo + v_amount;
+
+        if v_nuevo < 0 then
+            raise exception 'Saldo % insuficiente', v_currency using errcode = '23514';
+        end if;
+
+        if v_amount < 0 and v_item ? 'daily_limit' then
+            v_llevas := salidas_desde(v_user_id, v_currency, date_trunc('day', now(), 'UTC'));
+
+            if v_llevas - v_amount > (v_item->>'daily_limit')::numeric then
+                raise exception 'Superas tu límite diario de % % (hoy llevas %)',
+                    v_item->>'daily_limit', v_currency, trim_scale(v_llevas) using errcode = '54000';
+            end if;
+        end if;
+
+        if v_amount < 0 and v_item ? 'monthly_limit' then
+            v_llevas := salidas_desde(v_user_id, v_currency, date_trunc('month', now(), 'UTC'));
+
+            if v_llevas - v_amount > (v_item->>'monthly_limit')::numeric then
+                raise exception 'Superas tu límite mensual de % % (este mes llevas %)',
+                    v_item->>'monthly_limit', v_currency, trim_scale(v_llevas) using errcode = '54000';
+            end if;
+        end if;
+
+        update profiles
+        set cwt = case when v_currency = 'CWT' then v_nuevo else cwt end,
+            cws = case when v_currency = 'CWS' then v_nuevo else cws end
+        where id = v_user_id;
+
+        insert into transactions (user_id, currency, amount, balance_after, type, actor_id, reason, reference)
+        values (
+            v_user_id,
+            v_currency,
+            v_amount,
+            v_nuevo,
+            v_item->>'type',
+            (v_item->>'actor_id')::uuid,
+            coalesce(v_item->>'reason', ''),
+            v_item->>'reference'
+        )
+        returning * into v_mov;
+
+        return next v_mov;
+    end loop;
+end;
+$$ language plpgsql;
+
+-- ========== CLAVES DE IDEMPOTENCIA ==========
+-- Guarda la respuesta de cada petición con cabecera Idempotency-Key para
+-- devolverla tal cual si el cliente reintenta.
+create table if not exists idempotency_keys (
+    actor_id uuid not null,
+    key text not null,
+    route text not null,
+    request_hash text not null,
+    status_code integer,
+    response jsonb,
+    created_at timestamptz not null default now(),
+    completed_at timestamptz,
+    primary key (actor_id, key)
+);
+
+-- ========== DEPÓSITOS USDT BEP20 ==========
+create table if not exists deposits (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references profiles(id) on delete cascade,
+    tx_hash text not null,
+    amount_usdt numeric(18, 4) not null check (amount_usdt > 0),
+    received_usdt numeric(18, 4),
+    cwt_amount numeric(18, 4),
+    from_address text,
+    confirmations integer not null default 0,
+    status text not null default 'pending' check (status in ('pending', 'credited', 'rejected')),
+    error text,
+    transaction_id uuid references transactions(id),
+    created_at timestamptz not null default now(),
+    checked_at timestamptz,
+    credited_at timestamptz
+);
+
+-- Un hash solo puede acreditarse una vez; los rechazados se pueden volver a reportar
+create unique index if not exists deposits_tx_hash_idx
+    on deposits (lower(tx_hash)) where status <> 'rejected';
+
+create index if not exists deposits_status_idx on deposits (status, created_at);
+
+-- Los depósitos se asignan por la wallet de origen: cada wallet en una sola cuenta.
+-- Si ya hay repetidas se queda con ella el perfil más antiguo.
+update profiles p
+set wallet_address = ''
+where p.wallet_address <> ''
+  and exists (
+      select 1 from profiles o
+      where lower(o.wallet_address) = lower(p.wallet_address)
+        and (o.created_at, o.id) < (p.created_at, p.id)
+  );
+
+create unique index if not exists profiles_wallet_address_idx
+    on profiles (lower(wallet_address)) where wallet_address <> '';
+
+-- ========== NOTIFICACIONES ==========
+create table if not exists notifications (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references profiles(id) on delete cascade,
+    type text not null default 'info',
+    title text not null,
+    message text not null,
+    read boolean not null default false,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_created_idx
+    on notifications (user_id, created_at desc);
+
+-- ========== RECARGAS CON SALDO MÓVIL ==========
+-- Capturas en Storage (bucket privado): insert into storage.buckets (id, name) values ('topup-screenshots', 'topup-screenshots');
+create table if not exists topups (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references profiles(id) on delete cascade,
+    amount_saldo integer not null check (amount_saldo > 0),
+    sender_phone text not null,
+    reference text not null default '',
+    screenshot_path text,
+    status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+    cws_amount integer,
+    transaction_id uuid references transactions(id),
+    reviewed_by uuid references profiles(id),
+    reviewed_at timestamptz,
+    review_note text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists topups_status_idx on topups (status, created_at);
+
+-- ========== CANJES (CWT → USDT, CWS → RECARGA MÓVIL) ==========
+-- El saldo se retiene al crear la solicitud (movimiento redemption_hold) y se
+-- devuelve si se rechaza (redemption_release).
+create table if not exists redemptions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references profiles(id) on delete cascade,
+    currency text not null check (currency in ('CWT', 'CWS')),
+    amount numeric(18, 4) not null check (amount > 0),
+    destination text not null,
+    status text not null default 'pending' check (status in ('pending', 'paid', 'rejected')),
+    hold_transaction_id uuid references transactions(id),
+    release_transaction_id uuid references transactions(id),
+    payout_reference text,
+    reviewed_by uuid references profiles(id),
+    reviewed_at timestamptz,
+    review_note text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists redemptions_status_idx on redemptions (status, created_at);
+create index if not exists redemptions_user_idx on redemptions (user_id, created_at desc);
+
+-- ========== ROLES ==========
+-- profiles.role: user | support | finance | admin (superadmin). Los permisos de
+-- cada rol están en server.js (PERMISOS_POR_ROL).
+alter table profiles drop constraint if exists profiles_role_check;
+alter table profiles add constraint profiles_role_check
+    check (role in ('user', 'support', 'finance', 'admin'));
+
+-- ========== AUDITORÍA ==========
+create table if not exists audit_log (
+    id uuid primary key default gen_random_uuid(),
+    actor_id uuid references profiles(id),
+    action text not null,
+    method text,
+    route text,
+    status_code integer,
+    target_user_id uuid references profiles(id),
+    before jsonb,
+    after jsonb,
+    ip text,
+    user_agent text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_idx on audit_log (created_at desc);
+create index if not exists audit_log_target_idx on audit_log (target_user_id, created_at desc);
+
+create index if not exists audit_log_actor_idx on audit_log (actor_id, created_at desc);
+
+-- Para bases creadas con la primera versión de la tabla: añade status_code y quita
+-- el "on delete set null" de target_user_id (el trigger de abajo impide ese UPDATE)
+alter table audit_log add column if not exists status_code integer;
+alter table audit_log drop constraint if exists audit_log_target_user_id_fkey;
+alter table audit_log add constraint audit_log_target_user_id_fkey
+    foreign key (target_user_id) references profiles(id);
+
+-- El registro de auditoría tampoco se puede modificar ni borrar
+create or replace function audit_log_append_only() returns trigger as $$
+begin
+    raise exception 'audit_log es de solo inserción';
+end;
+$$ language plpgsql;
+
+drop trigger if exists audit_log_no_update on audit_log;
+create trigger audit_log_no_update
+    before update or delete on audit_log
+    for each row execute function audit_log_append_only();
+
+-- ========== LOGIN POR NICKNAME ==========
+-- El login resuelve nickname → email de auth con una sola consulta indexada.
+alter table profiles add column if not exists email text;
+
+update profiles p
+set email = u.email
+from auth.users u
+where u.id = p.id
+  and p.email is null;
+
+create unique index if not exists profiles_nickname_idx on profiles (nickname);
+
+-- ========== LÍMITES DE PETICIONES (RATE_LIMIT_STORE=supabase) ==========
+-- Solo se usan con varias instancias; con una, el servidor los guarda en memoria.
+create table if not exists rate_limit_hits (
+    key text not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_hits_key_idx on rate_limit_hits (key, created_at);
+
+create table if not exists auth_lockouts (
+    key text primary key,
+    nickname text,
+    failures integer not null default 0,
+    locked_until timestamptz,
+    last_ip text,
+    updated_at timestamptz not null default now()
+);
+
+-- Desafíos de login pendientes del segundo paso (2FA). session guarda los tokens
+-- de Supabase hasta que se verifica el código: tabla solo para el servidor.
+create table if not exists login_challenges (
+    id text primary key,
+    profile jsonb not null,
+    session jsonb not null,
+    attempts integer not null default 0,
+    expires_at timestamptz not null,
+    created_at timestamptz not null default now()
+);
+
+-- Limpieza de golpes y desafíos antiguos (programar con pg_cron o ejecutar a mano):
+-- delete from rate_limit_hits where created_at < now() - interval '1 day';
+-- delete from login_challenges where expires_at < now();
+
+-- ========== VERIFICACIÓN EN DOS PASOS (TOTP) ==========
+-- profiles solo guarda si está activada; el secreto y los hashes de los
+-- códigos de recuperación van aparte porque profiles se devuelve al cliente.
+alter table profiles add column if not exists two_factor_enabled boolean not null default false;
+
+create table if not exists user_totp (
+    user_id uuid primary key references profiles(id) on delete cascade,
+    secret text not null,
+    enabled boolean not null default false,
+    last_step bigint not null default 0,
+    recovery_codes text[] not null default '{}',
+    created_at timestamptz not null default now(),
+    enabled_at timestamptz
+);
+
+-- ========== CONTACTO Y CÓDIGOS DE UN SOLO USO ==========
+-- El email de auth es interno (@cromwellpay.local); el de contacto lo pone el usuario.
+alter table profiles add column if not exists contact_email text;
+alter table profiles add column if not exists email_verified boolean not null default false;
+alter table profiles add column if not exists phone_verified boolean not null default false;
+
+create table if not exists verification_codes (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references profiles(id) on delete cascade,
+    purpose text not null,
+    channel text not null check (channel in ('email', 'phone')),
+    destination text not null,
+    code_hash text not null,
+    attempts integer not null default 0,
+    expires_at timestamptz not null,
+    used_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists verification_codes_user_idx
+    on verification_codes (user_id, purpose, created_at desc);
+
+-- ========== VERIFICACIÓN DE CONTACTO ==========
+-- verified = email_verified or phone_verified (lo mantiene el servidor)
+alter table profiles add column if not exists verified boolean not null default false;
+
+-- ========== SESIONES ==========
+-- id = session_id del access token de Supabase. Una sesión revocada deja de
+-- valer en authenticateToken y en /api/token/refresh.
+create table if not exists user_sessions (
+    id uuid primary key,
+    user_id uuid not null references profiles(id) on delete cascade,
+    user_agent text,
+    ip text,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz not null default now(),
+    revoked_at timestamptz
+);
+
+create index if not exists user_sessions_user_idx on user_sessions (user_id, last_used_at desc);
+
+-- ========== TRANSFERENCIAS ==========
+-- id = tid del token de confirmación (una confirmación, una transferencia). Las
+-- filas sin debit_transaction_id son transferencias en curso o fallidas.
+create table if not exists transfers (
+    id uuid primary key,
+    sender_id uuid not null references profiles(id) on delete cascade,
+    recipient_id uuid not null references profiles(id) on delete cascade,
+    currency text not null check (currency in ('CWT', 'CWS')),
+    amount numeric(18, 4) not null check (amount > 0),
+    note text not null default '',
+    debit_transaction_id uuid references transactions(id),
+    credit_transaction_id uuid references transactions(id),
+    created_at timestamptz not null default now(),
+    check (sender_id <> recipient_id)
+);
+
+create index if not exists transfers_sender_idx on transfers (sender_id, created_at desc);
+create index if not exists transfers_recipient_idx on transfers (recipient_id, created_at desc);
+
+-- ========== TASAS Y COMISIONES ==========
+-- Versionadas: cada cambio es una fila nueva. Rige la de effective_from más
+-- reciente que ya haya llegado; las futuras quedan programadas.
+create table if not exists rates (
+    id uuid primary key default gen_random_uuid(),
+    usdt_unit numeric(18, 4) not null check (usdt_unit > 0),
+    usdt_to_cwt numeric(18, 4) not null check (usdt_to_cwt > 0),
+    min_usdt numeric(18, 4) not null check (min_usdt > 0),
+    deposit_fee_pct numeric(5, 2) not null default 0 check (deposit_fee_pct >= 0 and deposit_fee_pct < 100),
+    saldo_unit numeric(18, 4) not null check (saldo_unit > 0),
+    saldo_to_cws numeric(18, 4) not null check (saldo_to_cws > 0),
+    min_saldo numeric(18, 4) not null check (min_saldo > 0),
+    topup_fee_pct numeric(5, 2) not null default 0 check (topup_fee_pct >= 0 and topup_fee_pct < 100),
+    min_redeem_cwt numeric(18, 4) not null check (min_redeem_cwt > 0),
+    min_redeem_cws numeric(18, 4) not null check (min_redeem_cws > 0),
+    effective_from timestamptz not null default now(),
+    note text,
+    created_by uuid references profiles(id),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists rates_effective_idx on rates (effective_from desc);
+
+-- Versión inicial con los valores que estaban fijos en el código
+insert into rates (usdt_unit, usdt_to_cwt, min_usdt, saldo_unit, saldo_to_cws, min_saldo, min_redeem_cwt, min_redeem_cws, effective_from, note)
+select 5, 0.1, 5, 100, 10, 100, 1, 100, '2000-01-01', 'Tasas iniciales'
+where not exists (select 1 from rates);
+
+-- ========== COMERCIOS ==========
+-- owner_id es el perfil que recibe los cobros y paga las devoluciones
+create table if not exists merchants (
+    id uuid primary key default gen_random_uuid(),
+    owner_id uuid not null references profiles(id) on delete cascade,
+    name text not null unique,
+    status text not null default 'active' check (status in ('active', 'suspended')),
+    callback_url text,
+    created_at timestamptz not null default now()
+);
+
+-- Firma de los avisos (X-Cromwell-Signature). Los comercios existentes reciben
+-- uno al migrar; el panel lo muestra al crear el comercio o al rotarlo.
+alter table merchants add column if not exists callback_secret text not null
+    default ('whsec_' || replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''));
+
+-- Solo el sha256 de la clave; prefix sirve para reconocerla en el panel
+create table if not exists merchant_api_keys (
+    id uuid primary key default gen_random_uuid(),
+    merchant_id uuid not null references merchants(id) on delete cascade,
+    prefix text not null,
+    key_hash text not null unique,
+    label text,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    revoked_at timestamptz
+);
+
+create index if not exists merchant_api_keys_merchant_idx on merchant_api_keys (merchant_id);
+
+-- 'expired' no se guarda: es una solicitud 'pending' con expires_at vencido
+create table if not exists payment_requests (
+    id uuid primary key default gen_random_uuid(),
+    merchant_id uuid not null references merchants(id) on delete cascade,
+    currency text not null check (currency in ('CWT', 'CWS')),
+    amount numeric(18, 4) not null check (amount > 0),
+    description text not null,
+    reference text,
+    callback_url text,
+    status text not null default 'pending' check (status in ('pending', 'paid', 'refunded', 'cancelled')),
+    expires_at timestamptz not null,
+    payer_id uuid references profiles(id),
+    paid_at timestamptz,
+    refunded_amount numeric(18, 4) not null default 0 check (refunded_amount >= 0 and refunded_amount <= amount),
+    debit_transaction_id uuid references transactions(id),
+    credit_transaction_id uuid references transactions(id),
+    created_at timestamptz not null default now()
+);
+
+-- La referencia del comercio hace idempotente la creación
+create unique index if not exists payment_requests_reference_idx
+    on payment_requests (merchant_id, reference) where reference is not null;
+create index if not exists payment_requests_merchant_idx on payment_requests (merchant_id, created_at desc);
+
+create table if not exists payment_refunds (
+    id uuid primary key default gen_random_uuid(),
+    payment_id uuid not null references payment_requests(id) on delete cascade,
+    amount numeric(18, 4) not null check (amount > 0),
+    reason text,
+    debit_transaction_id uuid references transactions(id),
+    credit_transaction_id uuid references transactions(id),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists payment_refunds_payment_idx on payment_refunds (payment_id);
+
+-- ========== WEBHOOKS ==========
+-- secret firma cada envío (HMAC-SHA256); se muestra una vez al crearlo o rotarlo
+create table if not exists webhook_endpoints (
+    id uuid primary key default gen_random_uuid(),
+    url text not null,
+    events text[] not null,
+    description text,
+    secret text not null,
+    active boolean not null default true,
+    created_by uuid references profiles(id),
+    created_at timestamptz not null default now()
+);
+
+-- Registro de entregas. next_attempt_at también hace de reserva mientras un
+-- intento está en curso; es null cuando ya no quedan intentos.
+create table if not exists webhook_deliveries (
+    id uuid primary key default gen_random_uuid(),
+    endpoint_id uuid not null references webhook_endpoints(id) on delete cascade,
+    event text not null,
+    payload jsonb not null,
+    status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz,
+    last_attempt_at timestamptz,
+    last_status_code integer,
+    last_error text,
+    delivered_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_pending_idx
+    on webhook_deliveries (next_attempt_at) where status = 'pending';
+create index if not exists webhook_deliveries_endpoint_idx
+    on webhook_deliveries (endpoint_id, created_at desc);
+
+-- ========== REFERIDOS ==========
+-- Los perfiles anteriores reciben su referral_code la primera vez que lo piden
+alter table profiles add column if not exists referral_code text;
+alter table profiles add column if not exists referred_by uuid references profiles(id);
+create unique index if not exists profiles_referral_code_idx on profiles (referral_code);
+
+-- Una fila por invitado. reward guarda lo acreditado ({ cwt, cws }) por si la
+-- configuración cambia después.
+create table if not exists referrals (
+    id uuid primary key default gen_random_uuid(),
+    referrer_id uuid not null references profiles(id) on delete cascade,
+    referee_id uuid not null unique references profiles(id) on delete cascade,
+    code text not null,
+    status text not null default 'pending' check (status in ('pending', 'rewarded', 'rejected')),
+    reward jsonb,
+    reject_reason text,
+    qualified_at timestamptz,
+    rewarded_at timestamptz,
+    created_at timestamptz not null default now(),
+    check (referrer_id <> referee_id)
+);
+
+create index if not exists referrals_referrer_idx on referrals (referrer_id, created_at desc);
+
+-- IP desde la que se registró el invitado: se compara con las sesiones de quien invita
+alter table referrals add column if not exists referee_ip text;
+
+-- ========== CUPONES ==========
+-- max_redemptions null = sin límite de canjes totales (1 = cupón de un solo uso)
+create table if not exists vouchers (
+    id uuid primary key default gen_random_uuid(),
+    code text not null unique,
+    description text,
+    cwt numeric(18, 4) not null default 0 check (cwt >= 0),
+    cws numeric(18, 4) not null default 0 check (cws >= 0),
+    max_redemptions integer check (max_redemptions > 0),
+    per_user_limit integer not null default 1 check (per_user_limit > 0),
+    redemptions_count integer not null default 0,
+    expires_at timestamptz,
+    active boolean not null default true,
+    created_by uuid references profiles(id),
+    created_at timestamptz not null default now(),
+    check (cwt > 0 or cws > 0)
+);
+
+create table if not exists voucher_redemptions (
+    id uuid primary key default gen_random_uuid(),
+    voucher_id uuid not null references vouchers(id) on delete cascade,
+    user_id uuid not null references profiles(id) on delete cascade,
+    cwt numeric(18, 4) not null default 0,
+    cws numeric(18, 4) not null default 0,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists voucher_redemptions_voucher_idx on voucher_redemptions (voucher_id, created_at desc);
+create index if not exists voucher_redemptions_user_idx on voucher_redemptions (user_id, voucher_id);
+
+-- Canjea un cupón en una sola transacción: bloquea la fila del cupón (los canjes
+-- simultáneos del mismo código esperan su turno), comprueba caducidad y límites,
+-- registra el canje y abona el importe con aplicar_movimientos().
+create or replace function canjear_cupon(p_code text, p_user_id uuid)
+returns setof transactions as $$
+declare
+    v_cupon vouchers;
+    v_usos integer;
+    v_canje_id uuid;
+    v_movimientos jsonb := '[]'::jsonb;
+begin
+    select * into v_cupon
+    from vouchers
+    where code = upper(trim(p_code))
+    for update;
+
+    if not found or not v_cupon.active then
+        raise exception 'Cupón no válido' using errcode = 'P0002';
+    end if;
+
+    if v_cupon.expires_at is not null and v_cupon.expires_at <= now() then
+        raise exception 'Este cupón ha caducado' using errcode = '22023';
+    end if;
+
+    if v_cupon.max_redemptions is not null and v_cupon.redemptions_count >= v_cupon.max_redemptions then
+        raise exception 'Este cupón ya se ha agotado' using errcode = '55000';
+    end if;
+
+    select count(*) into v_usos
+    from voucher_redemptions
+    where voucher_id = v_cupon.id and user_id = p_user_id;
+
+    if v_usos >= v_cupon.per_user_limit then
+        raise exception 'Ya has canjeado este cupón' using errcode = '55000';
+    end if;
+
+    insert into voucher_redemptions (voucher_id, user_id, cwt, cws)
+    values (v_cupon.id, p_user_id, v_cupon.cwt, v_cupon.cws)
+    returning id into v_canje_id;
+
+    update vouchers
+    set redemptions_count = redemptions_count + 1
+    where id = v_cupon.id;
+
+    if v_cupon.cwt > 0 then
+        v_movimientos := v_movimientos || jsonb_build_object(
+            'user_id', p_user_id, 'currency', 'CWT', 'amount', v_cupon.cwt, 'type', 'voucher_redeem',
+            'actor_id', p_user_id, 'reason', 'Cupón ' || v_cupon.code, 'reference', v_canje_id
+        );
+    end if;
+
+    if v_cupon.cws > 0 then
+        v_movimientos := v_movimientos || jsonb_build_object(
+            'user_id', p_user_id, 'currency', 'CWS', 'amount', v_cupon.cws, 'type', 'voucher_redeem',
+            'actor_id', p_user_id, 'reason', 'Cupón ' || v_cupon.code, 'reference', v_canje_id
+        );
+    end if;
+
+    return query select * from aplicar_movimientos(v_movimientos);
+end;
+$$ language plpgsql;
+
+-- ========== ESTADO DE CUENTA, NIVELES Y RIESGO ==========
+-- account_status: frozen deja consultar pero no mover dinero; closed bloquea el acceso.
+-- tier elige los límites diarios y mensuales (LIMITES_POR_NIVEL en server.js).
+alter table profiles add column if not exists account_status text not null default 'active'
+    check (account_status in ('active', 'frozen', 'closed'));
+alter table profiles add column if not exists status_reason text;
+alter table profiles add column if not exists status_changed_at timestamptz;
+alter table profiles add column if not exists tier text not null default 'basic';
+alter table profiles add column if not exists wallet_changed_at timestamptz;
+
+create index if not exists transactions_user_type_idx
+    on transactions (user_id, currency, type, created_at desc);
+
+-- Señales automáticas para revisión del equipo; una abierta por usuario y tipo
+create table if not exists risk_flags (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references profiles(id) on delete cascade,
+    type text not null,
+    severity text not null check (severity in ('low', 'medium', 'high')),
+    details jsonb,
+    status text not null default 'open' check (status in ('open', 'resolved')),
+    resolved_by uuid references profiles(id),
+    resolved_at timestamptz,
+    resolution_note text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create unique index if not exists risk_flags_open_idx on risk_flags (user_id, type) where status = 'open';
+create index if not exists risk_flags_user_idx on risk_flags (user_id, created_at desc);
+
+-- ========== ESTADÍSTICAS DEL PANEL ==========
+-- Totales y series diarias (UTC) agregados en la base de datos, sin leer
+-- las filas en el servidor. Los días sin actividad salen con ceros.
+create index if not exists profiles_created_idx on profiles (created_at);
+
+create or replace function estadisticas_admin(p_desde timestamptz, p_hasta timestamptz)
+returns jsonb as $$
+    with dias as (
+        select generate_series((p_desde at time zone 'UTC')::date, (p_hasta at time zone 'UTC')::date, interval '1 day')::date as dia
+    ), altas as (
+        select (created_at at time zone 'UTC')::date as dia, count(*) as signups
+        from profiles
+        where created_at between p_desde and p_hasta
+        group by 1
+    ), depositos as (
+        select (credited_at at time zone 'UTC')::date as dia, sum(received_usdt) as usdt, sum(cwt_amount) as cwt
+        from deposits
+        where status = 'credited' and credited_at between p_desde and p_hasta
+        group by 1
+    ), recargas as (
+        select (reviewed_at at time zone 'UTC')::date as dia, sum(amount_saldo) as saldo, sum(cws_amount) as cws
+        from topups
+        where status = 'approved' and reviewed_at between p_desde and p_hasta
+        group by 1
+    ), canjes as (
+        select (reviewed_at at time zone 'UTC')::date as dia,
+            coalesce(sum(amount) filter (where currency = 'CWT'), 0) as cwt,
+            coalesce(sum(amount) filter (where currency = 'CWS'), 0) as cws
+        from redemptions
+        where status = 'paid' and reviewed_at between p_desde and p_hasta
+        group by 1
+    )
+    select jsonb_build_object(
+        'total_cwt', (select coalesce(sum(cwt), 0) from profiles),
+        'total_cws', (select coalesce(sum(cws), 0) from profiles),
+        'total_users', (select count(*) from profiles),
+        'daily', (
+            select jsonb_agg(jsonb_build_object(
+                'date', to_char(d.dia, 'YYYY-MM-DD'),
+                'signups', coalesce(a.signups, 0),
+                'deposited_usdt', coalesce(dep.usdt, 0),
+                'deposited_cwt', coalesce(dep.cwt, 0),
+                'deposited_saldo', coalesce(r.saldo, 0),
+                'deposited_cws', coalesce(r.cws, 0),
+                'redeemed_cwt', coalesce(c.cwt, 0),
+                'redeemed_cws', coalesce(c.cws, 0)
+            ) order by d.dia)
+            from dias d
+            left join altas a on a.dia = d.dia
+            left join depositos dep on dep.dia = d.dia
+            left join recargas r on r.dia = d.dia
+            left join canjes c on c.dia = d.dia
+        )
+    );
+$$ language sql stable;
+
+-- ========== ACCESO DESDE LA API DE SUPABASE ==========
+-- server.js usa la service key, que se salta RLS. Las tablas con secretos se
+-- cierran con RLS sin políticas para que anon/authenticated no lean nada aunque
+-- tengan los permisos por defecto de Supabase.
+alter table user_totp enable row level security;
+alter table login_challenges enable row level security;
+alter table merchants enable row level security;
+alter table merchant_api_keys enable row level security;
+alter table webhook_endpoints enable row level security;
+
+-- Las funciones que mueven saldo o leen datos de otros usuarios solo se llaman
+-- desde el servidor
+revoke execute on function aplicar_movimientos(jsonb) from public, anon, authenticated;
+revoke execute on function canjear_cupon(text, uuid) from public, anon, authenticated;
+revoke execute on function salidas_desde(uuid, text, timestamptz) from public, anon, authenticated;
+revoke execute on function estadisticas_admin(timestamptz, timestamptz) from public, anon, authenticated;
+grant execute on function aplicar_movimientos(jsonb) to service_role;
+grant execute on function canjear_cupon(text, uuid) to service_role;
+grant execute on function salidas_desde(uuid, text, timestamptz) to service_role;
+grant execute on function estadisticas_admin(timestamptz, timestamptz) to service_role;
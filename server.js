@@ -1,15 +1,26 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
 const { createClient } = require('@supabase/supabase-js');
+const QRCode = require('qrcode');
+const nodemailer = require('nodemailer');
+const jwt = require('jsonwebtoken');
 require('dotenv').config();
+const config = require('./public/js/config');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // ========== CONFIGURACIÓN ==========
+// Detrás del proxy de Render: req.ip es la IP real del cliente
+app.set('trust proxy', 1);
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '2mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Redirecciones
@@ -18,6 +29,7 @@ app.get('/login', (req, res) => res.redirect('/login.html'));
 app.get('/dashboard', (req, res) => res.redirect('/dashboard.html'));
 app.get('/admin', (req, res) => res.redirect('/admin.html'));
 app.get('/register', (req, res) => res.redirect('/register.html'));
+app.get('/pay/:id', (req, res) => res.redirect(`/dashboard.html?pay=${encodeURIComponent(req.params.id)}`));
 
 // ========== SUPABASE ==========
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -28,535 +40,6961 @@ if (!supabaseUrl || !supabaseKey) {
     process.exit(1);
 }
 
+if (!config.jwt.secret) {
+    console.error('❌ ERROR: Falta JWT_SECRET en .env');
+    process.exit(1);
+}
+
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// Cliente sin sesión guardada para refrescar tokens de usuarios sin tocar el compartido
+const supabaseAuth = createClient(supabaseUrl, supabaseKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+});
+
 // ========== FUNCIONES ==========
+// Base de los enlaces que se comparten (pago, invitación)
+function urlPublica(req) {
+    return config.server.publicUrl || `${req.protocol}://${req.get('host')}`;
+}
+
 function generarIDUsuario() {
     return `CROM-${Date.now().toString().slice(-6)}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
 }
 
-// ========== MIDDLEWARE ==========
-const authenticateToken = async (req, res, next) => {
+// Error con código HTTP para devolver al cliente desde los catch de las rutas
+function errorHttp(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function responderError(res, error, contexto) {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+    
+    console.error(`${contexto}:`, error);
+    res.status(500).json({ 
+        success: false, 
+        message: 'Error interno' 
+    });
+}
+
+// PostgREST devuelve como máximo 1000 filas por consulta: recorre todas las páginas
+async function leerPaginado(construirQuery, tamano = 1000) {
+    const filas = [];
+    
+    for (let desde = 0; ; desde += tamano) {
+        const { data, error } = await construirQuery().range(desde, desde + tamano - 1);
+        
+        if (error) throw error;
+        
+        filas.push(...(data || []));
+        if (!data || data.length < tamano) break;
+    }
+    
+    return filas;
+}
+
+// Rango ?from=&to= (fechas ISO) con valores por defecto de los últimos `diasPorDefecto` días
+function leerRangoFechas(query, diasPorDefecto = 30, maxDias = 366) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - (diasPorDefecto - 1) * 86400000);
+    
+    if (isNaN(from) || isNaN(to)) throw errorHttp(400, 'Fechas inválidas');
+    
+    from.setUTCHours(0, 0, 0, 0);
+    to.setUTCHours(23, 59, 59, 999);
+    
+    if (from > to) throw errorHttp(400, 'La fecha inicial es posterior a la final');
+    if ((to - from) / 86400000 > maxDias) throw errorHttp(400, `El rango máximo es de ${maxDias} días`);
+    
+    return { from, to };
+}
+
+// Fecha de un filtro (?created_from=2024-01-31); con finDelDia incluye el día entero
+function leerFechaFiltro(valor, campo, finDelDia = false) {
+    const fecha = new Date(finDelDia ? `${valor}T23:59:59.999Z` : valor);
+    if (isNaN(fecha.getTime())) throw errorHttp(400, `${campo} no es una fecha válida`);
+    return fecha.toISOString();
+}
+
+// Valor seguro para los filtros .or() de PostgREST (comas y paréntesis son sintaxis)
+function valorFiltro(valor) {
+    return `"${String(valor).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function codificarCursor(datos) {
+    return Buffer.from(JSON.stringify(datos)).toString('base64url');
+}
+
+function decodificarCursor(cursor) {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw errorHttp(400, 'Cursor inválido');
+    }
+}
+
+// ========== AUDITORÍA ==========
+// Todas las peticiones a /api/admin (lecturas y exportaciones incluidas) quedan
+// registradas al terminar. Cada ruta puede detallar la acción en res.locals.auditoria
+// ({ action, targetUserId, before, after }).
+
+// Campos que nunca se guardan en claro en la auditoría
+const CAMPOS_OCULTOS_AUDITORIA = /pass(word)?|secret|token|api_?key|otp|totp/i;
+
+function ocultarSensibles(valor) {
+    if (Array.isArray(valor)) return valor.map(ocultarSensibles);
+    if (valor && typeof valor === 'object') {
+        return Object.fromEntries(Object.entries(valor).map(([campo, v]) =>
+            [campo, CAMPOS_OCULTOS_AUDITORIA.test(campo) ? '[oculto]' : ocultarSensibles(v)]
+        ));
+    }
+    return valor;
+}
+
+async function registrarAuditoria(req, res, { action, targetUserId = null, before = null, after = null }) {
+    try {
+        const { error } = await supabase
+            .from('audit_log')
+            .insert({
+                actor_id: req.user.id,
+                action: action,
+                method: req.method,
+                route: req.originalUrl,
+                status_code: res.statusCode,
+                target_user_id: targetUserId,
+                before: ocultarSensibles(before),
+                after: ocultarSensibles(after),
+                ip: req.ip,
+                user_agent: req.headers['user-agent'] || null
+            });
+        
+        if (error) throw error;
+    } catch (error) {
+        console.error('Error registrando auditoría:', error);
+    }
+}
+
+const auditarAdmin = (req, res, next) => {
+    res.on('finish', () => {
+        // Solo acciones de quien pasó requireAdmin
+        if (!req.profile) return;
+        
+        const detalle = res.locals.auditoria;
+        
+        registrarAuditoria(req, res, {
+            action: `${req.method} ${req.route ? req.route.path : req.path}`,
+            targetUserId: req.params.userId || null,
+            after: Object.keys(req.body || {}).length ? req.body : null,
+            ...detalle
+        });
+    });
+    next();
+};
+
+// ========== EVENTOS EN TIEMPO REAL (SSE) ==========
+// Conexiones abiertas de /api/stream por usuario. Viven en memoria de esta
+// instancia: con varias instancias cada una solo empuja a sus propios clientes.
+const clientesSSE = new Map();
+
+function emitirEvento(userId, evento, datos) {
+    const clientes = clientesSSE.get(userId);
+    if (!clientes) return;
+    
+    const mensaje = `event: ${evento}\ndata: ${JSON.stringify(datos)}\n\n`;
+    clientes.forEach(res => res.write(mensaje));
+}
+
+// Corta los streams del usuario cuyas sesiones ya no valen; cada respuesta
+// guarda en res.sesionStream la sesión con la que se abrió
+function cerrarStreams(userId, debeCerrar = () => true) {
+    const clientes = clientesSSE.get(userId);
+    if (!clientes) return;
+    
+    clientes.forEach(res => {
+        if (!debeCerrar(res.sesionStream)) return;
+        clientes.delete(res);
+        res.end();
+    });
+    if (clientes.size === 0) clientesSSE.delete(userId);
+}
+
+// ========== LEDGER DE MOVIMIENTOS ==========
+// Cada cambio de CWT/CWS queda como una entrada inmutable en `transactions`.
+// Las columnas cwt/cws de `profiles` son el saldo vigente y se concilian contra el ledger.
+const MONEDAS = {
+    CWT: 'cwt',
+    CWS: 'cws'
+};
+
+function redondearMonto(moneda, monto) {
+    // CWT admite fracciones (0.02 CWT por USDT), CWS es entero
+    return moneda === 'CWT' ? Math.round(monto * 10000) / 10000 : Math.round(monto);
+}
+
+// Códigos SQLSTATE que lanza aplicar_movimientos() y su equivalente HTTP
+const ERRORES_LEDGER = {
+    P0002: 404,
+    '22023': 400,
+    '23514': 400,
+    '40001': 409,
+    '54000': 400
+};
+
+// Aplica todos los movimientos en una sola transacción de Postgres (ver schema.sql)
+async function registrarMovimientos(movimientos) {
+    const items = movimientos.map(({ userId, moneda, monto, tipo, actorId = null, motivo = '', referencia = null, saldoEsperado, limites }) => {
+        const cantidad = redondearMonto(moneda, monto);
+        
+        if (!MONEDAS[moneda]) throw errorHttp(400, 'Moneda inválida');
+        if (!cantidad) throw errorHttp(400, 'Monto inválido');
+        
+        const item = {
+            user_id: userId,
+            currency: moneda,
+            amount: cantidad,
+            type: tipo,
+            actor_id: actorId,
+            reason: motivo,
+            reference: referencia
+        };
+        
+        if (saldoEsperado !== undefined) item.expected_balance = saldoEsperado;
+        
+        // Límites de salida del nivel de la cuenta (ver limitesDeSalida)
+        if (limites) {
+            item.daily_limit = limites.diario;
+            item.monthly_limit = limites.mensual;
+        }
+        
+        return item;
+    });
+    
+    const { data, error } = await supabase.rpc('aplicar_movimientos', { p_movimientos: items });
+    
+    if (error) {
+        if (ERRORES_LEDGER[error.code]) throw errorHttp(ERRORES_LEDGER[error.code], error.message);
+        throw error;
+    }
+    
+    publicarMovimientos(data);
+    
+    return data;
+}
+
+// Avisa en tiempo real y por webhook de los movimientos ya aplicados
+function publicarMovimientos(movimientos) {
+    movimientos.forEach(m => {
+        emitirEvento(m.user_id, 'balance', {
+            balance: { [MONEDAS[m.currency]]: Number(m.balance_after) },
+            transaction: m
+        });
+        emitirWebhook('balance.changed', { user_id: m.user_id, transaction: m });
+    });
+}
+
+async function registrarMovimiento(movimiento) {
+    const [registrado] = await registrarMovimientos([movimiento]);
+    return registrado;
+}
+
+async function conciliarSaldo(userId) {
+    const { data: perfil, error: perfilError } = await supabase
+        .from('profiles')
+        .select('id, cwt, cws')
+        .eq('id', userId)
+        .single();
+    
+    if (perfilError || !perfil) throw errorHttp(404, 'Usuario no encontrado');
+    
+    const { data: movimientos, error } = await supabase
+        .from('transactions')
+        .select('currency, amount')
+        .eq('user_id', userId);
+    
+    if (error) throw error;
+    
+    const resultado = {};
+    
+    for (const [moneda, columna] of Object.entries(MONEDAS)) {
+        const ledger = redondearMonto(moneda, movimientos
+            .filter(m => m.currency === moneda)
+            .reduce((total, m) => total + Number(m.amount), 0));
+        const perfilSaldo = Number(perfil[columna] || 0);
+        
+        resultado[columna] = {
+            profile: perfilSaldo,
+            ledger: ledger,
+            difference: redondearMonto(moneda, perfilSaldo - ledger),
+            ok: perfilSaldo === ledger
+        };
+    }
+    
+    return resultado;
+}
+
+// ========== NOTIFICACIONES ==========
+// Respeta profiles.notifications; `obligatoria` es para avisos de seguridad que
+// el usuario debe ver aunque haya desactivado las notificaciones
+async function crearNotificacion(userId, { title, message, type = 'info', obligatoria = false }) {
+    try {
+        if (!obligatoria) {
+            const { data: perfil } = await supabase
+                .from('profiles')
+                .select('notifications')
+                .eq('id', userId)
+                .single();
+            
+            if (perfil && perfil.notifications === false) return;
+        }
+        
+        const { data: notificacion, error } = await supabase
+            .from('notifications')
+            .insert({
+                user_id: userId,
+                type: type,
+                title: title,
+                message: message
+            })
+            .select('id, type, title, message, read, created_at')
+            .single();
+        
+        if (error) throw error;
+        
+        emitirEvento(userId, 'notification', notificacion);
+    } catch (error) {
+        // Una notificación fallida nunca debe tumbar la operación que la originó
+        console.error('Error creando notificación:', error);
+    }
+}
+
+// ========== PETICIONES SALIENTES ==========
+// Webhooks y avisos a comercios van a URLs que escriben admins y comercios: solo
+// https a hosts públicos. La URL se comprueba al guardarla y la IP otra vez al
+// conectar (lookupPublico), así un DNS que cambia después tampoco llega a la red
+// interna. Las redirecciones no se siguen.
+const REDES_NO_PUBLICAS = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([red, prefijo]) => REDES_NO_PUBLICAS.addSubnet(red, prefijo, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([red, prefijo]) => REDES_NO_PUBLICAS.addSubnet(red, prefijo, 'ipv6'));
+
+// Solo en tests: hosts locales (OUTBOUND_ALLOW_HOSTS=127.0.0.1) que pueden recibir por http
+const HOSTS_SALIENTES_PERMITIDOS = process.env.NODE_ENV === 'test'
+    ? (process.env.OUTBOUND_ALLOW_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean)
+    : [];
+
+function esDireccionPublica(direccion) {
+    return !REDES_NO_PUBLICAS.check(direccion, net.isIPv6(direccion) ? 'ipv6' : 'ipv4');
+}
+
+// Devuelve el host si hay que resolverlo y comprobar sus IPs, o null si ya está comprobado
+function comprobarDestino(url, campo = 'url') {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    
+    if (HOSTS_SALIENTES_PERMITIDOS.includes(host)) {
+        if (!['http:', 'https:'].includes(url.protocol)) throw errorHttp(400, `${campo} debe ser http(s)`);
+        return null;
+    }
+    
+    if (url.protocol !== 'https:') throw errorHttp(400, `${campo} debe ser https`);
+    
+    if (net.isIP(host)) {
+        if (!esDireccionPublica(host)) throw errorHttp(400, `${campo} debe apuntar a un host público`);
+        return null;
+    }
+    
+    return host;
+}
+
+// dns.lookup para http(s).request que no deja conectar a direcciones no públicas
+function lookupPublico(hostname, opciones, callback) {
+    dns.lookup(hostname, { ...opciones, all: true }, (error, direcciones) => {
+        if (error) return callback(error);
+        
+        const bloqueada = direcciones.find(d => !esDireccionPublica(d.address));
+        if (bloqueada) return callback(new Error(`${hostname} apunta a una dirección no pública (${bloqueada.address})`));
+        
+        if (opciones.all) return callback(null, direcciones);
+        callback(null, direcciones[0].address, direcciones[0].family);
+    });
+}
+
+// Para guardar una URL de webhook o de aviso a comercio
+async function leerUrlCallback(valor, campo = 'callbackUrl') {
+    if (!valor) return null;
+    
+    let url;
+    try {
+        url = new URL(valor);
+    } catch (error) {
+        throw errorHttp(400, `${campo} inválida`);
+    }
+    
+    const host = comprobarDestino(url, campo);
+    
+    if (host) {
+        let direcciones;
+        try {
+            direcciones = await dns.promises.lookup(host, { all: true });
+        } catch (error) {
+            throw errorHttp(400, `${campo}: no se encuentra el host ${host}`);
+        }
+        
+        if (direcciones.some(d => !esDireccionPublica(d.address))) {
+            throw errorHttp(400, `${campo} debe apuntar a un host público`);
+        }
+    }
+    
+    return url.toString();
+}
+
+// POST con cuerpo JSON; resuelve con el código HTTP de la respuesta
+function enviarPost(direccion, cabeceras, cuerpo, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(direccion);
+        const host = comprobarDestino(url);
+        
+        const peticion = (url.protocol === 'https:' ? https : http).request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(cuerpo),
+                ...cabeceras
+            },
+            lookup: host ? lookupPublico : undefined,
+            signal: AbortSignal.timeout(timeoutMs)
+        }, respuesta => {
+            respuesta.resume();
+            resolve(respuesta.statusCode);
+        });
+        
+        peticion.on('error', reject);
+        peticion.end(cuerpo);
+    });
+}
+
+// ========== WEBHOOKS ==========
+// Cada evento genera una entrega por endpoint suscrito. Se intenta al momento y,
+// si falla, el proceso periódico la reintenta con espera exponencial hasta
+// config.webhooks.intentosMax. El cuerpo va firmado con HMAC-SHA256:
+// X-Cromwell-Signature: t=<unix>,v1=<hex(hmac(secret, `${t}.${cuerpo}`))>
+const EVENTOS_WEBHOOK = [
+    'user.registered',
+    'balance.changed',
+    'topup.approved',
+    'redemption.paid',
+    'payment.paid',
+    'payment.refunded'
+];
+
+function firmarWebhook(secret, timestamp, cuerpo) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${cuerpo}`).digest('hex');
+}
+
+function esperaWebhook(intentos) {
+    return Math.min(config.webhooks.esperaBaseMs * 2 ** (intentos - 1), config.webhooks.esperaMaxMs);
+}
+
+// Mientras un intento está en curso la entrega queda reservada: el proceso
+// periódico no la toma hasta que vence la reserva
+function reservaWebhook() {
+    return new Date(Date.now() + config.webhooks.timeoutMs * 2).toISOString();
+}
+
+const CAMPOS_ENTREGA = '*, endpoint:webhook_endpoints!inner(id, url, secret, active)';
+
+async function crearEntregas(endpointIds, evento, datos) {
+    const payload = {
+        id: crypto.randomUUID(),
+        event: evento,
+        created_at: new Date().toISOString(),
+        data: datos
+    };
+    
+    const { data: entregas, error } = await supabase
+        .from('webhook_deliveries')
+        .insert(endpointIds.map(id => ({
+            endpoint_id: id,
+            event: evento,
+            payload: payload,
+            next_attempt_at: reservaWebhook()
+        })))
+        .select(CAMPOS_ENTREGA);
+    
+    if (error) throw error;
+    return entregas || [];
+}
+
+// Un webhook fallido nunca debe tumbar la operación que lo originó
+async function emitirWebhook(evento, datos) {
+    try {
+        const { data: endpoints, error } = await supabase
+            .from('webhook_endpoints')
+            .select('id')
+            .eq('active', true)
+            .contains('events', [evento]);
+        
+        if (error) throw error;
+        if (!endpoints || !endpoints.length) return;
+        
+        const entregas = await crearEntregas(endpoints.map(e => e.id), evento, datos);
+        entregas.forEach(entrega => entregarWebhook(entrega));
+    } catch (error) {
+        console.error(`Error emitiendo webhook ${evento}:`, error);
+    }
+}
+
+async function entregarWebhook(entrega) {
+    const cuerpo = JSON.stringify(entrega.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let statusCode = null;
+    let fallo = null;
+    
+    try {
+        // Las redirecciones (3xx) cuentan como fallo: enviarPost no las sigue
+        statusCode = await enviarPost(entrega.endpoint.url, {
+            'User-Agent': 'CromwellPay-Webhooks/1.0',
+            'X-Cromwell-Event': entrega.event,
+            'X-Cromwell-Delivery': entrega.id,
+            'X-Cromwell-Signature': `t=${timestamp},v1=${firmarWebhook(entrega.endpoint.secret, timestamp, cuerpo)}`
+        }, cuerpo, config.webhooks.timeoutMs);
+        
+        if (statusCode < 200 || statusCode >= 300) fallo = `HTTP ${statusCode}`;
+    } catch (error) {
+        fallo = error.message;
+    }
+    
+    const intentos = entrega.attempts + 1;
+    const agotada = fallo && intentos >= config.webhooks.intentosMax;
+    const ahora = new Date().toISOString();
+    
+    const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .update({
+            attempts: intentos,
+            status: !fallo ? 'delivered' : agotada ? 'failed' : 'pending',
+            last_status_code: statusCode,
+            last_error: fallo,
+            last_attempt_at: ahora,
+            delivered_at: fallo ? null : ahora,
+            next_attempt_at: fallo && !agotada ? new Date(Date.now() + esperaWebhook(intentos)).toISOString() : null
+        })
+        .eq('id', entrega.id)
+        .select()
+        .single();
+    
+    if (error) console.error(`Error guardando entrega de webhook ${entrega.id}:`, error);
+    if (fallo) console.log(`🪝 Webhook ${entrega.event} → ${entrega.endpoint.url} falló (${intentos}): ${fallo}`);
+    
+    return data;
+}
+
+async function procesarWebhooksPendientes() {
+    try {
+        const { data: pendientes, error } = await supabase
+            .from('webhook_deliveries')
+            .select(CAMPOS_ENTREGA)
+            .eq('status', 'pending')
+            .eq('endpoint.active', true)
+            .lte('next_attempt_at', new Date().toISOString())
+            .order('next_attempt_at', { ascending: true })
+            .limit(config.webhooks.lote);
+        
+        if (error) throw error;
+        
+        for (const entrega of pendientes || []) {
+            // Reservar antes de enviar: con varias instancias solo una la reintenta
+            const { data: reservada } = await supabase
+                .from('webhook_deliveries')
+                .update({ next_attempt_at: reservaWebhook() })
+                .eq('id', entrega.id)
+                .eq('next_attempt_at', entrega.next_attempt_at)
+                .select('id');
+            
+            if (reservada && reservada.length) await entregarWebhook(entrega);
+        }
+    } catch (error) {
+        console.error('Error procesando webhooks:', error);
+    }
+}
+
+// ========== REFERIDOS ==========
+// Cada perfil tiene un referral_code; al registrarse con uno (o con el ID CROM
+// de quien invita) queda una fila pendiente en `referrals`. La recompensa se
+// acredita a quien invita con la primera recarga o depósito acreditado del
+// invitado, salvo que compartan teléfono, wallet o IP (autorreferido). Si el
+// invitado aún no verificó su email o teléfono, la fila queda calificada
+// (qualified_at) y se paga al verificarlo.
+function generarCodigoReferido() {
+    const alfabeto = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    return Array.from(crypto.randomBytes(8), b => alfabeto[b % alfabeto.length]).join('');
+}
+
+async function buscarReferente(codigo) {
+    const valor = String(codigo || '').trim().toUpperCase();
+    if (!valor) return null;
+    
+    const { data } = await supabase
+        .from('profiles')
+        .select('id, nickname')
+        .or(`referral_code.eq.${valorFiltro(valor)},user_id.eq.${valorFiltro(valor)}`)
+        .limit(1);
+    
+    if (!data || !data.length) throw errorHttp(400, 'Código de invitación no válido');
+    return data[0];
+}
+
+function mismoContacto(a, b) {
+    const normalizar = v => String(v || '').replace(/[^0-9a-z]/gi, '').toLowerCase();
+    return !!normalizar(a) && normalizar(a) === normalizar(b);
+}
+
+// ¿Quien invita ha usado la IP desde la que se registró el invitado?
+async function mismaIpReferido(referido) {
+    if (!referido.referee_ip) return false;
+    
+    const { data } = await supabase
+        .from('user_sessions')
+        .select('id')
+        .eq('user_id', referido.referrer_id)
+        .eq('ip', referido.referee_ip)
+        .limit(1);
+    
+    return !!(data && data.length);
+}
+
+async function motivoRechazoReferido(referido, origen) {
+    const { referrer, referee } = referido;
+    
+    if (mismoContacto(referrer.phone, referee.phone) || mismoContacto(referrer.phone, origen.phone)) {
+        return 'Mismo teléfono que quien invita';
+    }
+    if (mismoContacto(referrer.wallet_address, referee.wallet_address) || mismoContacto(referrer.wallet_address, origen.wallet)) {
+        return 'Misma wallet que quien invita';
+    }
+    if (await mismaIpReferido(referido)) {
+        return 'Registrado desde la misma IP que quien invita';
+    }
+    return null;
+}
+
+// origen: { phone } de la recarga o { wallet } del depósito que la califica;
+// sin origen (al verificar el contacto) solo se paga si ya estaba calificada.
+// Nunca tumba la recarga, el depósito o la verificación que la dispara.
+async function recompensarReferido(refereeId, origen = null) {
+    try {
+        const { data: referido } = await supabase
+            .from('referrals')
+            .select('*, referrer:profiles!referrals_referrer_id_fkey(id, nickname, phone, wallet_address), ' + 
+                'referee:profiles!referrals_referee_id_fkey(id, nickname, phone, wallet_address, verified)')
+            .eq('referee_id', refereeId)
+            .eq('status', 'pending')
+            .maybeSingle();
+        
+        if (!referido) return;
+        if (!origen && !referido.qualified_at) return;
+        
+        let rechazo = await motivoRechazoReferido(referido, origen || {});
+        
+        if (!rechazo) {
+            const inicioMes = new Date();
+            inicioMes.setUTCDate(1);
+            inicioMes.setUTCHours(0, 0, 0, 0);
+            
+            const { count } = await supabase
+                .from('referrals')
+                .select('id', { count: 'exact', head: true })
+                .eq('referrer_id', referido.referrer_id)
+                .eq('status', 'rewarded')
+                .gte('rewarded_at', inicioMes.toISOString());
+            
+            if (count >= config.referrals.maxRecompensasMes) rechazo = 'Límite mensual de recompensas alcanzado';
+        }
+        
+        if (rechazo) {
+            await supabase
+                .from('referrals')
+                .update({ status: 'rejected', reject_reason: rechazo, qualified_at: new Date().toISOString() })
+                .eq('id', referido.id)
+                .eq('status', 'pending');
+            
+            console.log(`🚫 Referido ${referido.referee.nickname} sin recompensa: ${rechazo}`);
+            return;
+        }
+        
+        const ahora = new Date().toISOString();
+        
+        if (!referido.referee.verified) {
+            if (!referido.qualified_at) {
+                await supabase
+                    .from('referrals')
+                    .update({ qualified_at: ahora })
+                    .eq('id', referido.id)
+                    .eq('status', 'pending');
+                
+                console.log(`⏳ Referido ${referido.referee.nickname} calificado; se paga al verificar su contacto`);
+            }
+            return;
+        }
+        
+        // Reclamar: solo la primera recarga acreditada pasa de 'pending' a 'rewarded'
+        const { data: reclamado } = await supabase
+            .from('referrals')
+            .update({ status: 'rewarded', qualified_at: referido.qualified_at || ahora, rewarded_at: ahora })
+            .eq('id', referido.id)
+            .eq('status', 'pending')
+            .select('id')
+            .maybeSingle();
+        
+        if (!reclamado) return;
+        
+        const recompensa = config.referrals.recompensa;
+        const cambios = Object.entries(MONEDAS)
+            .filter(([, columna]) => recompensa[columna] > 0)
+            .map(([moneda, columna]) => ({
+                userId: referido.referrer_id,
+                moneda: moneda,
+                monto: recompensa[columna],
+                tipo: 'referral_reward',
+                motivo: `Invitaste a ${referido.referee.nickname}`,
+                referencia: referido.id
+            }));
+        
+        try {
+            if (cambios.length) await registrarMovimientos(cambios);
+        } catch (error) {
+            await supabase
+                .from('referrals')
+                .update({ status: 'pending', qualified_at: referido.qualified_at, rewarded_at: null })
+                .eq('id', referido.id);
+            throw error;
+        }
+        
+        await supabase
+            .from('referrals')
+            .update({ reward: recompensa })
+            .eq('id', referido.id);
+        
+        const detalle = cambios.map(c => `+${c.monto} ${c.moneda}`).join(', ');
+        
+        await crearNotificacion(referido.referrer_id, {
+            type: 'referral',
+            title: 'Recompensa por invitación',
+            message: `${referido.referee.nickname} hizo su primera recarga: ${detalle}`
+        });
+        
+        console.log(`🎁 Recompensa de referido para ${referido.referrer.nickname}: ${detalle}`);
+    } catch (error) {
+        console.error('Error recompensando referido:', error);
+    }
+}
+
+// ========== CUPONES ==========
+// Los admins crean códigos promocionales con un importe fijo en CWT y/o CWS.
+// El canje completo (bloqueo del cupón, límites, registro y abono) ocurre en
+// canjear_cupon() dentro de una sola transacción (ver schema.sql).
+const ERRORES_CUPON = {
+    ...ERRORES_LEDGER,
+    '55000': 409
+};
+
+function normalizarCodigoCupon(codigo) {
+    return String(codigo || '').trim().toUpperCase();
+}
+
+function generarCodigoCupon() {
+    const alfabeto = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    return Array.from(crypto.randomBytes(10), b => alfabeto[b % alfabeto.length]).join('');
+}
+
+// 'active', 'disabled', 'expired' o 'exhausted' (agotado)
+function estadoCupon(cupon) {
+    if (!cupon.active) return 'disabled';
+    if (cupon.expires_at && new Date(cupon.expires_at).getTime() <= Date.now()) return 'expired';
+    if (cupon.max_redemptions && cupon.redemptions_count >= cupon.max_redemptions) return 'exhausted';
+    return 'active';
+}
+
+function datosCupon(cupon) {
+    return {
+        ...cupon,
+        cwt: Number(cupon.cwt),
+        cws: Number(cupon.cws),
+        status: estadoCupon(cupon)
+    };
+}
+
+function leerFechaExpiracion(valor) {
+    if (valor === undefined || valor === null || valor === '') return null;
+    const fecha = new Date(valor);
+    if (isNaN(fecha.getTime())) throw errorHttp(400, 'Fecha de caducidad inválida');
+    return fecha.toISOString();
+}
+
+// Entero positivo o null (sin límite)
+function leerLimiteCupon(valor, campo) {
+    if (valor === undefined || valor === null || valor === '') return null;
+    const numero = Number(valor);
+    if (!Number.isInteger(numero) || numero < 1) throw errorHttp(400, `${campo} debe ser un entero mayor que 0`);
+    return numero;
+}
+
+async function canjearCupon(userId, codigo) {
+    const code = normalizarCodigoCupon(codigo);
+    if (!code) throw errorHttp(400, 'Introduce el código del cupón');
+    
+    const { data, error } = await supabase.rpc('canjear_cupon', { p_code: code, p_user_id: userId });
+    
+    if (error) {
+        if (ERRORES_CUPON[error.code]) throw errorHttp(ERRORES_CUPON[error.code], error.message);
+        throw error;
+    }
+    
+    publicarMovimientos(data);
+    
+    return data;
+}
+
+// ========== TASAS Y COMISIONES ==========
+// Cada cambio es una versión nueva en `rates` con su effective_from; nunca se
+// edita una existente. Depósitos y recargas se liquidan con la versión vigente
+// cuando el usuario los reportó. Sin filas se usan config.rates y config.minimums.
+const TASAS_CACHE_MS = 60 * 1000;
+let historialTasas = null;
+let historialTasasLeido = 0;
+
+function tasasDeFila(fila) {
+    return {
+        id: fila.id,
+        usdtUnit: Number(fila.usdt_unit),
+        usdtToCwt: Number(fila.usdt_to_cwt),
+        minUsdt: Number(fila.min_usdt),
+        depositFeePct: Number(fila.deposit_fee_pct),
+        saldoUnit: Number(fila.saldo_unit),
+        saldoToCws: Number(fila.saldo_to_cws),
+        minSaldo: Number(fila.min_saldo),
+        topupFeePct: Number(fila.topup_fee_pct),
+        minRedeem: { cwt: Number(fila.min_redeem_cwt), cws: Number(fila.min_redeem_cws) },
+        effectiveFrom: fila.effective_from,
+        note: fila.note || null
+    };
+}
+
+const TASAS_POR_DEFECTO = {
+    id: null,
+    ...config.rates,
+    minRedeem: { ...config.minimums },
+    effectiveFrom: null,
+    note: null
+};
+
+// Historial completo, de la versión más reciente a la más antigua
+async function leerHistorialTasas() {
+    if (historialTasas && Date.now() - historialTasasLeido < TASAS_CACHE_MS) return historialTasas;
+    
+    try {
+        const filas = await leerPaginado(() => supabase
+            .from('rates')
+            .select('*')
+            .order('effective_from', { ascending: false }));
+        
+        historialTasas = filas.map(tasasDeFila);
+        historialTasasLeido = Date.now();
+    } catch (error) {
+        // Con la caché vencida y la base caída se sigue con la última lectura buena
+        console.error('Error leyendo tasas:', error);
+        if (!historialTasas) return [];
+    }
+    
+    return historialTasas;
+}
+
+async function tasasEn(fecha = new Date()) {
+    const momento = new Date(fecha).getTime();
+    const historial = await leerHistorialTasas();
+    return historial.find(t => new Date(t.effectiveFrom).getTime() <= momento) || TASAS_POR_DEFECTO;
+}
+
+function usdtACwt(usdt, tasas) {
+    return redondearMonto('CWT', usdt / tasas.usdtUnit * tasas.usdtToCwt * (1 - tasas.depositFeePct / 100));
+}
+
+function saldoACws(saldo, tasas) {
+    return Math.floor(saldo / tasas.saldoUnit * tasas.saldoToCws * (1 - tasas.topupFeePct / 100));
+}
+
+// ========== DEPÓSITOS USDT (BSC) ==========
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const DEPOSITO_EXPIRA_MS = 24 * 60 * 60 * 1000;
+
+// Cliente JSON-RPC mínimo. Con BSC_RPC_URL apuntando a un nodo local o a un mock
+// se puede sustituir la red real sin tocar el verificador.
+function crearClienteBSC(rpcUrl) {
+    let id = 0;
+    
+    async function llamar(method, params) {
+        const response = await fetch(rpcUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: ++id, method, params })
+        });
+        
+        if (!response.ok) throw new Error(`RPC BSC respondió ${response.status}`);
+        
+        const data = await response.json();
+        if (data.error) throw new Error(`RPC BSC: ${data.error.message}`);
+        
+        return data.result;
+    }
+    
+    return {
+        getBlockNumber: async () => parseInt(await llamar('eth_blockNumber', []), 16),
+        getTransactionReceipt: (txHash) => llamar('eth_getTransactionReceipt', [txHash]),
+        getBlock: (numero) => llamar('eth_getBlockByNumber', [numero, false])
+    };
+}
+
+const clienteBSC = crearClienteBSC(config.bsc.rpcUrl);
+
+function direccionDeTopic(topic) {
+    return `0x${topic.slice(-40)}`.toLowerCase();
+}
+
+// Comprueba que la transacción transfiere USDT (contrato BEP20) a nuestra dirección
+// y que tiene suficientes confirmaciones. Devuelve estado 'confirmed', 'pending' o 'invalid'.
+async function verificarTransaccionBSC(cliente, txHash) {
+    const recibo = await cliente.getTransactionReceipt(txHash);
+    
+    if (!recibo) {
+        return { estado: 'pending', motivo: 'Transacción aún no encontrada en la red' };
+    }
+    
+    if (recibo.status !== '0x1') {
+        return { estado: 'invalid', motivo: 'La transacción falló en la red' };
+    }
+    
+    const contrato = config.bsc.usdtContract.toLowerCase();
+    const destino = config.bsc.depositAddress.toLowerCase();
+    const transferencias = (recibo.logs || []).filter(log =>
+        log.address.toLowerCase() === contrato &&
+        log.topics.length === 3 &&
+        log.topics[0] === TRANSFER_TOPIC &&
+        direccionDeTopic(log.topics[2]) === destino
+    );
+    
+    if (transferencias.length === 0) {
+        return { estado: 'invalid', motivo: 'La transacción no envía USDT BEP20 a la dirección de depósito' };
+    }
+    
+    // Todas las transferencias al depósito deben salir de la misma wallet: se
+    // comprueba contra la registrada y no se acredita dinero enviado por otros
+    const origenes = new Set(transferencias.map(log => direccionDeTopic(log.topics[1])));
+    
+    if (origenes.size > 1) {
+        return { estado: 'invalid', motivo: 'La transacción envía USDT desde varias wallets' };
+    }
+    
+    // USDT en BSC usa 18 decimales; se trunca a 4 para operar con Number
+    const unidades = transferencias.reduce((total, log) => total + BigInt(log.data), 0n);
+    const montoUsdt = Number(unidades / 10n ** BigInt(config.bsc.usdtDecimals - 4)) / 10000;
+    const [origen] = origenes;
+    
+    const bloqueActual = await cliente.getBlockNumber();
+    const confirmaciones = bloqueActual - parseInt(recibo.blockNumber, 16) + 1;
+    
+    if (confirmaciones < config.bsc.confirmations) {
+        return {
+            estado: 'pending',
+            motivo: `Esperando confirmaciones (${confirmaciones}/${config.bsc.confirmations})`,
+            montoUsdt,
+            origen,
+            confirmaciones
+        };
+    }
+    
+    // La fecha del bloque permite comprobar que la wallet ya era del usuario al enviar
+    const bloque = await cliente.getBlock(recibo.blockNumber);
+    if (!bloque) {
+        return { estado: 'pending', motivo: 'Bloque de la transacción aún no disponible', montoUsdt, origen, confirmaciones };
+    }
+    const fechaBloque = new Date(parseInt(bloque.timestamp, 16) * 1000);
+    
+    return { estado: 'confirmed', montoUsdt, origen, confirmaciones, fechaBloque };
+}
+
+async function procesarDeposito(deposito) {
+    const resultado = await verificarTransaccionBSC(clienteBSC, deposito.tx_hash);
+    const ahora = new Date().toISOString();
+    const tasas = await tasasEn(deposito.created_at);
+    let rechazo = resultado.estado === 'invalid' ? resultado.motivo : null;
+    
+    if (resultado.estado === 'confirmed') {
+        const { data: perfil } = await supabase
+            .from('profiles')
+            .select('wallet_address, wallet_changed_at')
+            .eq('id', deposito.user_id)
+            .single();
+        
+        if (Math.abs(resultado.montoUsdt - Number(deposito.amount_usdt)) > 0.01) {
+            rechazo = `El monto recibido (${resultado.montoUsdt} USDT) no coincide con el declarado`;
+        } else if (resultado.montoUsdt < tasas.minUsdt) {
+            rechazo = `El mínimo de depósito es ${tasas.minUsdt} USDT`;
+        } else if (!perfil?.wallet_address) {
+            rechazo = 'Registra en tu perfil la wallet BEP20 desde la que depositas';
+        } else if (perfil.wallet_address.toLowerCase() !== resultado.origen) {
+            rechazo = 'La transacción no sale de la wallet registrada en tu perfil';
+        } else if (perfil.wallet_changed_at && new Date(perfil.wallet_changed_at) > resultado.fechaBloque) {
+            // Quien registra una wallet ajena después de ver la transacción no se la queda
+            rechazo = 'La wallet se registró en tu perfil después de la transacción';
+        }
+    }
+    
+    if (resultado.estado === 'pending' && Date.now() - new Date(deposito.created_at).getTime() > DEPOSITO_EXPIRA_MS) {
+        rechazo = `${resultado.motivo} tras 24 horas`;
+    }
+    
+    if (rechazo) {
+        const { data } = await supabase
+            .from('deposits')
+            .update({ status: 'rejected', error: rechazo, checked_at: ahora })
+            .eq('id', deposito.id)
+            .eq('status', 'pending')
+            .select()
+            .single();
+        
+        if (data) {
+            await crearNotificacion(deposito.user_id, {
+                type: 'deposit',
+                title: 'Depósito rechazado',
+                message: `Tu depósito de ${Number(deposito.amount_usdt)} USDT fue rechazado: ${rechazo}`
+            });
+        }
+        
+        console.log(`❌ Depósito rechazado ${deposito.tx_hash}: ${rechazo}`);
+        return data || deposito;
+    }
+    
+    if (resultado.estado === 'pending') {
+        const { data } = await supabase
+            .from('deposits')
+            .update({ confirmations: resultado.confirmaciones || 0, error: resultado.motivo, checked_at: ahora })
+            .eq('id', deposito.id)
+            .select()
+            .single();
+        
+        return data || deposito;
+    }
+    
+    // Reclamar el depósito antes de acreditar: solo un proceso pasa de 'pending' a 'credited'
+    const cwt = usdtACwt(resultado.montoUsdt, tasas);
+    const { data: reclamado } = await supabase
+        .from('deposits')
+        .update({
+            status: 'credited',
+            received_usdt: resultado.montoUsdt,
+            cwt_amount: cwt,
+            from_address: resultado.origen,
+            confirmations: resultado.confirmaciones,
+            error: null,
+            checked_at: ahora,
+            credited_at: ahora
+        })
+        .eq('id', deposito.id)
+        .eq('status', 'pending')
+        .select()
+        .single();
+    
+    if (!reclamado) return deposito;
+    
+    try {
+        const movimiento = await registrarMovimiento({
+            userId: deposito.user_id,
+            moneda: 'CWT',
+            monto: cwt,
+            tipo: 'deposit',
+            motivo: `Depósito de ${resultado.montoUsdt} USDT (BEP20)`,
+            referencia: deposito.tx_hash
+        });
+        
+        await supabase
+            .from('deposits')
+            .update({ transaction_id: movimiento.id })
+            .eq('id', deposito.id);
+        
+        await crearNotificacion(deposito.user_id, {
+            type: 'deposit',
+            title: 'Depósito acreditado',
+            message: `Recibimos ${resultado.montoUsdt} USDT: +${cwt} CWT`
+        });
+        
+        await recompensarReferido(deposito.user_id, { wallet: resultado.origen });
+        
+        console.log(`✅ Depósito acreditado ${deposito.tx_hash}: ${cwt} CWT`);
+        return { ...reclamado, transaction_id: movimiento.id };
+    } catch (error) {
+        // Devolver a 'pending' para que el siguiente ciclo lo reintente
+        await supabase
+            .from('deposits')
+            .update({ status: 'pending', credited_at: null, error: 'Error acreditando, se reintentará' })
+            .eq('id', deposito.id);
+        throw error;
+    }
+}
+
+async function procesarDepositosPendientes() {
+    if (!config.bsc.depositAddress) return;
+    
+    try {
+        const { data: pendientes, error } = await supabase
+            .from('deposits')
+            .select('*')
+            .eq('status', 'pending')
+            .order('created_at', { ascending: true })
+            .limit(50);
+        
+        if (error) throw error;
+        
+        for (const deposito of pendientes || []) {
+            try {
+                await procesarDeposito(deposito);
+            } catch (error) {
+                console.error(`Error verificando depósito ${deposito.tx_hash}:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('Error procesando depósitos:', error);
+    }
+}
+
+// ========== RECARGAS SALDO MÓVIL ==========
+// Sube la captura (data URL de imagen) al bucket privado y devuelve su ruta
+async function guardarCapturaRecarga(userId, dataUrl) {
+    const match = /^data:(image\/(png|jpe?g|webp));base64,(.+)$/.exec(dataUrl);
+    
+    if (!match) throw errorHttp(400, 'La captura debe ser una imagen PNG, JPG o WEBP');
+    
+    const buffer = Buffer.from(match[3], 'base64');
+    
+    if (buffer.length > config.saldo.maxScreenshotBytes) {
+        throw errorHttp(400, 'La captura no puede superar 1 MB');
+    }
+    
+    const ruta = `${userId}/${Date.now()}.${match[2] === 'jpeg' ? 'jpg' : match[2]}`;
+    const { error } = await supabase.storage
+        .from(config.saldo.screenshotBucket)
+        .upload(ruta, buffer, { contentType: match[1] });
+    
+    if (error) throw error;
+    
+    return ruta;
+}
+
+// ========== LÍMITES DE PETICIONES ==========
+// Ventana deslizante por clave (IP o cuenta), bloqueo progresivo tras fallos de
+// login y desafíos 2FA pendientes. El almacén en memoria sirve para una instancia;
+// con varias se usa Supabase.
+function crearAlmacenMemoria() {
+    const golpes = new Map();
+    const bloqueos = new Map();
+    const desafios = new Map();
+    
+    // Limpieza periódica para no acumular claves de IPs que ya no vuelven, ni
+    // fallos de nicknames inventados: tras un día sin fallos ya no cuentan
+    setInterval(() => {
+        const ahora = Date.now();
+        for (const [clave, lista] of golpes) {
+            if (!lista.length || lista[lista.length - 1] < ahora - config.rateLimit.bloqueoMaximoMs) golpes.delete(clave);
+        }
+        for (const [clave, bloqueo] of bloqueos) {
+            const bloqueado = bloqueo.locked_until && new Date(bloqueo.locked_until).getTime() > ahora;
+            if (!bloqueado && new Date(bloqueo.updated_at).getTime() < ahora - 86400000) bloqueos.delete(clave);
+        }
+        for (const [id, desafio] of desafios) {
+            if (desafio.expira < ahora) desafios.delete(id);
+        }
+    }, 10 * 60 * 1000).unref();
+    
+    return {
+        async golpe(clave, ventanaMs) {
+            const ahora = Date.now();
+            const lista = (golpes.get(clave) || []).filter(t => t > ahora - ventanaMs);
+            lista.push(ahora);
+            golpes.set(clave, lista);
+            return lista.length;
+        },
+        async leerBloqueo(clave) {
+            return bloqueos.get(clave) || null;
+        },
+        async guardarBloqueo(clave, bloqueo) {
+            bloqueos.set(clave, { key: clave, ...bloqueo, updated_at: new Date().toISOString() });
+        },
+        async borrarBloqueo(clave) {
+            bloqueos.delete(clave);
+        },
+        async listarBloqueos() {
+            return Array.from(bloqueos.values());
+        },
+        async leerDesafio(id) {
+            return desafios.get(id) || null;
+        },
+        async guardarDesafio(id, desafio) {
+            desafios.set(id, { ...desafio });
+        },
+        async borrarDesafio(id) {
+            desafios.delete(id);
+        }
+    };
+}
+
+function crearAlmacenSupabase() {
+    return {
+        async golpe(clave, ventanaMs) {
+            const desde = new Date(Date.now() - ventanaMs).toISOString();
+            
+            const { error } = await supabase
+                .from('rate_limit_hits')
+                .insert({ key: clave });
+            
+            if (error) throw error;
+            
+            const { count, error: countError } = await supabase
+                .from('rate_limit_hits')
+                .select('key', { count: 'exact', head: true })
+                .eq('key', clave)
+                .gte('created_at', desde);
+            
+            if (countError) throw countError;
+            return count || 0;
+        },
+        async leerBloqueo(clave) {
+            const { data } = await supabase
+                .from('auth_lockouts')
+                .select('*')
+                .eq('key', clave)
+                .maybeSingle();
+            
+            return data || null;
+        },
+        async guardarBloqueo(clave, bloqueo) {
+            const { error } = await supabase
+                .from('auth_lockouts')
+                .upsert({ key: clave, ...bloqueo, updated_at: new Date().toISOString() });
+            
+            if (error) throw error;
+        },
+        async borrarBloqueo(clave) {
+            const { error } = await supabase
+                .from('auth_lockouts')
+                .delete()
+                .eq('key', clave);
+            
+            if (error) throw error;
+        },
+        async listarBloqueos() {
+            const { data, error } = await supabase
+                .from('auth_lockouts')
+                .select('*')
+                .order('updated_at', { ascending: false })
+                .limit(500);
+            
+            if (error) throw error;
+            return data || [];
+        },
+        async leerDesafio(id) {
+            const { data, error } = await supabase
+                .from('login_challenges')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle();
+            
+            if (error) throw error;
+            if (!data) return null;
+            
+            return {
+                profile: data.profile,
+                session: data.session,
+                intentos: data.attempts,
+                expira: new Date(data.expires_at).getTime()
+            };
+        },
+        async guardarDesafio(id, desafio) {
+            const { error } = await supabase
+                .from('login_challenges')
+                .upsert({
+                    id: id,
+                    profile: desafio.profile,
+                    session: desafio.session,
+                    attempts: desafio.intentos,
+                    expires_at: new Date(desafio.expira).toISOString()
+                });
+            
+            if (error) throw error;
+        },
+        async borrarDesafio(id) {
+            const { error } = await supabase
+                .from('login_challenges')
+                .delete()
+                .eq('id', id);
+            
+            if (error) throw error;
+        }
+    };
+}
+
+const almacenLimites = config.rateLimit.store === 'supabase' ? crearAlmacenSupabase() : crearAlmacenMemoria();
+
+function responderDemasiados(res, esperaMs, mensaje) {
+    const segundos = Math.max(Math.ceil(esperaMs / 1000), 1);
+    res.set('Retry-After', String(segundos));
+    return res.status(429).json({ 
+        success: false, 
+        message: `${mensaje}. Intenta de nuevo en ${Math.ceil(segundos / 60)} minuto(s)`, 
+        retryAfter: segundos 
+    });
+}
+
+// obtenerClave(req) devuelve la clave a contar o null para no limitar
+const limitarPeticiones = ({ nombre, max, ventanaMs, obtenerClave }) => async (req, res, next) => {
+    try {
+        const clave = obtenerClave(req);
+        if (!clave) return next();
+        
+        const total = await almacenLimites.golpe(`${nombre}:${clave}`, ventanaMs);
+        
+        if (total > max) {
+            console.log(`🚫 Límite ${nombre} superado: ${clave}`);
+            return responderDemasiados(res, ventanaMs, 'Demasiadas peticiones');
+        }
+        
+        next();
+    } catch (error) {
+        // Si el almacén falla no se bloquea el acceso
+        console.error('Error en límite de peticiones:', error);
+        next();
+    }
+};
+
+function claveCuenta(nickname) {
+    return `login:${String(nickname || '').trim().toLowerCase()}`;
+}
+
+// Milisegundos que le quedan al bloqueo de la cuenta (0 si no está bloqueada)
+async function tiempoBloqueo(nickname) {
+    const bloqueo = await almacenLimites.leerBloqueo(claveCuenta(nickname));
+    if (!bloqueo || !bloqueo.locked_until) return 0;
+    return Math.max(new Date(bloqueo.locked_until).getTime() - Date.now(), 0);
+}
+
+// Cada fallo a partir del umbral duplica el bloqueo, hasta el máximo configurado
+async function registrarFalloLogin(nickname, ip) {
+    try {
+        const clave = claveCuenta(nickname);
+        const registro = await almacenLimites.leerBloqueo(clave);
+        // Los fallos de hace más de un día ya no cuentan
+        const anterior = registro && Date.now() - new Date(registro.updated_at).getTime() < 86400000 ? registro : null;
+        const failures = (anterior?.failures || 0) + 1;
+        const { fallosAntesDeBloqueo, bloqueoInicialMs, bloqueoMaximoMs } = config.rateLimit;
+        
+        let lockedUntil = anterior?.locked_until || null;
+        if (failures >= fallosAntesDeBloqueo) {
+            const duracion = Math.min(bloqueoInicialMs * 2 ** (failures - fallosAntesDeBloqueo), bloqueoMaximoMs);
+            lockedUntil = new Date(Date.now() + duracion).toISOString();
+            console.log(`🔒 Cuenta bloqueada: ${nickname} (${failures} fallos)`);
+        }
+        
+        if (failures >= UMBRALES_RIESGO.fallosLogin) {
+            const { data: profile } = await supabase
+                .from('profiles')
+                .select('id')
+                .eq('nickname', String(nickname).trim())
+                .maybeSingle();
+            
+            if (profile) await marcarRiesgo(profile.id, 'failed_logins', { failures: failures, last_ip: ip });
+        }
+        
+        await almacenLimites.guardarBloqueo(clave, {
+            nickname: String(nickname).trim(),
+            failures: failures,
+            locked_until: lockedUntil,
+            last_ip: ip
+        });
+    } catch (error) {
+        console.error('Error registrando fallo de login:', error);
+    }
+}
+
+async function limpiarFallosLogin(nickname) {
+    try {
+        await almacenLimites.borrarBloqueo(claveCuenta(nickname));
+    } catch (error) {
+        console.error('Error limpiando fallos de login:', error);
+    }
+}
+
+const limiteLoginIp = limitarPeticiones({
+    nombre: 'login-ip',
+    ...config.rateLimit.loginPorIp,
+    obtenerClave: req => req.ip
+});
+
+const limiteLoginCuenta = limitarPeticiones({
+    nombre: 'login-cuenta',
+    ...config.rateLimit.loginPorCuenta,
+    obtenerClave: req => req.body.nickname ? claveCuenta(req.body.nickname) : null
+});
+
+// El refresco tiene sus propios contadores: un panel abierto no gasta los intentos
+// de login de su IP. Por token se cortan los reintentos en bucle del mismo cliente.
+const limiteRefrescoIp = limitarPeticiones({
+    nombre: 'refresco-ip',
+    ...config.rateLimit.refrescoPorIp,
+    obtenerClave: req => req.ip
+});
+
+const limiteRefrescoToken = limitarPeticiones({
+    nombre: 'refresco-token',
+    ...config.rateLimit.refrescoPorToken,
+    obtenerClave: req => req.body.refreshToken ? 
+        crypto.createHash('sha256').update(String(req.body.refreshToken)).digest('hex') : null
+});
+
+const limiteRegistroIp = limitarPeticiones({
+    nombre: 'registro-ip',
+    ...config.rateLimit.registroPorIp,
+    obtenerClave: req => req.ip
+});
+
+const limiteRecuperacionIp = limitarPeticiones({
+    nombre: 'recuperacion-ip',
+    ...config.rateLimit.recuperacionPorIp,
+    obtenerClave: req => req.ip
+});
+
+const limiteVerificacionCuenta = limitarPeticiones({
+    nombre: 'verificacion-cuenta',
+    ...config.rateLimit.verificacionPorCuenta,
+    obtenerClave: req => req.user.id
+});
+
+const limiteRecuperacionCuenta = limitarPeticiones({
+    nombre: 'recuperacion-cuenta',
+    ...config.rateLimit.recuperacionPorCuenta,
+    obtenerClave: req => req.body.nickname ? claveCuenta(req.body.nickname) : null
+});
+
+// Frena la prueba de códigos de cupón al azar
+const limiteCupones = limitarPeticiones({
+    nombre: 'cupones',
+    ...config.rateLimit.cuponesPorCuenta,
+    obtenerClave: req => req.user.id
+});
+
+const limiteComercio = limitarPeticiones({
+    nombre: 'comercio',
+    ...config.rateLimit.comercioPorClave,
+    obtenerClave: req => req.merchant.id
+});
+
+// ========== VERIFICACIÓN EN DOS PASOS (TOTP) ==========
+// RFC 6238: HMAC-SHA1 sobre el número de paso de 30 s. Los secretos viven en
+// user_totp (nunca en profiles, que se devuelve entero al cliente).
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Codificar(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    
+    let texto = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        texto += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return texto;
+}
+
+function base32Decodificar(texto) {
+    let bits = '';
+    for (const c of texto.replace(/=+$/, '').toUpperCase()) {
+        const valor = BASE32.indexOf(c);
+        if (valor === -1) throw new Error('Secreto TOTP inválido');
+        bits += valor.toString(2).padStart(5, '0');
+    }
+    
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+}
+
+function codigoTOTP(secreto, paso) {
+    const contador = Buffer.alloc(8);
+    contador.writeBigUInt64BE(BigInt(paso));
+    
+    const hmac = crypto.createHmac('sha1', base32Decodificar(secreto)).update(contador).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binario = hmac.readUInt32BE(offset) & 0x7fffffff;
+    
+    return String(binario % 10 ** config.totp.digitos).padStart(config.totp.digitos, '0');
+}
+
+// Devuelve el paso del código si es válido y posterior al último usado (evita reutilizarlo)
+function verificarTOTP(secreto, codigo, ultimoPaso = 0) {
+    const limpio = String(codigo || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(limpio)) return null;
+    
+    const actual = Math.floor(Date.now() / 1000 / config.totp.periodo);
+    for (let d = -config.totp.ventana; d <= config.totp.ventana; d++) {
+        const paso = actual + d;
+        if (paso <= ultimoPaso) continue;
+        
+        const esperado = codigoTOTP(secreto, paso);
+        if (esperado.length === limpio.length && crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(limpio))) {
+            return paso;
+        }
+    }
+    return null;
+}
+
+function hashCodigoRecuperacion(codigo) {
+    return crypto.createHash('sha256').update(String(codigo).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+function generarCodigosRecuperacion() {
+    return Array.from({ length: config.totp.codigosRecuperacion }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+async function leerTOTP(userId) {
+    const { data, error } = await supabase
+        .from('user_totp')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+}
+
+// Acepta un código TOTP o un código de recuperación (que se consume). Devuelve
+// 'totp', 'recovery' o null si no es válido.
+async function comprobarSegundoFactor(userId, codigo) {
+    const totp = await leerTOTP(userId);
+    if (!totp || !totp.enabled || !codigo) return null;
+    
+    const paso = verificarTOTP(totp.secret, codigo, totp.last_step || 0);
+    if (paso) {
+        // Condicional sobre last_step: dos peticiones con el mismo código no pasan las dos
+        const { data: usado } = await supabase
+            .from('user_totp')
+            .update({ last_step: paso })
+            .eq('user_id', userId)
+            .eq('last_step', totp.last_step || 0)
+            .select('user_id');
+        
+        return usado && usado.length ? 'totp' : null;
+    }
+    
+    const hash = hashCodigoRecuperacion(codigo);
+    const codigos = totp.recovery_codes || [];
+    if (!codigos.includes(hash)) return null;
+    
+    const { data: consumido } = await supabase
+        .from('user_totp')
+        .update({ recovery_codes: codigos.filter(c => c !== hash) })
+        .eq('user_id', userId)
+        .contains('recovery_codes', [hash])
+        .select('user_id');
+    
+    if (!consumido || !consumido.length) return null;
+    
+    await crearNotificacion(userId, {
+        type: 'security',
+        title: 'Código de recuperación usado',
+        message: `Se usó un código de recuperación. Te quedan ${codigos.length - 1}.`,
+        obligatoria: true
+    });
+    
+    return 'recovery';
+}
+
+// Desafíos de login pendientes del segundo paso (la sesión de Supabase no se
+// entrega hasta que se verifica el código). Van en almacenLimites para que
+// cualquier instancia pueda completar el login.
+async function crearDesafio2FA(profile, session) {
+    const id = crypto.randomBytes(24).toString('base64url');
+    await almacenLimites.guardarDesafio(id, {
+        profile: profile,
+        session: session,
+        intentos: 0,
+        expira: Date.now() + config.totp.desafioMs
+    });
+    return id;
+}
+
+// ========== CÓDIGOS DE UN SOLO USO ==========
+// Códigos numéricos con caducidad, intentos limitados y un solo uso. Solo se
+// guarda su hash; pedir uno nuevo invalida los anteriores del mismo propósito.
+function hashCodigoUnico(userId, codigo) {
+    return crypto.createHash('sha256').update(`${userId}:${codigo}`).digest('hex');
+}
+
+async function crearCodigoUnico(userId, { purpose, channel, destination }) {
+    const codigo = String(crypto.randomInt(0, 10 ** config.codes.digitos)).padStart(config.codes.digitos, '0');
+    
+    await supabase
+        .from('verification_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('purpose', purpose)
+        .is('used_at', null);
+    
+    const { error } = await supabase
+        .from('verification_codes')
+        .insert({
+            user_id: userId,
+            purpose: purpose,
+            channel: channel,
+            destination: destination,
+            code_hash: hashCodigoUnico(userId, codigo),
+            expires_at: new Date(Date.now() + config.codes.expiraMs).toISOString()
+        });
+    
+    if (error) throw error;
+    return codigo;
+}
+
+// Devuelve el registro del código si es válido y lo marca como usado; si no, lanza 400
+async function consumirCodigoUnico(userId, purpose, codigo) {
+    let registro;
+    
+    // El intento se gasta antes de comparar y solo si attempts no cambió desde la
+    // lectura: con peticiones simultáneas cada una consume un intento distinto
+    for (;;) {
+        const { data, error } = await supabase
+            .from('verification_codes')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('purpose', purpose)
+            .is('used_at', null)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+        
+        if (error) throw error;
+        registro = data;
+        
+        if (!registro || new Date(registro.expires_at) < new Date()) {
+            throw errorHttp(400, 'El código expiró. Solicita uno nuevo');
+        }
+        
+        if (registro.attempts >= config.codes.intentos) {
+            throw errorHttp(400, 'Demasiados intentos. Solicita un código nuevo');
+        }
+        
+        const { data: reservado, error: updateError } = await supabase
+            .from('verification_codes')
+            .update({ attempts: registro.attempts + 1 })
+            .eq('id', registro.id)
+            .eq('attempts', registro.attempts)
+            .is('used_at', null)
+            .select('id');
+        
+        if (updateError) throw updateError;
+        if (reservado && reservado.length) break;
+    }
+    
+    const esperado = Buffer.from(registro.code_hash);
+    const recibido = Buffer.from(hashCodigoUnico(userId, String(codigo || '').trim()));
+    
+    if (!crypto.timingSafeEqual(esperado, recibido)) {
+        throw errorHttp(400, 'Código incorrecto');
+    }
+    
+    // Condicional sobre used_at: el mismo código no se puede usar dos veces
+    const { data: usado } = await supabase
+        .from('verification_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', registro.id)
+        .is('used_at', null)
+        .select('id');
+    
+    if (!usado || !usado.length) throw errorHttp(400, 'El código ya fue usado');
+    
+    return registro;
+}
+
+let transporteSMTP = null;
+
+// Canales por los que se pueden enviar códigos. El proveedor 'console' (email o
+// SMS) solo vale en desarrollo: fuera de él los códigos nunca se registran.
+function canalesDeCodigo() {
+    const desarrollo = process.env.NODE_ENV === 'development';
+    const canales = [];
+    
+    if (config.email.provider !== 'console' || desarrollo) canales.push('email');
+    if (config.sms.provider === 'console' && desarrollo) canales.push('phone');
+    
+    return canales;
+}
+
+async function enviarCodigo(channel, destination, codigo, asunto) {
+    if (!canalesDeCodigo().includes(channel)) {
+        throw errorHttp(503, channel === 'phone' ? 
+            'El envío de códigos por SMS no está disponible' : 
+            'El envío de códigos por email no está disponible');
+    }
+    
+    if (channel === 'email' && config.email.provider === 'edge') {
+        const { error } = await supabase.functions.invoke('send-verification-email', {
+            body: { to: destination, code: codigo }
+        });
+        if (error) throw error;
+        return;
+    }
+    
+    if (channel === 'email' && config.email.provider === 'smtp') {
+        transporteSMTP = transporteSMTP || nodemailer.createTransport({
+            host: config.email.smtpHost,
+            port: config.email.smtpPort,
+            auth: config.email.user ? { user: config.email.user, pass: config.email.pass } : undefined
+        });
+        
+        await transporteSMTP.sendMail({
+            from: config.email.from,
+            to: destination,
+            subject: asunto,
+            text: `Tu código: ${codigo}\n\nCaduca en ${Math.round(config.codes.expiraMs / 60000)} minutos.`
+        });
+        return;
+    }
+    
+    // Proveedor 'console' en desarrollo
+    console.log(`📨 [${channel}] ${asunto} para ${destination}: ${codigo}`);
+}
+
+function validarPassword(password) {
+    if (!password || password.length < 6) throw errorHttp(400, 'Contraseña mínimo 6 caracteres');
+}
+
+// ========== SESIONES ==========
+// Cada login crea una fila en user_sessions con el session_id del token de
+// Supabase; authenticateToken y el refresco rechazan las sesiones revocadas.
+function sesionDeToken(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        return payload.session_id || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function registrarSesion(userId, session, req) {
+    const id = session && sesionDeToken(session.access_token);
+    if (!id) return;
+    
+    const { error } = await supabase
+        .from('user_sessions')
+        .upsert({
+            id: id,
+            user_id: userId,
+            user_agent: req.headers['user-agent'] || null,
+            ip: req.ip,
+            last_used_at: new Date().toISOString(),
+            revoked_at: null
+        });
+    
+    if (error) console.error('Error registrando sesión:', error);
+}
+
+// Revoca todas las sesiones activas del usuario salvo, opcionalmente, una
+async function revocarSesiones(userId, excepto = null) {
+    let query = supabase
+        .from('user_sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+    
+    if (excepto) query = query.neq('id', excepto);
+    
+    const { data, error } = await query.select('id');
+    
+    if (error) throw error;
+    
+    cerrarStreams(userId, sesion => !excepto || sesion !== excepto);
+    return (data || []).length;
+}
+
+function datosSesion(session) {
+    return {
+        token: session.access_token,
+        refreshToken: session.refresh_token,
+        expiresAt: session.expires_at
+    };
+}
+
+// ========== ESTADO DE CUENTA Y LÍMITES ==========
+// account_status: 'active', 'frozen' (puede entrar y consultar, pero no mover
+// dinero) o 'closed' (authenticateToken la rechaza). Las salidas de dinero tienen
+// límites diarios y mensuales según el nivel de la cuenta (profiles.tier).
+// Los valores por defecto están aquí y no en public/js/config, que se sirve a
+// cualquiera; en producción se cambian con TIER_LIMITS (config.limits.porNivel).
+const ESTADOS_CUENTA = ['active', 'frozen', 'closed'];
+const NIVEL_POR_DEFECTO = 'basic';
+const LIMITES_POR_DEFECTO = {
+    basic: { diario: { cwt: 20, cws: 2000 }, mensual: { cwt: 200, cws: 20000 } },
+    verified: { diario: { cwt: 100, cws: 10000 }, mensual: { cwt: 1000, cws: 100000 } },
+    premium: { diario: { cwt: 500, cws: 50000 }, mensual: { cwt: 5000, cws: 500000 } }
+};
+
+// Un TIER_LIMITS mal escrito no arranca el servidor: sin límites válidos no se mueve dinero
+function leerLimitesPorNivel(json) {
+    if (!json) return LIMITES_POR_DEFECTO;
+    
+    let limites;
+    try {
+        limites = JSON.parse(json);
+    } catch (error) {
+        limites = null;
+    }
+    
+    const valido = (valor) => Number.isFinite(valor) && valor >= 0;
+    const correctos = limites && typeof limites === 'object' && limites[NIVEL_POR_DEFECTO] &&
+        Object.values(limites).every(nivel => ['diario', 'mensual'].every(periodo =>
+            valido(nivel?.[periodo]?.cwt) && valido(nivel?.[periodo]?.cws)));
+    
+    if (!correctos) {
+        console.error(`❌ ERROR: TIER_LIMITS debe ser un JSON como ${JSON.stringify({ [NIVEL_POR_DEFECTO]: LIMITES_POR_DEFECTO[NIVEL_POR_DEFECTO] })}`);
+        process.exit(1);
+    }
+    
+    return limites;
+}
+
+const LIMITES_POR_NIVEL = leerLimitesPorNivel(config.limits.porNivel);
+const NIVELES_CUENTA = Object.keys(LIMITES_POR_NIVEL);
+
+function limitesDeNivel(tier) {
+    return LIMITES_POR_NIVEL[tier] || LIMITES_POR_NIVEL[NIVEL_POR_DEFECTO];
+}
+
+// Límites de un movimiento de salida; aplicar_movimientos() los comprueba con el perfil bloqueado
+function limitesDeSalida(tier, currency) {
+    const { diario, mensual } = limitesDeNivel(tier);
+    return { diario: diario[MONEDAS[currency]], mensual: mensual[MONEDAS[currency]] };
+}
+
+async function limitesDeCuenta(userId, currency) {
+    const { data: profile } = await supabase
+        .from('profiles')
+        .select('tier')
+        .eq('id', userId)
+        .single();
+    
+    return limitesDeSalida(profile?.tier, currency);
+}
+
+// Total neto que ha salido de la cuenta en `currency` desde `desde`. Los tipos
+// que cuentan están solo en salidas_desde(), la misma que usa aplicar_movimientos()
+async function totalSalidas(userId, currency, desde) {
+    const { data, error } = await supabase.rpc('salidas_desde', {
+        p_user_id: userId,
+        p_currency: currency,
+        p_desde: desde.toISOString()
+    });
+    
+    if (error) throw error;
+    return redondearMonto(currency, Number(data) || 0);
+}
+
+// Aviso previo para rechazar pronto (p. ej. al presupuestar una transferencia);
+// el límite que cuenta es el que aplica aplicar_movimientos() al mover el saldo
+async function comprobarLimites(userId, currency, amount) {
+    const limites = await limitesDeCuenta(userId, currency);
+    
+    const inicioDia = new Date();
+    inicioDia.setUTCHours(0, 0, 0, 0);
+    const inicioMes = new Date(Date.UTC(inicioDia.getUTCFullYear(), inicioDia.getUTCMonth(), 1));
+    
+    const [hoy, mes] = await Promise.all([
+        totalSalidas(userId, currency, inicioDia),
+        totalSalidas(userId, currency, inicioMes)
+    ]);
+    
+    if (hoy + amount > limites.diario) {
+        throw errorHttp(400, `Superas tu límite diario de ${limites.diario} ${currency} (hoy llevas ${hoy})`);
+    }
+    
+    if (mes + amount > limites.mensual) {
+        throw errorHttp(400, `Superas tu límite mensual de ${limites.mensual} ${currency} (este mes llevas ${mes})`);
+    }
+}
+
+// ========== SEÑALES DE RIESGO ==========
+// Marcas automáticas que el equipo revisa desde la tabla de usuarios. Solo hay
+// una abierta por usuario y tipo; mientras siga abierta se actualizan sus detalles.
+const UMBRALES_RIESGO = {
+    fallosLogin: 10,                      // fallos seguidos de login
+    cambioWalletMs: 24 * 60 * 60 * 1000,  // canje CWT poco después de cambiar la wallet
+    recargasPorVentana: 3,                // recargas reportadas en la ventana
+    ventanaRecargasMs: 60 * 60 * 1000
+};
+
+const GRAVEDAD_RIESGO = {
+    failed_logins: 'medium',
+    wallet_before_redemption: 'high',
+    topup_velocity: 'medium'
+};
+
+// No lanza: una señal que no se guarda no debe romper la operación que la dispara
+async function marcarRiesgo(userId, tipo, detalles) {
+    try {
+        const { data: abierta } = await supabase
+            .from('risk_flags')
+            .select('id')
+            .eq('user_id', userId)
+            .eq('type', tipo)
+            .eq('status', 'open')
+            .maybeSingle();
+        
+        if (abierta) {
+            await supabase
+                .from('risk_flags')
+                .update({ details: detalles, updated_at: new Date().toISOString() })
+                .eq('id', abierta.id);
+            return;
+        }
+        
+        const { error } = await supabase
+            .from('risk_flags')
+            .insert({
+                user_id: userId,
+                type: tipo,
+                severity: GRAVEDAD_RIESGO[tipo],
+                details: detalles
+            });
+        
+        // 23505: otra petición acaba de abrir la misma señal
+        if (error && error.code !== '23505') throw error;
+        
+        console.log(`🚩 Señal de riesgo ${tipo} para ${userId}`);
+    } catch (error) {
+        console.error('Error registrando señal de riesgo:', error);
+    }
+}
+
+// ========== COMERCIOS ==========
+// Un comercio pertenece a un perfil (owner_id), que es quien recibe los cobros.
+// Las claves de API solo se guardan como sha256; el texto completo se muestra
+// una única vez al crearla.
+function hashClaveComercio(clave) {
+    return crypto.createHash('sha256').update(clave).digest('hex');
+}
+
+function generarClaveComercio() {
+    const clave = `cpk_${crypto.randomBytes(24).toString('base64url')}`;
+    return { clave, prefijo: clave.slice(0, 12), hash: hashClaveComercio(clave) };
+}
+
+// 'expired' no se guarda: es una solicitud pendiente cuya fecha ya pasó
+function estadoPago(pago) {
+    if (pago.status === 'pending' && new Date(pago.expires_at).getTime() <= Date.now()) return 'expired';
+    return pago.status;
+}
+
+function urlPago(req, id) {
+    return `${urlPublica(req)}/pay/${id}`;
+}
+
+function datosPago(pago) {
+    return {
+        id: pago.id,
+        merchant_id: pago.merchant_id,
+        amount: Number(pago.amount),
+        currency: pago.currency,
+        description: pago.description,
+        reference: pago.reference,
+        status: estadoPago(pago),
+        refunded_amount: Number(pago.refunded_amount || 0),
+        expires_at: pago.expires_at,
+        paid_at: pago.paid_at,
+        created_at: pago.created_at
+    };
+}
+
+// Sin el secreto de firma: solo se muestra al crear el comercio o rotarlo
+function datosComercio(merchant) {
+    const { callback_secret, ...resto } = merchant;
+    return resto;
+}
+
+// Aviso al comercio de un cambio de estado. Nunca bloquea ni tumba el pago.
+// Va firmado como los webhooks (X-Cromwell-Signature) con el secreto del comercio.
+async function avisarComercio(pago, evento) {
+    try {
+        const { data: comercio } = await supabase
+            .from('merchants')
+            .select('callback_url, callback_secret')
+            .eq('id', pago.merchant_id)
+            .single();
+        
+        const url = pago.callback_url || comercio?.callback_url;
+        if (!url) return;
+        
+        const cuerpo = JSON.stringify({ event: evento, payment: datosPago(pago) });
+        const timestamp = Math.floor(Date.now() / 1000);
+        
+        await enviarPost(url, {
+            'User-Agent': 'CromwellPay-Webhooks/1.0',
+            'X-Cromwell-Event': evento,
+            'X-Cromwell-Signature': `t=${timestamp},v1=${firmarWebhook(comercio.callback_secret, timestamp, cuerpo)}`
+        }, cuerpo, config.merchants.avisoTimeoutMs);
+    } catch (error) {
+        console.error(`Error avisando al comercio (${evento} ${pago.id}):`, error.message);
+    }
+}
+
+// ========== MIDDLEWARE ==========
+const authenticateToken = async (req, res, next) => {
+    try {
+        const token = req.headers['authorization']?.split(' ')[1];
+        
+        if (!token) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Token requerido' 
+            });
+        }
+        
+        const { data: { user }, error } = await supabase.auth.getUser(token);
+        
+        if (error || !user) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Token inválido' 
+            });
+        }
+        
+        const sessionId = sesionDeToken(token);
+        if (sessionId) {
+            const { data: sesion } = await supabase
+                .from('user_sessions')
+                .select('id, revoked_at, last_used_at')
+                .eq('id', sessionId)
+                .maybeSingle();
+            
+            if (sesion?.revoked_at) {
+                return res.status(401).json({ 
+                    success: false, 
+                    message: 'Sesión cerrada' 
+                });
+            }
+            
+            // La última actividad se guarda como mucho cada 5 minutos
+            if (sesion && Date.now() - new Date(sesion.last_used_at).getTime() > 5 * 60 * 1000) {
+                await supabase
+                    .from('user_sessions')
+                    .update({ last_used_at: new Date().toISOString() })
+                    .eq('id', sessionId);
+            }
+        }
+        
+        const { data: cuenta } = await supabase
+            .from('profiles')
+            .select('account_status')
+            .eq('id', user.id)
+            .maybeSingle();
+        
+        if (cuenta?.account_status === 'closed') {
+            return res.status(401).json({ 
+                success: false, 
+                code: 'ACCOUNT_CLOSED', 
+                message: 'Esta cuenta está cerrada' 
+            });
+        }
+        
+        req.user = user;
+        req.token = token;
+        req.sessionId = sessionId;
+        req.accountStatus = cuenta?.account_status || 'active';
+        next();
+    } catch (error) {
+        console.error('Error autenticación:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error de autenticación' 
+        });
+    }
+};
+
+// Rutas que mueven dinero: una cuenta congelada solo puede consultar
+const requireCuentaActiva = (req, res, next) => {
+    if (req.accountStatus !== 'active') {
+        return res.status(403).json({ 
+            success: false, 
+            code: 'ACCOUNT_FROZEN', 
+            message: 'Tu cuenta está congelada. Contacta con soporte' 
+        });
+    }
+    next();
+};
+
+// API de comercios: X-API-Key con una clave activa de un comercio activo
+const authenticateMerchant = async (req, res, next) => {
+    try {
+        const clave = req.headers['x-api-key'];
+        
+        if (!clave) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'X-API-Key requerida' 
+            });
+        }
+        
+        const { data: registro } = await supabase
+            .from('merchant_api_keys')
+            .select('id, last_used_at, merchant:merchants(id, owner_id, name, status, callback_url, owner:profiles!merchants_owner_id_fkey(account_status))')
+            .eq('key_hash', hashClaveComercio(clave))
+            .is('revoked_at', null)
+            .maybeSingle();
+        
+        if (!registro || !registro.merchant) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Clave de API inválida' 
+            });
+        }
+        
+        if (registro.merchant.status !== 'active') {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Comercio suspendido' 
+            });
+        }
+        
+        // Los cobros y devoluciones van a la cuenta del dueño
+        if (registro.merchant.owner?.account_status !== 'active') {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'La cuenta del comercio no está activa' 
+            });
+        }
+        
+        // Igual que las sesiones: el último uso se guarda como mucho cada 5 minutos
+        if (!registro.last_used_at || Date.now() - new Date(registro.last_used_at).getTime() > 5 * 60 * 1000) {
+            await supabase
+                .from('merchant_api_keys')
+                .update({ last_used_at: new Date().toISOString() })
+                .eq('id', registro.id);
+        }
+        
+        req.merchant = registro.merchant;
+        next();
+    } catch (error) {
+        console.error('Error autenticación comercio:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error de autenticación' 
+        });
+    }
+};
+
+// EventSource no permite cabeceras: /api/stream se abre con un ticket de vida
+// corta (POST /api/stream/ticket) para que el token de sesión no acabe en los logs
+const autenticarTicketStream = async (req, res, next) => {
+    let ticket;
+    try {
+        ticket = jwt.verify(String(req.query.ticket || ''), config.jwt.secret, { audience: 'stream' });
+    } catch (error) {
+        return res.status(401).json({ 
+            success: false, 
+            message: 'Ticket inválido o caducado' 
+        });
+    }
+    
+    try {
+        if (ticket.sid) {
+            const { data: sesion } = await supabase
+                .from('user_sessions')
+                .select('revoked_at')
+                .eq('id', ticket.sid)
+                .maybeSingle();
+            
+            if (sesion?.revoked_at) {
+                return res.status(401).json({ 
+                    success: false, 
+                    message: 'Sesión cerrada' 
+                });
+            }
+        }
+        
+        const { data: cuenta } = await supabase
+            .from('profiles')
+            .select('account_status')
+            .eq('id', ticket.sub)
+            .maybeSingle();
+        
+        if (cuenta?.account_status === 'closed') {
+            return res.status(401).json({ 
+                success: false, 
+                code: 'ACCOUNT_CLOSED', 
+                message: 'Esta cuenta está cerrada' 
+            });
+        }
+        
+        req.user = { id: ticket.sub };
+        req.sessionId = ticket.sid || null;
+        next();
+        
+    } catch (error) {
+        console.error('Error validando ticket del stream:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error de autenticación' 
+        });
+    }
+};
+
+// Roles del equipo y sus permisos; 'admin' es el superadministrador
+const PERMISOS_POR_ROL = {
+    support: ['users.read', 'deposits.read', 'topups.review', 'lockouts.manage', 'accounts.manage'],
+    finance: ['users.read', 'deposits.read', 'stats.read', 'data.export', 'balance.adjust', 'redemptions.review', 'audit.read', 'rates.manage'],
+    admin: ['*']
+};
+const ROLES = ['user', ...Object.keys(PERMISOS_POR_ROL)];
+
+function permisosDeRol(role) {
+    return PERMISOS_POR_ROL[role] || [];
+}
+
+function tienePermiso(role, permiso) {
+    const permisos = permisosDeRol(role);
+    return permisos.includes('*') || permisos.includes(permiso);
+}
+
+// Deja pasar a cualquier miembro del equipo (rol con permisos) y carga su perfil
+const requireAdmin = async (req, res, next) => {
+    try {
+        const user = req.user;
+        
+        const { data: profile, error } = await supabase
+            .from('profiles')
+            .select('id, role, nickname, two_factor_enabled')
+            .eq('id', user.id)
+            .single();
+        
+        if (error || !profile) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Perfil no encontrado' 
+            });
+        }
+        
+        if (permisosDeRol(profile.role).length === 0) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Acceso solo para el equipo de administración' 
+            });
+        }
+        
+        // La verificación en dos pasos es obligatoria para el equipo
+        if (!profile.two_factor_enabled) {
+            return res.status(403).json({ 
+                success: false, 
+                code: 'TWO_FACTOR_REQUIRED', 
+                message: 'Activa la verificación en dos pasos para usar el panel de administración' 
+            });
+        }
+        
+        req.profile = profile;
+        next();
+    } catch (error) {
+        console.error('Error verificando admin:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error verificando permisos' 
+        });
+    }
+};
+
+// Se usa siempre después de requireAdmin
+const requirePermiso = (permiso) => (req, res, next) => {
+    if (!tienePermiso(req.profile.role, permiso)) {
+        return res.status(403).json({ 
+            success: false, 
+            message: 'No tienes permiso para esta acción' 
+        });
+    }
+    next();
+};
+
+// Exige contacto verificado solo para las operaciones listadas en config.verification
+const requireVerified = (operacion) => async (req, res, next) => {
+    if (!config.verification.requiredFor.includes(operacion)) return next();
+    
+    try {
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('verified')
+            .eq('id', req.user.id)
+            .single();
+        
+        if (!profile?.verified) {
+            return res.status(403).json({ 
+                success: false, 
+                code: 'VERIFICATION_REQUIRED', 
+                message: 'Verifica tu email o teléfono desde tu perfil para continuar' 
+            });
+        }
+        
+        next();
+    } catch (error) {
+        responderError(res, error, 'Error comprobando verificación');
+    }
+};
+
+// Confirmación reforzada para operaciones sensibles: código TOTP (o de recuperación)
+// en X-2FA-Code si la cuenta tiene 2FA; si no, la contraseña en X-Confirm-Password.
+// Va antes de idempotente para que un código erróneo no consuma la clave. Los
+// intentos fallidos cuentan para el bloqueo de la cuenta, igual que en el login.
+const confirmarStepUp = async (req, res, next) => {
+    try {
+        const { data: profile, error } = await supabase
+            .from('profiles')
+            .select('id, nickname, email, two_factor_enabled')
+            .eq('id', req.user.id)
+            .single();
+        
+        if (error || !profile) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Perfil no encontrado' 
+            });
+        }
+        
+        const espera = await tiempoBloqueo(profile.nickname);
+        if (espera > 0) {
+            return responderDemasiados(res, espera, 'Cuenta bloqueada temporalmente por intentos fallidos');
+        }
+        
+        if (profile.two_factor_enabled) {
+            const codigo = req.headers['x-2fa-code'];
+            const metodo = await comprobarSegundoFactor(profile.id, codigo);
+            
+            if (!metodo) {
+                if (codigo) await registrarFalloLogin(profile.nickname, req.ip);
+                return res.status(401).json({ 
+                    success: false, 
+                    code: 'STEP_UP_REQUIRED', 
+                    method: 'totp', 
+                    message: 'Introduce el código de tu app de autenticación para confirmar' 
+                });
+            }
+            return next();
+        }
+        
+        const password = req.headers['x-confirm-password'];
+        const email = password ? await emailDeAuth(profile) : null;
+        const { error: authError } = email ? 
+            await supabaseAuth.auth.signInWithPassword({ email, password }) : 
+            { error: true };
+        
+        if (authError) {
+            if (password) await registrarFalloLogin(profile.nickname, req.ip);
+            return res.status(401).json({ 
+                success: false, 
+                code: 'STEP_UP_REQUIRED', 
+                method: 'password', 
+                message: 'Confirma la operación con tu contraseña' 
+            });
+        }
+        
+        next();
+    } catch (error) {
+        responderError(res, error, 'Error en confirmación reforzada');
+    }
+};
+
+// Solo cuentan las peticiones que traen contraseña o código: en cabeceras para
+// el step-up, en el cuerpo para la contraseña actual y los códigos de un solo uso
+const limiteConfirmacionCuenta = limitarPeticiones({
+    nombre: 'confirmacion-cuenta',
+    ...config.rateLimit.confirmacionPorCuenta,
+    obtenerClave: req => {
+        const credencial = req.headers['x-confirm-password'] || req.headers['x-2fa-code'] || 
+            req.body?.currentPassword || req.body?.code;
+        return credencial ? req.user.id : null;
+    }
+});
+
+const requireStepUp = [limiteConfirmacionCuenta, confirmarStepUp];
+
+// Idempotency-Key: si el cliente reintenta con la misma clave se devuelve la
+// respuesta original en vez de volver a aplicar la operación
+const idempotente = async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    
+    if (!key) return next();
+    
+    if (key.length > 255) {
+        return res.status(400).json({ 
+            success: false, 
+            message: 'Idempotency-Key demasiado larga' 
+        });
+    }
+    
+    try {
+        const route = `${req.method} ${req.originalUrl}`;
+        const requestHash = crypto
+            .createHash('sha256')
+            .update(`${route}\n${JSON.stringify(req.body || {})}`)
+            .digest('hex');
+        
+        const { error: insertError } = await supabase
+            .from('idempotency_keys')
+            .insert({
+                actor_id: req.user.id,
+                key: key,
+                route: route,
+                request_hash: requestHash
+            });
+        
+        if (insertError) {
+            if (insertError.code !== '23505') throw insertError;
+            
+            const { data: previa, error } = await supabase
+                .from('idempotency_keys')
+                .select('*')
+                .eq('actor_id', req.user.id)
+                .eq('key', key)
+                .single();
+            
+            if (error || !previa) throw error || new Error('Clave de idempotencia no encontrada');
+            
+            if (previa.request_hash !== requestHash) {
+                return res.status(422).json({ 
+                    success: false, 
+                    message: 'Idempotency-Key ya usada con otra petición' 
+                });
+            }
+            
+            if (!previa.completed_at) {
+                return res.status(409).json({ 
+                    success: false, 
+                    message: 'La petición original sigue en proceso' 
+                });
+            }
+            
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(previa.status_code).json(previa.response);
+        }
+        
+        // Guardar la respuesta antes de enviarla; los errores 5xx liberan la clave para reintentar
+        const json = res.json.bind(res);
+        res.json = async (body) => {
+            try {
+                if (res.statusCode >= 500) {
+                    await supabase
+                        .from('idempotency_keys')
+                        .delete()
+                        .eq('actor_id', req.user.id)
+                        .eq('key', key);
+                } else {
+                    await supabase
+                        .from('idempotency_keys')
+                        .update({
+                            status_code: res.statusCode,
+                            response: body,
+                            completed_at: new Date().toISOString()
+                        })
+                        .eq('actor_id', req.user.id)
+                        .eq('key', key);
+                }
+            } catch (error) {
+                console.error('Error guardando idempotencia:', error);
+            }
+            return json(body);
+        };
+        
+        next();
+    } catch (error) {
+        console.error('Error idempotencia:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+};
+
+// ========== RUTAS PÚBLICAS ==========
+app.get('/api/status', async (req, res) => {
+    res.json({ 
+        success: true, 
+        status: '✅ Cromwell Pay Funcionando',
+        timestamp: new Date().toISOString(),
+        version: '3.1.0',
+        auth: 'nickname_only',
+        codeChannels: canalesDeCodigo()
+    });
+});
+
+// REGISTRO - VERSIÓN SIMPLIFICADA Y FUNCIONAL
+app.post('/api/register', limiteRegistroIp, async (req, res) => {
+    try {
+        const { nickname, password, termsAccepted, referralCode } = req.body;
+        
+        if (!nickname || !password) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Nickname y contraseña requeridos' 
+            });
+        }
+        
+        if (!termsAccepted) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Acepta los términos' 
+            });
+        }
+        
+        if (password.length < 6) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Contraseña mínimo 6 caracteres' 
+            });
+        }
+        
+        // Verificar nickname único
+        const { data: existingProfile } = await supabase
+            .from('profiles')
+            .select('nickname')
+            .eq('nickname', nickname)
+            .single();
+        
+        if (existingProfile) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Nickname ya existe' 
+            });
+        }
+        
+        // Se valida antes de crear la cuenta para que un código mal escrito no la deje sin referente
+        const referente = await buscarReferente(referralCode);
+        
+        // Crear email único
+        const uniqueEmail = `${nickname.toLowerCase()}_${Date.now()}@cromwellpay.local`;
+        const userId = generarIDUsuario();
+        
+        console.log(`📝 Creando usuario: ${nickname}`);
+        
+        // Crear usuario en auth
+        const { data: authData, error: authError } = await supabase.auth.admin.createUser({
+            email: uniqueEmail,
+            password: password,
+            email_confirm: true,
+            user_metadata: {
+                nickname: nickname,
+                user_id: userId,
+                role: 'user'
+            }
+        });
+        
+        if (authError) {
+            console.error('Error auth.createUser:', authError.message);
+            return res.status(400).json({ 
+                success: false, 
+                message: authError.message 
+            });
+        }
+        
+        // Crear perfil en profiles
+        const { error: profileError } = await supabase
+            .from('profiles')
+            .insert({
+                id: authData.user.id,
+                nickname: nickname,
+                user_id: userId,
+                role: 'user',
+                email: uniqueEmail,
+                referral_code: generarCodigoReferido(),
+                referred_by: referente ? referente.id : null,
+                cwt: 0,
+                cws: 0,
+                phone: '',
+                province: '',
+                wallet_address: '',
+                notifications: true
+            });
+        
+        if (profileError) {
+            console.error('Error profiles.insert:', profileError.message);
+            // Intentar limpiar
+            await supabase.auth.admin.deleteUser(authData.user.id);
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Error creando perfil' 
+            });
+        }
+        
+        // Crear sesión automática
+        const { data: sessionData, error: sessionError } = await supabase.auth.admin.createSession({
+            user_id: authData.user.id
+        });
+        
+        await registrarSesion(authData.user.id, sessionData?.session, req);
+        
+        if (referente) {
+            const { error: referidoError } = await supabase
+                .from('referrals')
+                .insert({
+                    referrer_id: referente.id,
+                    referee_id: authData.user.id,
+                    code: String(referralCode).trim().toUpperCase(),
+                    referee_ip: req.ip
+                });
+            
+            if (referidoError) console.error('Error registrando referido:', referidoError);
+        }
+        
+        emitirWebhook('user.registered', { id: authData.user.id, nickname: nickname, user_id: userId });
+        
+        console.log(`✅ Usuario creado: ${nickname}`);
+        
+        res.json({
+            success: true,
+            message: 'Registro exitoso',
+            nickname: nickname,
+            token: sessionData?.session?.access_token || null,
+            refreshToken: sessionData?.session?.refresh_token || null,
+            user: {
+                id: authData.user.id,
+                nickname: nickname,
+                user_id: userId,
+                role: 'user',
+                cwt: 0,
+                cws: 0,
+                phone: '',
+                province: '',
+                wallet_address: '',
+                notifications: true,
+                created_at: new Date().toISOString()
+            }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error en registro');
+    }
+});
+
+// Email de auth del perfil: se guarda al registrar; los perfiles antiguos lo
+// obtienen una vez por ID (sin recorrer la lista de usuarios) y quedan guardados
+async function emailDeAuth(profile) {
+    if (profile.email) return profile.email;
+    
+    const { data, error } = await supabase.auth.admin.getUserById(profile.id);
+    
+    if (error || !data?.user) return null;
+    
+    await supabase
+        .from('profiles')
+        .update({ email: data.user.email })
+        .eq('id', profile.id);
+    
+    return data.user.email;
+}
+
+function datosUsuarioLogin(profile) {
+    return {
+        id: profile.id,
+        nickname: profile.nickname,
+        user_id: profile.user_id,
+        role: profile.role,
+        cwt: profile.cwt || 0,
+        cws: profile.cws || 0,
+        phone: profile.phone || '',
+        province: profile.province || '',
+        wallet_address: profile.wallet_address || '',
+        notifications: profile.notifications !== false,
+        two_factor_enabled: !!profile.two_factor_enabled,
+        account_status: profile.account_status || 'active',
+        tier: profile.tier || NIVEL_POR_DEFECTO,
+        created_at: profile.created_at
+    };
+}
+
+// LOGIN - VERSIÓN SIMPLIFICADA
+app.post('/api/login', limiteLoginIp, limiteLoginCuenta, async (req, res) => {
+    try {
+        const { nickname, password } = req.body;
+        
+        if (!nickname || !password) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Nickname y contraseña requeridos' 
+            });
+        }
+        
+        console.log(`🔍 Login: ${nickname}`);
+        
+        const espera = await tiempoBloqueo(nickname);
+        if (espera > 0) {
+            return responderDemasiados(res, espera, 'Cuenta bloqueada temporalmente por intentos fallidos');
+        }
+        
+        // Buscar perfil
+        const { data: profile, error: profileError } = await supabase
+            .from('profiles')
+            .select('*')
+            .eq('nickname', nickname)
+            .single();
+        
+        if (profileError || !profile) {
+            console.log(`❌ No encontrado: ${nickname}`);
+            await registrarFalloLogin(nickname, req.ip);
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Credenciales incorrectas' 
+            });
+        }
+        
+        const email = await emailDeAuth(profile);
+        
+        if (!email) {
+            console.error(`❌ Auth no encontrado: ${profile.id}`);
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Credenciales incorrectas' 
+            });
+        }
+        
+        // Intentar login
+        const { data, error } = await supabaseAuth.auth.signInWithPassword({
+            email: email,
+            password: password
+        });
+        
+        if (error) {
+            console.error(`❌ Login fallido: ${error.message}`);
+            await registrarFalloLogin(nickname, req.ip);
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Credenciales incorrectas' 
+            });
+        }
+        
+        // Solo se revela tras una contraseña correcta
+        if (profile.account_status === 'closed') {
+            console.log(`⛔ Login en cuenta cerrada: ${nickname}`);
+            return res.status(403).json({ 
+                success: false, 
+                code: 'ACCOUNT_CLOSED', 
+                message: 'Esta cuenta está cerrada' 
+            });
+        }
+        
+        // Con 2FA la sesión queda retenida hasta que se verifique el código
+        if (profile.two_factor_enabled) {
+            console.log(`🔐 Login ${nickname}: pendiente de segundo paso`);
+            
+            return res.json({
+                success: true,
+                requires2FA: true,
+                challenge: await crearDesafio2FA(profile, data.session),
+                message: 'Introduce el código de tu app de autenticación'
+            });
+        }
+        
+        await limpiarFallosLogin(nickname);
+        await registrarSesion(profile.id, data.session, req);
+        
+        console.log(`✅ Login exitoso: ${nickname}`);
+        
+        res.json({
+            success: true,
+            message: 'Login exitoso',
+            ...datosSesion(data.session),
+            user: datosUsuarioLogin(profile)
+        });
+        
+    } catch (error) {
+        console.error('Error en login:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+// Segundo paso del login: código TOTP o de recuperación
+app.post('/api/login/2fa', limiteLoginIp, async (req, res) => {
+    try {
+        const { challenge, code } = req.body;
+        const desafio = challenge ? await almacenLimites.leerDesafio(String(challenge)) : null;
+        
+        if (!desafio || desafio.expira < Date.now()) {
+            if (desafio) await almacenLimites.borrarDesafio(challenge);
+            return res.status(401).json({ 
+                success: false, 
+                message: 'La verificación expiró. Vuelve a iniciar sesión' 
+            });
+        }
+        
+        const { profile, session } = desafio;
+        const metodo = await comprobarSegundoFactor(profile.id, code);
+        
+        if (!metodo) {
+            desafio.intentos++;
+            await registrarFalloLogin(profile.nickname, req.ip);
+            
+            if (desafio.intentos >= config.totp.intentosDesafio) {
+                await almacenLimites.borrarDesafio(challenge);
+                return res.status(401).json({ 
+                    success: false, 
+                    message: 'Demasiados códigos incorrectos. Vuelve a iniciar sesión' 
+                });
+            }
+            
+            await almacenLimites.guardarDesafio(challenge, desafio);
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Código incorrecto' 
+            });
+        }
+        
+        await almacenLimites.borrarDesafio(challenge);
+        await limpiarFallosLogin(profile.nickname);
+        await registrarSesion(profile.id, session, req);
+        
+        console.log(`✅ Login exitoso (2FA ${metodo}): ${profile.nickname}`);
+        
+        res.json({
+            success: true,
+            message: 'Login exitoso',
+            ...datosSesion(session),
+            user: datosUsuarioLogin(profile)
+        });
+        
+    } catch (error) {
+        console.error('Error en login 2FA:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+// Rota el refresh token: el anterior deja de valer y se devuelve un par nuevo
+app.post('/api/token/refresh', limiteRefrescoIp, limiteRefrescoToken, async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        if (!refreshToken) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Refresh token requerido' 
+            });
+        }
+        
+        const { data, error } = await supabaseAuth.auth.refreshSession({ refresh_token: refreshToken });
+        
+        if (error || !data?.session) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Sesión expirada. Vuelve a iniciar sesión' 
+            });
+        }
+        
+        const sessionId = sesionDeToken(data.session.access_token);
+        const { data: sesion } = await supabase
+            .from('user_sessions')
+            .select('revoked_at')
+            .eq('id', sessionId)
+            .maybeSingle();
+        
+        if (sesion?.revoked_at) {
+            await supabase.auth.admin.signOut(data.session.access_token, 'local');
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Sesión cerrada' 
+            });
+        }
+        
+        if (sesion) {
+            await supabase
+                .from('user_sessions')
+                .update({ last_used_at: new Date().toISOString(), ip: req.ip })
+                .eq('id', sessionId);
+        } else {
+            await registrarSesion(data.session.user.id, data.session, req);
+        }
+        
+        res.json({
+            success: true,
+            ...datosSesion(data.session)
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error refrescando sesión');
+    }
+});
+
+// ========== RECUPERACIÓN DE CONTRASEÑA ==========
+// El código se envía solo a un contacto verificado. La respuesta es la misma
+// exista o no la cuenta, para no revelar qué nicknames están registrados.
+app.post('/api/password/forgot', limiteRecuperacionIp, limiteRecuperacionCuenta, async (req, res) => {
+    try {
+        const { nickname, channel } = req.body;
+        
+        if (!nickname) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Nickname requerido' 
+            });
+        }
+        
+        const respuesta = {
+            success: true,
+            message: 'Si la cuenta tiene un email o teléfono verificado, recibirás un código'
+        };
+        
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('id, nickname, contact_email, email_verified, phone, phone_verified')
+            .eq('nickname', nickname)
+            .maybeSingle();
+        
+        if (!profile) return res.json(respuesta);
+        
+        // Solo contactos de canales con proveedor (sin pasarela SMS, el teléfono no cuenta)
+        const canales = canalesDeCodigo();
+        const contactos = [];
+        if (profile.contact_email && profile.email_verified) contactos.push({ channel: 'email', destination: profile.contact_email });
+        if (profile.phone && profile.phone_verified) contactos.push({ channel: 'phone', destination: profile.phone });
+        
+        const disponibles = contactos.filter(c => canales.includes(c.channel));
+        const contacto = disponibles.find(c => c.channel === channel) || disponibles[0];
+        
+        if (!contacto) {
+            console.log(`⚠️ Recuperación sin contacto verificado disponible: ${profile.nickname}`);
+            return res.json(respuesta);
+        }
+        
+        const codigo = await crearCodigoUnico(profile.id, { purpose: 'password_reset', ...contacto });
+        await enviarCodigo(contacto.channel, contacto.destination, codigo, 'Recuperación de contraseña - Cromwell Pay');
+        
+        console.log(`🔑 Código de recuperación enviado a ${profile.nickname} por ${contacto.channel}`);
+        
+        res.json(respuesta);
+        
+    } catch (error) {
+        responderError(res, error, 'Error solicitando recuperación');
+    }
+});
+
+app.post('/api/password/reset', limiteRecuperacionIp, limiteRecuperacionCuenta, async (req, res) => {
+    try {
+        const { nickname, code, password } = req.body;
+        
+        if (!nickname || !code) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Nickname y código requeridos' 
+            });
+        }
+        
+        validarPassword(password);
+        
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('id, nickname')
+            .eq('nickname', nickname)
+            .maybeSingle();
+        
+        if (!profile) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Código incorrecto' 
+            });
+        }
+        
+        await consumirCodigoUnico(profile.id, 'password_reset', code);
+        
+        const { error } = await supabase.auth.admin.updateUserById(profile.id, { password: password });
+        
+        if (error) throw error;
+        
+        // Una contraseña nueva desbloquea la cuenta y cierra todas sus sesiones
+        await limpiarFallosLogin(profile.nickname);
+        await revocarSesiones(profile.id);
+        
+        await crearNotificacion(profile.id, {
+            type: 'security',
+            title: 'Contraseña restablecida',
+            message: 'Tu contraseña se cambió con un código de recuperación. Si no fuiste tú, contacta con soporte.',
+            obligatoria: true
+        });
+        
+        console.log(`🔑 Contraseña restablecida: ${profile.nickname}`);
+        
+        res.json({
+            success: true,
+            message: 'Contraseña actualizada. Ya puedes iniciar sesión'
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error restableciendo contraseña');
+    }
+});
+
+// ========== RUTAS PROTEGIDAS ==========
+app.get('/api/verify-token', authenticateToken, async (req, res) => {
+    try {
+        const user = req.user;
+        
+        const { data: profile, error } = await supabase
+            .from('profiles')
+            .select('*')
+            .eq('id', user.id)
+            .single();
+        
+        if (error || !profile) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Perfil no encontrado' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            user: {
+                id: profile.id,
+                nickname: profile.nickname,
+                user_id: profile.user_id,
+                role: profile.role,
+                cwt: profile.cwt || 0,
+                cws: profile.cws || 0,
+                phone: profile.phone || '',
+                province: profile.province || '',
+                wallet_address: profile.wallet_address || '',
+                notifications: profile.notifications !== false,
+                account_status: profile.account_status || 'active',
+                tier: profile.tier || NIVEL_POR_DEFECTO,
+                created_at: profile.created_at
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error verificando token:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.get('/api/dashboard', authenticateToken, async (req, res) => {
+    try {
+        const user = req.user;
+        
+        const { data: profile, error } = await supabase
+            .from('profiles')
+            .select('*')
+            .eq('id', user.id)
+            .single();
+        
+        if (error || !profile) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Perfil no encontrado' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            user: profile,
+            permissions: permisosDeRol(profile.role),
+            dashboard: {
+                total_balance: (profile.cwt || 0) + (profile.cws || 0),
+                total_cwt: profile.cwt,
+                total_cws: profile.cws
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error dashboard:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.get('/api/user/profile', authenticateToken, async (req, res) => {
+    try {
+        const user = req.user;
+        
+        const { data: profile, error } = await supabase
+            .from('profiles')
+            .select('*')
+            .eq('id', user.id)
+            .single();
+        
+        if (error || !profile) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Perfil no encontrado' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            profile: profile
+        });
+        
+    } catch (error) {
+        console.error('Error perfil:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.put('/api/user/profile', authenticateToken, async (req, res) => {
+    try {
+        const user = req.user;
+        const { nickname, phone, province, wallet_address, notifications } = req.body;
+        
+        if (!nickname || !phone || !province) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Datos requeridos' 
+            });
+        }
+        
+        // Verificar nickname único
+        if (nickname !== user.user_metadata?.nickname) {
+            const { data: existing } = await supabase
+                .from('profiles')
+                .select('id')
+                .eq('nickname', nickname)
+                .neq('id', user.id)
+                .single();
+            
+            if (existing) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Nickname ya en uso' 
+                });
+            }
+        }
+        
+        // Cada wallet pertenece a una sola cuenta: los depósitos se asignan por ella
+        if (wallet_address) {
+            if (!/^0x[0-9a-fA-F]{40}$/.test(wallet_address)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Wallet BEP20 inválida' 
+                });
+            }
+            
+            const { data: duenio } = await supabase
+                .from('profiles')
+                .select('id')
+                .ilike('wallet_address', wallet_address)
+                .neq('id', user.id)
+                .maybeSingle();
+            
+            if (duenio) {
+                return res.status(409).json({ 
+                    success: false, 
+                    message: 'Esa wallet ya está registrada en otra cuenta' 
+                });
+            }
+        }
+        
+        const { data: anterior } = await supabase
+            .from('profiles')
+            .select('wallet_address, phone, email_verified, phone_verified')
+            .eq('id', user.id)
+            .single();
+        
+        const cambios = {
+            nickname: nickname,
+            phone: phone,
+            province: province,
+            wallet_address: wallet_address || '',
+            notifications: notifications !== false
+        };
+        
+        // Un teléfono nuevo hay que volver a verificarlo
+        if ((anterior?.phone || '') !== phone) {
+            cambios.phone_verified = false;
+            cambios.verified = !!anterior?.email_verified;
+        }
+        
+        // El cambio de wallet afecta a dónde se pagan los canjes: se avisa siempre
+        const walletCambiada = (anterior?.wallet_address || '') !== (wallet_address || '');
+        if (walletCambiada) cambios.wallet_changed_at = new Date().toISOString();
+        
+        const { error } = await supabase
+            .from('profiles')
+            .update(cambios)
+            .eq('id', user.id);
+        
+        // Otra cuenta registró la misma wallet entre la comprobación y el update
+        if (error?.code === '23505' && error.message?.includes('profiles_wallet_address_idx')) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'Esa wallet ya está registrada en otra cuenta' 
+            });
+        }
+        if (error) throw error;
+        
+        await crearNotificacion(user.id, {
+            type: 'profile',
+            title: 'Perfil actualizado',
+            message: walletCambiada ? 
+                `Tu perfil fue actualizado. Nueva wallet BEP20: ${wallet_address || '(ninguna)'}` : 
+                'Tus datos de perfil fueron actualizados',
+            obligatoria: walletCambiada
+        });
+        
+        res.json({
+            success: true,
+            message: 'Perfil actualizado'
+        });
+        
+    } catch (error) {
+        console.error('Error actualizando perfil:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.post('/api/user/password', authenticateToken, limiteConfirmacionCuenta, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        
+        if (!currentPassword) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Indica tu contraseña actual' 
+            });
+        }
+        
+        validarPassword(newPassword);
+        
+        const { data: profile, error: profileError } = await supabase
+            .from('profiles')
+            .select('id, email, nickname')
+            .eq('id', req.user.id)
+            .single();
+        
+        if (profileError || !profile) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Perfil no encontrado' 
+            });
+        }
+        
+        // La contraseña actual cuenta para el bloqueo igual que en el login
+        const espera = await tiempoBloqueo(profile.nickname);
+        if (espera > 0) {
+            return responderDemasiados(res, espera, 'Cuenta bloqueada temporalmente por intentos fallidos');
+        }
+        
+        const email = await emailDeAuth(profile);
+        const { error: authError } = await supabaseAuth.auth.signInWithPassword({
+            email: email,
+            password: currentPassword
+        });
+        
+        if (authError) {
+            await registrarFalloLogin(profile.nickname, req.ip);
+            return res.status(400).json({ 
+                success: false, 
+                message: 'La contraseña actual no es correcta' 
+            });
+        }
+        
+        const { error } = await supabase.auth.admin.updateUserById(profile.id, { password: newPassword });
+        
+        if (error) throw error;
+        
+        // Las demás sesiones se cierran; la actual sigue abierta
+        await revocarSesiones(profile.id, req.sessionId);
+        
+        await crearNotificacion(profile.id, {
+            type: 'security',
+            title: 'Contraseña cambiada',
+            message: 'Tu contraseña fue cambiada. Si no fuiste tú, contacta con soporte.',
+            obligatoria: true
+        });
+        
+        console.log(`🔑 Contraseña cambiada: ${profile.nickname}`);
+        
+        res.json({
+            success: true,
+            message: 'Contraseña actualizada'
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error cambiando contraseña');
+    }
+});
+
+// ========== SESIONES ==========
+app.post('/api/logout', authenticateToken, async (req, res) => {
+    try {
+        if (req.sessionId) {
+            await supabase
+                .from('user_sessions')
+                .update({ revoked_at: new Date().toISOString() })
+                .eq('id', req.sessionId);
+            
+            cerrarStreams(req.user.id, sesion => sesion === req.sessionId);
+        }
+        
+        // Invalida también el refresh token de esta sesión en Supabase
+        await supabase.auth.admin.signOut(req.token, 'local');
+        
+        res.json({
+            success: true,
+            message: 'Sesión cerrada'
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error cerrando sesión');
+    }
+});
+
+app.get('/api/user/sessions', authenticateToken, async (req, res) => {
+    try {
+        const { data: sessions, error } = await supabase
+            .from('user_sessions')
+            .select('id, user_agent, ip, created_at, last_used_at')
+            .eq('user_id', req.user.id)
+            .is('revoked_at', null)
+            .order('last_used_at', { ascending: false });
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            sessions: (sessions || []).map(s => ({ ...s, current: s.id === req.sessionId }))
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error listando sesiones');
+    }
+});
+
+app.delete('/api/user/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const { data: revocada, error } = await supabase
+            .from('user_sessions')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .is('revoked_at', null)
+            .select('id');
+        
+        if (error) throw error;
+        
+        if (!revocada || !revocada.length) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Sesión no encontrada' 
+            });
+        }
+        
+        cerrarStreams(req.user.id, sesion => sesion === req.params.id);
+        
+        res.json({
+            success: true,
+            message: 'Sesión cerrada',
+            current: req.params.id === req.sessionId
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error cerrando sesión');
+    }
+});
+
+// Cierra la sesión en todos los dispositivos (salvo este, si no se pide lo contrario)
+app.post('/api/user/sessions/revoke-all', authenticateToken, async (req, res) => {
+    try {
+        const includeCurrent = req.body.includeCurrent === true;
+        const total = await revocarSesiones(req.user.id, includeCurrent ? null : req.sessionId);
+        
+        await supabase.auth.admin.signOut(req.token, includeCurrent ? 'global' : 'others');
+        
+        await crearNotificacion(req.user.id, {
+            type: 'security',
+            title: 'Sesiones cerradas',
+            message: `Se cerró la sesión en ${total} dispositivo(s)`,
+            obligatoria: true
+        });
+        
+        res.json({
+            success: true,
+            message: `Sesión cerrada en ${total} dispositivo(s)`,
+            revoked: total
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error cerrando sesiones');
+    }
+});
+
+// ========== VERIFICACIÓN DE CONTACTO ==========
+const CANALES_VERIFICACION = {
+    email: { purpose: 'verify_email', campo: 'contact_email', verificado: 'email_verified' },
+    phone: { purpose: 'verify_phone', campo: 'phone', verificado: 'phone_verified' }
+};
+
+app.post('/api/user/verification/request', authenticateToken, limiteVerificacionCuenta, async (req, res) => {
+    try {
+        const canal = CANALES_VERIFICACION[req.body.channel];
+        
+        if (!canal) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Canal inválido (email o phone)' 
+            });
+        }
+        
+        if (!canalesDeCodigo().includes(req.body.channel)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: req.body.channel === 'phone' ? 
+                    'La verificación por teléfono aún no está disponible' : 
+                    'La verificación por email no está disponible' 
+            });
+        }
+        
+        const { data: profile, error: profileError } = await supabase
+            .from('profiles')
+            .select('id, contact_email, phone, email_verified, phone_verified')
+            .eq('id', req.user.id)
+            .single();
+        
+        if (profileError || !profile) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Perfil no encontrado' 
+            });
+        }
+        
+        let destination = profile[canal.campo];
+        
+        // El email de contacto se guarda aquí (el teléfono se cambia desde el perfil)
+        if (req.body.channel === 'email' && req.body.email) {
+            destination = String(req.body.email).trim().toLowerCase();
+            
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(destination)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Email inválido' 
+                });
+            }
+            
+            if (destination !== profile.contact_email) {
+                const { error } = await supabase
+                    .from('profiles')
+                    .update({
+                        contact_email: destination,
+                        email_verified: false,
+                        verified: !!profile.phone_verified
+                    })
+                    .eq('id', profile.id);
+                
+                if (error) throw error;
+            }
+        }
+        
+        if (!destination) {
+            return res.status(400).json({ 
+                success: false, 
+                message: req.body.channel === 'email' ? 'Indica tu email' : 'Añade un teléfono a tu perfil' 
+            });
+        }
+        
+        const codigo = await crearCodigoUnico(profile.id, {
+            purpose: canal.purpose,
+            channel: req.body.channel,
+            destination: destination
+        });
+        await enviarCodigo(req.body.channel, destination, codigo, 'Código de verificación - Cromwell Pay');
+        
+        res.json({
+            success: true,
+            message: `Código enviado a ${destination}`,
+            expiresIn: Math.round(config.codes.expiraMs / 1000)
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error enviando código de verificación');
+    }
+});
+
+app.post('/api/user/verification/confirm', authenticateToken, limiteConfirmacionCuenta, async (req, res) => {
+    try {
+        const canal = CANALES_VERIFICACION[req.body.channel];
+        
+        if (!canal) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Canal inválido (email o phone)' 
+            });
+        }
+        
+        const registro = await consumirCodigoUnico(req.user.id, canal.purpose, req.body.code);
+        
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('contact_email, phone')
+            .eq('id', req.user.id)
+            .single();
+        
+        // El código solo vale para el contacto al que se envió
+        if (!profile || profile[canal.campo] !== registro.destination) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'El contacto cambió desde que se envió el código. Solicita uno nuevo' 
+            });
+        }
+        
+        const { error } = await supabase
+            .from('profiles')
+            .update({ [canal.verificado]: true, verified: true })
+            .eq('id', req.user.id);
+        
+        if (error) throw error;
+        
+        // Si su primera recarga ya calificó una invitación, se paga ahora
+        await recompensarReferido(req.user.id);
+        
+        await crearNotificacion(req.user.id, {
+            type: 'security',
+            title: req.body.channel === 'email' ? 'Email verificado' : 'Teléfono verificado',
+            message: `${registro.destination} quedó verificado y se podrá usar para recuperar tu cuenta`,
+            obligatoria: true
+        });
+        
+        res.json({
+            success: true,
+            message: 'Contacto verificado',
+            verified: true
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error confirmando verificación');
+    }
+});
+
+app.get('/api/user/balance', authenticateToken, async (req, res) => {
+    try {
+        const user = req.user;
+        
+        const { data: profile, error } = await supabase
+            .from('profiles')
+            .select('cwt, cws')
+            .eq('id', user.id)
+            .single();
+        
+        if (error || !profile) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Perfil no encontrado' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            balance: {
+                cwt: profile.cwt || 0,
+                cws: profile.cws || 0,
+                total: (profile.cwt || 0) + (profile.cws || 0)
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error balance:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.get('/api/user/transactions', authenticateToken, async (req, res) => {
+    try {
+        const user = req.user;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const currency = (req.query.currency || '').toUpperCase();
+        const from = (page - 1) * limit;
+        
+        let query = supabase
+            .from('transactions')
+            .select('id, currency, amount, balance_after, type, reason, reference, created_at', { count: 'exact' })
+            .eq('user_id', user.id);
+        
+        if (currency) {
+            if (!MONEDAS[currency]) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Moneda inválida' 
+                });
+            }
+            query = query.eq('currency', currency);
+        }
+        
+        const { data: transactions, count, error } = await query
+            .order('created_at', { ascending: false })
+            .range(from, from + limit - 1);
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            transactions: transactions || [],
+            pagination: {
+                page: page,
+                limit: limit,
+                total: count || 0,
+                pages: Math.ceil((count || 0) / limit)
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error movimientos:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+// ========== VERIFICACIÓN EN DOS PASOS ==========
+app.get('/api/user/2fa', authenticateToken, async (req, res) => {
+    try {
+        const totp = await leerTOTP(req.user.id);
+        
+        res.json({
+            success: true,
+            enabled: !!totp?.enabled,
+            recoveryCodesLeft: totp?.enabled ? (totp.recovery_codes || []).length : 0
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error leyendo 2FA');
+    }
+});
+
+// Genera un secreto nuevo (aún sin activar) y su QR para la app de autenticación
+app.post('/api/user/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        const totp = await leerTOTP(req.user.id);
+        
+        if (totp?.enabled) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'La verificación en dos pasos ya está activada' 
+            });
+        }
+        
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('nickname')
+            .eq('id', req.user.id)
+            .single();
+        
+        const secret = base32Codificar(crypto.randomBytes(20));
+        const etiqueta = encodeURIComponent(`${config.totp.issuer}:${profile?.nickname || req.user.id}`);
+        const otpauthUrl = `otpauth://totp/${etiqueta}?secret=${secret}&issuer=${encodeURIComponent(config.totp.issuer)}` + 
+            `&digits=${config.totp.digitos}&period=${config.totp.periodo}`;
+        
+        const { error } = await supabase
+            .from('user_totp')
+            .upsert({
+                user_id: req.user.id,
+                secret: secret,
+                enabled: false,
+                last_step: 0,
+                recovery_codes: []
+            });
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            secret: secret,
+            otpauthUrl: otpauthUrl,
+            qr: await QRCode.toDataURL(otpauthUrl)
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error preparando 2FA');
+    }
+});
+
+app.post('/api/user/2fa/enable', authenticateToken, async (req, res) => {
+    try {
+        const totp = await leerTOTP(req.user.id);
+        
+        if (!totp || totp.enabled) {
+            return res.status(400).json({ 
+                success: false, 
+                message: totp ? 'La verificación en dos pasos ya está activada' : 'Primero genera el código QR' 
+            });
+        }
+        
+        const paso = verificarTOTP(totp.secret, req.body.code);
+        
+        if (!paso) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Código incorrecto. Revisa la hora de tu teléfono' 
+            });
+        }
+        
+        // Los códigos de recuperación se muestran una sola vez; solo se guarda su hash
+        const recoveryCodes = generarCodigosRecuperacion();
+        
+        const { error } = await supabase
+            .from('user_totp')
+            .update({
+                enabled: true,
+                last_step: paso,
+                recovery_codes: recoveryCodes.map(hashCodigoRecuperacion),
+                enabled_at: new Date().toISOString()
+            })
+            .eq('user_id', req.user.id);
+        
+        if (error) throw error;
+        
+        await supabase
+            .from('profiles')
+            .update({ two_factor_enabled: true })
+            .eq('id', req.user.id);
+        
+        await crearNotificacion(req.user.id, {
+            type: 'security',
+            title: 'Verificación en dos pasos activada',
+            message: 'Tu cuenta ahora pide un código de tu app de autenticación al iniciar sesión',
+            obligatoria: true
+        });
+        
+        res.json({
+            success: true,
+            message: 'Verificación en dos pasos activada',
+            recoveryCodes: recoveryCodes
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error activando 2FA');
+    }
+});
+
+app.post('/api/user/2fa/recovery-codes', authenticateToken, limiteConfirmacionCuenta, async (req, res) => {
+    try {
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('nickname')
+            .eq('id', req.user.id)
+            .single();
+        
+        // Los códigos erróneos cuentan para el bloqueo igual que en el login
+        const espera = await tiempoBloqueo(profile?.nickname);
+        if (espera > 0) {
+            return responderDemasiados(res, espera, 'Cuenta bloqueada temporalmente por intentos fallidos');
+        }
+        
+        if (!await comprobarSegundoFactor(req.user.id, req.body.code)) {
+            await registrarFalloLogin(profile?.nickname, req.ip);
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Código incorrecto' 
+            });
+        }
+        
+        const recoveryCodes = generarCodigosRecuperacion();
+        
+        const { error } = await supabase
+            .from('user_totp')
+            .update({ recovery_codes: recoveryCodes.map(hashCodigoRecuperacion) })
+            .eq('user_id', req.user.id);
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            message: 'Códigos de recuperación regenerados',
+            recoveryCodes: recoveryCodes
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error regenerando códigos');
+    }
+});
+
+app.post('/api/user/2fa/disable', authenticateToken, limiteConfirmacionCuenta, async (req, res) => {
+    try {
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('role, nickname')
+            .eq('id', req.user.id)
+            .single();
+        
+        if (permisosDeRol(profile?.role).length > 0) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'La verificación en dos pasos es obligatoria para el equipo de administración' 
+            });
+        }
+        
+        const espera = await tiempoBloqueo(profile?.nickname);
+        if (espera > 0) {
+            return responderDemasiados(res, espera, 'Cuenta bloqueada temporalmente por intentos fallidos');
+        }
+        
+        if (!await comprobarSegundoFactor(req.user.id, req.body.code)) {
+            await registrarFalloLogin(profile?.nickname, req.ip);
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Código incorrecto' 
+            });
+        }
+        
+        const { error } = await supabase
+            .from('user_totp')
+            .delete()
+            .eq('user_id', req.user.id);
+        
+        if (error) throw error;
+        
+        await supabase
+            .from('profiles')
+            .update({ two_factor_enabled: false })
+            .eq('id', req.user.id);
+        
+        await crearNotificacion(req.user.id, {
+            type: 'security',
+            title: 'Verificación en dos pasos desactivada',
+            message: 'Tu cuenta ya no pide código al iniciar sesión',
+            obligatoria: true
+        });
+        
+        res.json({
+            success: true,
+            message: 'Verificación en dos pasos desactivada'
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error desactivando 2FA');
+    }
+});
+
+// ========== TIEMPO REAL ==========
+app.post('/api/stream/ticket', authenticateToken, (req, res) => {
+    const ticket = jwt.sign({
+        sub: req.user.id,
+        sid: req.sessionId
+    }, config.jwt.secret, { expiresIn: config.jwt.ticketStream, audience: 'stream' });
+    
+    res.json({
+        success: true,
+        ticket: ticket
+    });
+});
+
+app.get('/api/stream', autenticarTicketStream, async (req, res) => {
+    const userId = req.user.id;
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    
+    res.sesionStream = req.sessionId;
+    if (!clientesSSE.has(userId)) clientesSSE.set(userId, new Set());
+    clientesSSE.get(userId).add(res);
+    
+    // Comentario periódico para que proxies y balanceadores no corten la conexión
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    
+    // Se registra antes de cualquier await para no perder un cierre temprano;
+    // salta tanto si el cliente se va como si cerrarStreams corta la respuesta
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        const clientes = clientesSSE.get(userId);
+        if (clientes) {
+            clientes.delete(res);
+            if (clientes.size === 0) clientesSSE.delete(userId);
+        }
+    });
+    
+    // Estado inicial para que el cliente se sincronice al (re)conectar
+    try {
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('cwt, cws')
+            .eq('id', userId)
+            .single();
+        
+        if (profile && !res.writableEnded) {
+            res.write(`event: balance\ndata: ${JSON.stringify({ balance: { cwt: profile.cwt || 0, cws: profile.cws || 0 } })}\n\n`);
+        }
+    } catch (error) {
+        console.error('Error leyendo saldo inicial del stream:', error);
+    }
+});
+
+// ========== NOTIFICACIONES ==========
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+        
+        const { data: notifications, error } = await supabase
+            .from('notifications')
+            .select('id, type, title, message, read, created_at')
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        
+        if (error) throw error;
+        
+        const { count: unread } = await supabase
+            .from('notifications')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', req.user.id)
+            .eq('read', false);
+        
+        res.json({
+            success: true,
+            notifications: notifications || [],
+            unread: unread || 0
+        });
+        
+    } catch (error) {
+        console.error('Error notificaciones:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.post('/api/notifications/mark-read', authenticateToken, async (req, res) => {
+    try {
+        const { notificationId } = req.body;
+        
+        if (!notificationId) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'notificationId requerido' 
+            });
+        }
+        
+        const { data: notification, error } = await supabase
+            .from('notifications')
+            .update({ read: true })
+            .eq('id', notificationId)
+            .eq('user_id', req.user.id)
+            .select('id')
+            .single();
+        
+        if (error || !notification) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Notificación no encontrada' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Notificación marcada como leída'
+        });
+        
+    } catch (error) {
+        console.error('Error marcando notificación:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.post('/api/notifications/mark-all-read', authenticateToken, async (req, res) => {
+    try {
+        const { error } = await supabase
+            .from('notifications')
+            .update({ read: true })
+            .eq('user_id', req.user.id)
+            .eq('read', false);
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            message: 'Notificaciones marcadas como leídas'
+        });
+        
+    } catch (error) {
+        console.error('Error marcando notificaciones:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.delete('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+        const { error } = await supabase
+            .from('notifications')
+            .delete()
+            .eq('user_id', req.user.id);
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            message: 'Notificaciones eliminadas'
+        });
+        
+    } catch (error) {
+        console.error('Error eliminando notificaciones:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+// ========== TASAS ==========
+// Pública: la usan la landing y el dashboard para mostrar precios y mínimos
+app.get('/api/rates', async (req, res) => {
+    try {
+        const historial = await leerHistorialTasas();
+        const ahora = Date.now();
+        const programadas = historial.filter(t => new Date(t.effectiveFrom).getTime() > ahora);
+        
+        res.json({
+            success: true,
+            rates: await tasasEn(),
+            next: programadas.length ? programadas[programadas.length - 1] : null
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error obteniendo tasas');
+    }
+});
+
+// ========== DEPÓSITOS ==========
+app.get('/api/deposits/info', authenticateToken, async (req, res) => {
+    const tasas = await tasasEn();
+    
+    res.json({
+        success: true,
+        deposit: {
+            enabled: !!config.bsc.depositAddress,
+            address: config.bsc.depositAddress || null,
+            network: 'BEP20 (Binance Smart Chain)',
+            token: 'USDT',
+            contract: config.bsc.usdtContract,
+            minUsdt: tasas.minUsdt,
+            confirmations: config.bsc.confirmations,
+            rate: {
+                usdt: tasas.usdtUnit,
+                cwt: tasas.usdtToCwt,
+                feePct: tasas.depositFeePct
+            }
+        }
+    });
+});
+
+app.get('/api/deposits', authenticateToken, async (req, res) => {
+    try {
+        const { data: deposits, error } = await supabase
+            .from('deposits')
+            .select('*')
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false })
+            .limit(50);
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            deposits: deposits || []
+        });
+        
+    } catch (error) {
+        console.error('Error depósitos:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.post('/api/deposits', authenticateToken, requireCuentaActiva, requireVerified('deposits'), async (req, res) => {
+    try {
+        const txHash = (req.body.tx_hash || '').trim();
+        const amount = parseFloat(req.body.amount);
+        
+        if (!config.bsc.depositAddress) {
+            return res.status(503).json({ 
+                success: false, 
+                message: 'Depósitos USDT no disponibles' 
+            });
+        }
+        
+        if (!/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Hash de transacción inválido' 
+            });
+        }
+        
+        const tasas = await tasasEn();
+        
+        if (!amount || amount < tasas.minUsdt) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `El mínimo de depósito es ${tasas.minUsdt} USDT` 
+            });
+        }
+        
+        // Solo se acredita lo enviado desde la wallet del perfil
+        const { data: perfil } = await supabase
+            .from('profiles')
+            .select('wallet_address')
+            .eq('id', req.user.id)
+            .single();
+        
+        if (!/^0x[0-9a-fA-F]{40}$/.test(perfil?.wallet_address || '')) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Registra en tu perfil la wallet BEP20 desde la que depositas' 
+            });
+        }
+        
+        const { data: deposit, error } = await supabase
+            .from('deposits')
+            .insert({
+                user_id: req.user.id,
+                tx_hash: txHash.toLowerCase(),
+                amount_usdt: amount
+            })
+            .select()
+            .single();
+        
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Esta transacción ya fue reportada' 
+                });
+            }
+            throw error;
+        }
+        
+        console.log(`💵 Depósito reportado por ${req.user.id}: ${amount} USDT ${txHash}`);
+        
+        // Primera verificación inmediata; si falla el RPC queda pendiente para el ciclo periódico
+        let resultado = deposit;
+        try {
+            resultado = await procesarDeposito(deposit);
+        } catch (error) {
+            console.error(`Error verificando depósito ${txHash}:`, error.message);
+        }
+        
+        res.json({
+            success: true,
+            message: resultado.status === 'credited' ? 'Depósito acreditado' : 
+                resultado.status === 'rejected' ? resultado.error : 'Depósito pendiente de verificación',
+            deposit: resultado
+        });
+        
+    } catch (error) {
+        console.error('Error creando depósito:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.post('/api/deposits/:id/verify', authenticateToken, requireCuentaActiva, async (req, res) => {
+    try {
+        const { data: deposit, error } = await supabase
+            .from('deposits')
+            .select('*')
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .single();
+        
+        if (error || !deposit) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Depósito no encontrado' 
+            });
+        }
+        
+        if (deposit.status !== 'pending') {
+            return res.json({
+                success: true,
+                deposit: deposit
+            });
+        }
+        
+        res.json({
+            success: true,
+            deposit: await procesarDeposito(deposit)
+        });
+        
+    } catch (error) {
+        console.error('Error verificando depósito:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error verificando la transacción' 
+        });
+    }
+});
+
+// ========== RECARGAS SALDO MÓVIL ==========
+app.get('/api/topups/saldo/info', authenticateToken, async (req, res) => {
+    const tasas = await tasasEn();
+    
+    res.json({
+        success: true,
+        topup: {
+            enabled: !!config.saldo.phone,
+            phone: config.saldo.phone || null,
+            minSaldo: tasas.minSaldo,
+            rate: {
+                saldo: tasas.saldoUnit,
+                cws: tasas.saldoToCws,
+                feePct: tasas.topupFeePct
+            }
+        }
+    });
+});
+
+app.get('/api/topups', authenticateToken, async (req, res) => {
+    try {
+        const { data: topups, error } = await supabase
+            .from('topups')
+            .select('id, amount_saldo, sender_phone, reference, status, cws_amount, review_note, reviewed_at, created_at')
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false })
+            .limit(50);
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            topups: topups || []
+        });
+        
+    } catch (error) {
+        console.error('Error recargas:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.post('/api/topups/saldo', authenticateToken, requireCuentaActiva, requireVerified('topups'), async (req, res) => {
+    try {
+        const { amount, phone, reference, screenshot } = req.body;
+        const amountSaldo = parseInt(amount);
+        
+        if (!config.saldo.phone) {
+            return res.status(503).json({ 
+                success: false, 
+                message: 'Recargas con saldo no disponibles' 
+            });
+        }
+        
+        const tasas = await tasasEn();
+        
+        if (!amountSaldo || amountSaldo < tasas.minSaldo) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `El mínimo de recarga es ${tasas.minSaldo} Saldo` 
+            });
+        }
+        
+        if (!phone || !phone.trim()) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Teléfono de origen requerido' 
+            });
+        }
+        
+        if (!reference && !screenshot) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Indica la referencia de la transferencia o adjunta una captura' 
+            });
+        }
+        
+        const screenshotPath = screenshot ? await guardarCapturaRecarga(req.user.id, screenshot) : null;
+        
+        const { data: topup, error } = await supabase
+            .from('topups')
+            .insert({
+                user_id: req.user.id,
+                amount_saldo: amountSaldo,
+                sender_phone: phone.trim(),
+                reference: (reference || '').trim(),
+                screenshot_path: screenshotPath
+            })
+            .select('id, amount_saldo, sender_phone, reference, status, created_at')
+            .single();
+        
+        if (error) throw error;
+        
+        console.log(`📱 Recarga saldo reportada por ${req.user.id}: ${amountSaldo} Saldo`);
+        
+        const desde = new Date(Date.now() - UMBRALES_RIESGO.ventanaRecargasMs).toISOString();
+        const { count: recientes } = await supabase
+            .from('topups')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', req.user.id)
+            .gte('created_at', desde);
+        
+        if ((recientes || 0) > UMBRALES_RIESGO.recargasPorVentana) {
+            await marcarRiesgo(req.user.id, 'topup_velocity', { topups: recientes, since: desde });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Recarga enviada para revisión',
+            topup: topup
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error creando recarga');
+    }
+});
+
+// ========== CANJES ==========
+app.get('/api/redemptions', authenticateToken, async (req, res) => {
+    try {
+        const { data: redemptions, error } = await supabase
+            .from('redemptions')
+            .select('id, currency, amount, destination, status, payout_reference, review_note, reviewed_at, created_at')
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false })
+            .limit(50);
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            redemptions: redemptions || []
+        });
+        
+    } catch (error) {
+        console.error('Error canjes:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.post('/api/redemptions', authenticateToken, requireCuentaActiva, requireVerified('redemptions'), requireStepUp, idempotente, async (req, res) => {
+    try {
+        const currency = (req.body.currency || '').toUpperCase();
+        const columna = MONEDAS[currency];
+        
+        if (!columna) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Moneda inválida' 
+            });
+        }
+        
+        const amount = redondearMonto(currency, parseFloat(req.body.amount) || 0);
+        const minimo = (await tasasEn()).minRedeem[columna];
+        
+        if (amount < minimo) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `El mínimo para canjear es ${minimo} ${currency}` 
+            });
+        }
+        
+        const { data: profile, error: profileError } = await supabase
+            .from('profiles')
+            .select('nickname, phone, wallet_address, wallet_changed_at, tier')
+            .eq('id', req.user.id)
+            .single();
+        
+        if (profileError || !profile) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Perfil no encontrado' 
+            });
+        }
+        
+        // CWT se paga en USDT a la wallet BEP20; CWS como recarga al teléfono del perfil
+        const destination = currency === 'CWT' ? profile.wallet_address : profile.phone;
+        
+        if (currency === 'CWT' && !/^0x[0-9a-fA-F]{40}$/.test(destination || '')) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Configura una wallet BEP20 válida en tu perfil' 
+            });
+        }
+        
+        if (currency === 'CWS' && !destination) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Configura tu teléfono en el perfil' 
+            });
+        }
+        
+        // Retener el saldo antes de crear la solicitud; falla con 400 si no alcanza o supera el límite
+        const redemptionId = crypto.randomUUID();
+        const hold = await registrarMovimiento({
+            userId: req.user.id,
+            moneda: currency,
+            monto: -amount,
+            tipo: 'redemption_hold',
+            actorId: req.user.id,
+            motivo: `Canje a ${destination}`,
+            referencia: redemptionId,
+            limites: limitesDeSalida(profile.tier, currency)
+        });
+        
+        const { data: redemption, error } = await supabase
+            .from('redemptions')
+            .insert({
+                id: redemptionId,
+                user_id: req.user.id,
+                currency: currency,
+                amount: amount,
+                destination: destination,
+                hold_transaction_id: hold.id
+            })
+            .select('id, currency, amount, destination, status, created_at')
+            .single();
+        
+        if (error) {
+            await registrarMovimiento({
+                userId: req.user.id,
+                moneda: currency,
+                monto: amount,
+                tipo: 'redemption_release',
+                motivo: 'Canje no registrado',
+                referencia: redemptionId
+            });
+            throw error;
+        }
+        
+        console.log(`🎟️ Canje solicitado por ${profile.nickname}: ${amount} ${currency}`);
+        
+        // Patrón típico de cuenta robada: cambiar la wallet y canjear enseguida
+        if (currency === 'CWT' && profile.wallet_changed_at && 
+            Date.now() - new Date(profile.wallet_changed_at).getTime() < UMBRALES_RIESGO.cambioWalletMs) {
+            await marcarRiesgo(req.user.id, 'wallet_before_redemption', {
+                redemption_id: redemption.id,
+                amount: amount,
+                wallet: destination,
+                wallet_changed_at: profile.wallet_changed_at
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Canje solicitado',
+            redemption: redemption,
+            balance: { [columna]: Number(hold.balance_after) }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error solicitando canje');
+    }
+});
+
+// ========== TRANSFERENCIAS ==========
+// Dos pasos: /quote valida y devuelve un token de confirmación firmado (5 min);
+// POST /api/transfers lo ejecuta. El id de la transferencia va en el token, así
+// que cada confirmación solo puede usarse una vez (clave primaria).
+async function buscarDestinatario(identificador) {
+    const valor = String(identificador || '').trim();
+    if (!valor) throw errorHttp(400, 'Indica el nickname o ID CROM del destinatario');
+    
+    const { data, error } = await supabase
+        .from('profiles')
+        .select('id, nickname, user_id, account_status')
+        .or(`nickname.eq.${valorFiltro(valor)},user_id.eq.${valorFiltro(valor.toUpperCase())}`)
+        .limit(1);
+    
+    if (error) throw error;
+    if (!data || !data.length) throw errorHttp(404, 'Destinatario no encontrado');
+    return data[0];
+}
+
+async function validarTransferencia(userId, body) {
+    const currency = (body.currency || '').toUpperCase();
+    const columna = MONEDAS[currency];
+    
+    if (!columna) throw errorHttp(400, 'Moneda inválida');
+    
+    const amount = redondearMonto(currency, parseFloat(body.amount) || 0);
+    const { minimo, maximoPorTransferencia, maxNota } = config.transfers;
+    
+    if (amount < minimo[columna]) throw errorHttp(400, `El mínimo por transferencia es ${minimo[columna]} ${currency}`);
+    if (amount > maximoPorTransferencia[columna]) {
+        throw errorHttp(400, `El máximo por transferencia es ${maximoPorTransferencia[columna]} ${currency}`);
+    }
+    
+    const note = String(body.note || '').trim().slice(0, maxNota);
+    const recipient = await buscarDestinatario(body.recipient);
+    
+    if (recipient.id === userId) throw errorHttp(400, 'No puedes transferirte a ti mismo');
+    if (recipient.account_status === 'closed') throw errorHttp(400, 'La cuenta del destinatario está cerrada');
+    
+    const { data: sender, error } = await supabase
+        .from('profiles')
+        .select('id, nickname, user_id, cwt, cws, tier')
+        .eq('id', userId)
+        .single();
+    
+    if (error || !sender) throw errorHttp(404, 'Perfil no encontrado');
+    if (Number(sender[columna] || 0) < amount) throw errorHttp(400, `Saldo ${currency} insuficiente`);
+    
+    await comprobarLimites(userId, currency, amount);
+    
+    return { sender, recipient, currency, amount, note };
+}
+
+app.post('/api/transfers/quote', authenticateToken, requireCuentaActiva, async (req, res) => {
+    try {
+        const { recipient, currency, amount, note } = await validarTransferencia(req.user.id, req.body);
+        
+        const confirmationToken = jwt.sign({
+            tid: crypto.randomUUID(),
+            sub: req.user.id,
+            rid: recipient.id,
+            to: recipient.user_id,
+            currency: currency,
+            amount: amount,
+            note: note
+        }, config.jwt.secret, { expiresIn: config.transfers.confirmacion });
+        
+        res.json({
+            success: true,
+            transfer: {
+                recipient: { nickname: recipient.nickname, user_id: recipient.user_id },
+                currency: currency,
+                amount: amount,
+                note: note
+            },
+            confirmationToken: confirmationToken
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error preparando transferencia');
+    }
+});
+
+app.post('/api/transfers', authenticateToken, requireCuentaActiva, requireStepUp, idempotente, async (req, res) => {
+    try {
+        let datos;
+        try {
+            datos = jwt.verify(req.body.confirmationToken || '', config.jwt.secret);
+        } catch (error) {
+            throw errorHttp(400, 'La confirmación expiró. Revisa la transferencia de nuevo');
+        }
+        
+        if (datos.sub !== req.user.id) throw errorHttp(403, 'Confirmación de otro usuario');
+        
+        // Se revalida con los datos firmados: el saldo o el límite diario pueden haber cambiado
+        const { sender, recipient, currency, amount, note } = await validarTransferencia(req.user.id, {
+            recipient: datos.to,
+            currency: datos.currency,
+            amount: datos.amount,
+            note: datos.note
+        });
+        
+        if (recipient.id !== datos.rid) throw errorHttp(409, 'El destinatario cambió. Revisa la transferencia de nuevo');
+        
+        const { error: insertError } = await supabase
+            .from('transfers')
+            .insert({
+                id: datos.tid,
+                sender_id: sender.id,
+                recipient_id: recipient.id,
+                currency: currency,
+                amount: amount,
+                note: note
+            });
+        
+        if (insertError) {
+            if (insertError.code === '23505') throw errorHttp(409, 'Esta transferencia ya se realizó');
+            throw insertError;
+        }
+        
+        let movimientos;
+        try {
+            movimientos = await registrarMovimientos([
+                {
+                    userId: sender.id,
+                    moneda: currency,
+                    monto: -amount,
+                    tipo: 'transfer_out',
+                    actorId: sender.id,
+                    motivo: `Transferencia a ${recipient.nickname}${note ? `: ${note}` : ''}`,
+                    referencia: datos.tid,
+                    limites: limitesDeSalida(sender.tier, currency)
+                },
+                {
+                    userId: recipient.id,
+                    moneda: currency,
+                    monto: amount,
+                    tipo: 'transfer_in',
+                    actorId: sender.id,
+                    motivo: `Transferencia de ${sender.nickname}${note ? `: ${note}` : ''}`,
+                    referencia: datos.tid
+                }
+            ]);
+        } catch (error) {
+            await supabase
+                .from('transfers')
+                .delete()
+                .eq('id', datos.tid);
+            throw error;
+        }
+        
+        const [debito, credito] = movimientos;
+        
+        await supabase
+            .from('transfers')
+            .update({ debit_transaction_id: debito.id, credit_transaction_id: credito.id })
+            .eq('id', datos.tid);
+        
+        await crearNotificacion(sender.id, {
+            type: 'transfer',
+            title: 'Transferencia enviada',
+            message: `Enviaste ${amount} ${currency} a ${recipient.nickname}`
+        });
+        
+        await crearNotificacion(recipient.id, {
+            type: 'transfer',
+            title: 'Transferencia recibida',
+            message: `${sender.nickname} te envió ${amount} ${currency}${note ? `: ${note}` : ''}`
+        });
+        
+        console.log(`🔁 Transferencia ${sender.nickname} → ${recipient.nickname}: ${amount} ${currency}`);
+        
+        res.json({
+            success: true,
+            message: 'Transferencia realizada',
+            transfer: {
+                id: datos.tid,
+                recipient: { nickname: recipient.nickname, user_id: recipient.user_id },
+                currency: currency,
+                amount: amount,
+                note: note
+            },
+            balance: { [MONEDAS[currency]]: Number(debito.balance_after) }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error realizando transferencia');
+    }
+});
+
+app.get('/api/transfers', authenticateToken, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        
+        const { data: transfers, error } = await supabase
+            .from('transfers')
+            .select('id, currency, amount, note, created_at, sender_id, recipient_id, ' + 
+                'sender:profiles!transfers_sender_id_fkey(nickname, user_id), ' + 
+                'recipient:profiles!transfers_recipient_id_fkey(nickname, user_id)')
+            .or(`sender_id.eq.${req.user.id},recipient_id.eq.${req.user.id}`)
+            .not('debit_transaction_id', 'is', null)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            transfers: (transfers || []).map(t => ({
+                id: t.id,
+                direction: t.sender_id === req.user.id ? 'out' : 'in',
+                counterpart: t.sender_id === req.user.id ? t.recipient : t.sender,
+                currency: t.currency,
+                amount: Number(t.amount),
+                note: t.note,
+                created_at: t.created_at
+            }))
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error listando transferencias');
+    }
+});
+
+// ========== REFERIDOS ==========
+app.get('/api/user/referrals', authenticateToken, async (req, res) => {
+    try {
+        const { data: profile, error: profileError } = await supabase
+            .from('profiles')
+            .select('id, referral_code')
+            .eq('id', req.user.id)
+            .single();
+        
+        if (profileError || !profile) throw errorHttp(404, 'Perfil no encontrado');
+        
+        // Perfiles anteriores a los referidos: el código se genera la primera vez
+        let code = profile.referral_code;
+        if (!code) {
+            code = generarCodigoReferido();
+            const { error } = await supabase
+                .from('profiles')
+                .update({ referral_code: code })
+                .eq('id', profile.id);
+            
+            if (error) throw error;
+        }
+        
+        const { data: referrals, error } = await supabase
+            .from('referrals')
+            .select('id, status, reward, reject_reason, created_at, qualified_at, rewarded_at, referee:profiles!referrals_referee_id_fkey(nickname)')
+            .eq('referrer_id', req.user.id)
+            .order('created_at', { ascending: false });
+        
+        if (error) throw error;
+        
+        const earned = { cwt: 0, cws: 0 };
+        (referrals || []).forEach(r => {
+            if (r.status !== 'rewarded' || !r.reward) return;
+            earned.cwt += Number(r.reward.cwt || 0);
+            earned.cws += Number(r.reward.cws || 0);
+        });
+        
+        res.json({
+            success: true,
+            code: code,
+            link: `${urlPublica(req)}/login.html?ref=${code}`,
+            reward: config.referrals.recompensa,
+            earned: { cwt: redondearMonto('CWT', earned.cwt), cws: earned.cws },
+            referrals: (referrals || []).map(r => ({
+                id: r.id,
+                nickname: r.referee ? r.referee.nickname : null,
+                status: r.status,
+                reward: r.reward,
+                reject_reason: r.reject_reason,
+                created_at: r.created_at,
+                qualified_at: r.qualified_at,
+                rewarded_at: r.rewarded_at
+            }))
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error obteniendo referidos');
+    }
+});
+
+// ========== CUPONES ==========
+app.post('/api/vouchers/redeem', authenticateToken, requireCuentaActiva, limiteCupones, async (req, res) => {
+    try {
+        const movimientos = await canjearCupon(req.user.id, req.body.code);
+        
+        const abonado = { cwt: 0, cws: 0 };
+        const balance = {};
+        movimientos.forEach(m => {
+            abonado[MONEDAS[m.currency]] = Number(m.amount);
+            balance[MONEDAS[m.currency]] = Number(m.balance_after);
+        });
+        
+        const texto = [
+            abonado.cwt > 0 ? `${abonado.cwt} CWT` : null,
+            abonado.cws > 0 ? `${abonado.cws} CWS` : null
+        ].filter(Boolean).join(' y ');
+        
+        await crearNotificacion(req.user.id, {
+            type: 'voucher',
+            title: 'Cupón canjeado',
+            message: `Recibiste ${texto} con el cupón ${normalizarCodigoCupon(req.body.code)}`
+        });
+        
+        console.log(`🎟️ Cupón ${normalizarCodigoCupon(req.body.code)} canjeado por ${req.user.id}: ${texto}`);
+        
+        res.json({
+            success: true,
+            message: `Cupón canjeado: +${texto}`,
+            credited: abonado,
+            balance: balance
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error canjeando cupón');
+    }
+});
+
+// ========== API DE COMERCIOS ==========
+async function pagoDeComercio(merchantId, id) {
+    const { data: pago } = await supabase
+        .from('payment_requests')
+        .select('*')
+        .eq('id', id)
+        .eq('merchant_id', merchantId)
+        .maybeSingle();
+    
+    if (!pago) throw errorHttp(404, 'Solicitud de pago no encontrada');
+    return pago;
+}
+
+app.post('/api/merchant/payment-requests', authenticateMerchant, limiteComercio, async (req, res) => {
+    try {
+        const { amount, description, expiresIn, callbackUrl, reference } = req.body;
+        const currency = (req.body.currency || '').toUpperCase();
+        
+        if (!MONEDAS[currency]) throw errorHttp(400, 'Moneda inválida');
+        
+        const monto = redondearMonto(currency, parseFloat(amount) || 0);
+        if (monto <= 0) throw errorHttp(400, 'Monto inválido');
+        
+        const descripcion = String(description || '').trim();
+        if (!descripcion) throw errorHttp(400, 'Descripción requerida');
+        if (descripcion.length > config.merchants.maxDescripcion) {
+            throw errorHttp(400, `La descripción admite ${config.merchants.maxDescripcion} caracteres como máximo`);
+        }
+        
+        const expiraMs = expiresIn ? parseInt(expiresIn) * 1000 : config.merchants.expiraPorDefectoMs;
+        if (!expiraMs || expiraMs < 60 * 1000 || expiraMs > config.merchants.expiraMaximaMs) {
+            throw errorHttp(400, `expiresIn debe estar entre 60 y ${config.merchants.expiraMaximaMs / 1000} segundos`);
+        }
+        
+        const referencia = reference ? String(reference).trim().slice(0, 100) : null;
+        
+        const { data: pago, error } = await supabase
+            .from('payment_requests')
+            .insert({
+                merchant_id: req.merchant.id,
+                amount: monto,
+                currency: currency,
+                description: descripcion,
+                reference: referencia,
+                callback_url: await leerUrlCallback(callbackUrl),
+                expires_at: new Date(Date.now() + expiraMs).toISOString()
+            })
+            .select()
+            .single();
+        
+        let resultado = pago;
+        
+        if (error) {
+            if (error.code !== '23505') throw error;
+            
+            // La misma referencia ya se usó: reintento del comercio. Se devuelve la
+            // solicitud original si coincide, si no es un conflicto.
+            const { data: previa } = await supabase
+                .from('payment_requests')
+                .select('*')
+                .eq('merchant_id', req.merchant.id)
+                .eq('reference', referencia)
+                .single();
+            
+            if (!previa || Number(previa.amount) !== monto || previa.currency !== currency) {
+                throw errorHttp(409, 'Ya existe una solicitud con esa referencia y otro importe');
+            }
+            resultado = previa;
+        }
+        
+        const payUrl = urlPago(req, resultado.id);
+        
+        res.json({
+            success: true,
+            payment: {
+                ...datosPago(resultado),
+                pay_url: payUrl,
+                qr: await QRCode.toDataURL(payUrl)
+            }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error creando solicitud de pago');
+    }
+});
+
+app.get('/api/merchant/payment-requests', authenticateMerchant, limiteComercio, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        
+        let query = supabase
+            .from('payment_requests')
+            .select('*')
+            .eq('merchant_id', req.merchant.id)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        
+        if (req.query.status) query = query.eq('status', req.query.status);
+        if (req.query.reference) query = query.eq('reference', req.query.reference);
+        
+        const { data: pagos, error } = await query;
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            payments: (pagos || []).map(datosPago)
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error listando solicitudes de pago');
+    }
+});
+
+app.get('/api/merchant/payment-requests/:id', authenticateMerchant, limiteComercio, async (req, res) => {
+    try {
+        const pago = await pagoDeComercio(req.merchant.id, req.params.id);
+        
+        res.json({
+            success: true,
+            payment: { ...datosPago(pago), pay_url: urlPago(req, pago.id) }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error obteniendo solicitud de pago');
+    }
+});
+
+app.post('/api/merchant/payment-requests/:id/cancel', authenticateMerchant, limiteComercio, async (req, res) => {
+    try {
+        const pago = await pagoDeComercio(req.merchant.id, req.params.id);
+        
+        const { data: cancelado } = await supabase
+            .from('payment_requests')
+            .update({ status: 'cancelled' })
+            .eq('id', pago.id)
+            .eq('status', 'pending')
+            .select()
+            .single();
+        
+        if (!cancelado) throw errorHttp(409, 'Solo se pueden cancelar solicitudes pendientes');
+        
+        avisarComercio(cancelado, 'payment.cancelled');
+        
+        res.json({
+            success: true,
+            payment: datosPago(cancelado)
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error cancelando solicitud de pago');
+    }
+});
+
+// Devolución total o parcial: se descuenta del dueño del comercio y vuelve al pagador
+app.post('/api/merchant/payment-requests/:id/refund', authenticateMerchant, limiteComercio, async (req, res) => {
+    try {
+        const pago = await pagoDeComercio(req.merchant.id, req.params.id);
+        
+        if (pago.status !== 'paid') throw errorHttp(409, 'Solo se pueden devolver pagos cobrados');
+        
+        const devuelto = Number(pago.refunded_amount || 0);
+        const restante = redondearMonto(pago.currency, Number(pago.amount) - devuelto);
+        const monto = req.body.amount !== undefined ? redondearMonto(pago.currency, parseFloat(req.body.amount) || 0) : restante;
+        const motivo = String(req.body.reason || '').trim().slice(0, 200);
+        
+        if (monto <= 0 || monto > restante) throw errorHttp(400, `Puedes devolver como máximo ${restante} ${pago.currency}`);
+        
+        const total = redondearMonto(pago.currency, devuelto + monto);
+        const completo = total >= Number(pago.amount);
+        
+        // Reclamar la devolución: si otra entra a la vez, refunded_amount ya no coincide
+        const { data: reclamado } = await supabase
+            .from('payment_requests')
+            .update({ refunded_amount: total, status: completo ? 'refunded' : 'paid' })
+            .eq('id', pago.id)
+            .eq('status', 'paid')
+            .eq('refunded_amount', devuelto)
+            .select()
+            .single();
+        
+        if (!reclamado) throw errorHttp(409, 'El pago cambió mientras se procesaba la devolución');
+        
+        let movimientos;
+        try {
+            movimientos = await registrarMovimientos([
+                {
+                    userId: req.merchant.owner_id,
+                    moneda: pago.currency,
+                    monto: -monto,
+                    tipo: 'payment_refund_out',
+                    actorId: req.merchant.owner_id,
+                    motivo: `Devolución de ${pago.description}${motivo ? `: ${motivo}` : ''}`,
+                    referencia: pago.id
+                },
+                {
+                    userId: pago.payer_id,
+                    moneda: pago.currency,
+                    monto: monto,
+                    tipo: 'payment_refund',
+                    actorId: req.merchant.owner_id,
+                    motivo: `Devolución de ${req.merchant.name}${motivo ? `: ${motivo}` : ''}`,
+                    referencia: pago.id
+                }
+            ]);
+        } catch (error) {
+            await supabase
+                .from('payment_requests')
+                .update({ refunded_amount: devuelto, status: 'paid' })
+                .eq('id', pago.id)
+                .eq('refunded_amount', total);
+            throw error;
+        }
+        
+        const [debito, credito] = movimientos;
+        
+        await supabase
+            .from('payment_refunds')
+            .insert({
+                payment_id: pago.id,
+                amount: monto,
+                reason: motivo || null,
+                debit_transaction_id: debito.id,
+                credit_transaction_id: credito.id
+            });
+        
+        await crearNotificacion(pago.payer_id, {
+            type: 'payment',
+            title: 'Devolución recibida',
+            message: `${req.merchant.name} te devolvió ${monto} ${pago.currency} de "${pago.description}"`
+        });
+        
+        avisarComercio(reclamado, 'payment.refunded');
+        emitirWebhook('payment.refunded', { ...datosPago(reclamado), payer_id: pago.payer_id, refund: { amount: monto, reason: motivo || null } });
+        
+        console.log(`↩️ Devolución ${req.merchant.name}: ${monto} ${pago.currency} (${pago.id})`);
+        
+        res.json({
+            success: true,
+            payment: datosPago(reclamado),
+            refund: { amount: monto, reason: motivo || null }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error devolviendo pago');
+    }
+});
+
+// ========== PAGOS A COMERCIOS ==========
+app.get('/api/payments/:id', authenticateToken, async (req, res) => {
+    try {
+        const { data: pago } = await supabase
+            .from('payment_requests')
+            .select('*, merchant:merchants(name, status)')
+            .eq('id', req.params.id)
+            .maybeSingle();
+        
+        // Solo el pagador ve una solicitud ya cobrada
+        if (!pago || (pago.payer_id && pago.payer_id !== req.user.id)) {
+            throw errorHttp(404, 'Solicitud de pago no encontrada');
+        }
+        
+        res.json({
+            success: true,
+            payment: { ...datosPago(pago), merchant: { name: pago.merchant.name } }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error obteniendo solicitud de pago');
+    }
+});
+
+app.post('/api/payments/:id/pay', authenticateToken, requireCuentaActiva, requireStepUp, idempotente, async (req, res) => {
+    try {
+        const { data: pago } = await supabase
+            .from('payment_requests')
+            .select('*, merchant:merchants(id, owner_id, name, status)')
+            .eq('id', req.params.id)
+            .maybeSingle();
+        
+        if (!pago) throw errorHttp(404, 'Solicitud de pago no encontrada');
+        if (pago.merchant.status !== 'active') throw errorHttp(409, 'El comercio no acepta pagos ahora mismo');
+        if (pago.merchant.owner_id === req.user.id) throw errorHttp(400, 'No puedes pagar tu propia solicitud');
+        
+        const estado = estadoPago(pago);
+        if (estado !== 'pending') {
+            throw errorHttp(409, estado === 'expired' ? 'La solicitud de pago expiró' : 'La solicitud de pago ya no está disponible');
+        }
+        
+        const limites = await limitesDeCuenta(req.user.id, pago.currency);
+        
+        // Reclamar el pago: solo un pagador puede pasarlo de 'pending' a 'paid'
+        const ahora = new Date().toISOString();
+        const { data: reclamado } = await supabase
+            .from('payment_requests')
+            .update({ status: 'paid', payer_id: req.user.id, paid_at: ahora })
+            .eq('id', pago.id)
+            .eq('status', 'pending')
+            .gt('expires_at', ahora)
+            .select()
+            .single();
+        
+        if (!reclamado) throw errorHttp(409, 'La solicitud de pago ya no está disponible');
+        
+        const amount = Number(pago.amount);
+        let movimientos;
+        try {
+            movimientos = await registrarMovimientos([
+                {
+                    userId: req.user.id,
+                    moneda: pago.currency,
+                    monto: -amount,
+                    tipo: 'payment',
+                    actorId: req.user.id,
+                    motivo: `${pago.merchant.name}: ${pago.description}`,
+                    referencia: pago.id,
+                    limites: limites
+                },
+                {
+                    userId: pago.merchant.owner_id,
+                    moneda: pago.currency,
+                    monto: amount,
+                    tipo: 'payment_received',
+                    actorId: req.user.id,
+                    motivo: `Cobro ${pago.merchant.name}: ${pago.description}`,
+                    referencia: pago.id
+                }
+            ]);
+        } catch (error) {
+            await supabase
+                .from('payment_requests')
+                .update({ status: 'pending', payer_id: null, paid_at: null })
+                .eq('id', pago.id)
+                .eq('status', 'paid');
+            throw error;
+        }
+        
+        const [debito, credito] = movimientos;
+        
+        const { data: pagado } = await supabase
+            .from('payment_requests')
+            .update({ debit_transaction_id: debito.id, credit_transaction_id: credito.id })
+            .eq('id', pago.id)
+            .select()
+            .single();
+        
+        await crearNotificacion(pago.merchant.owner_id, {
+            type: 'payment',
+            title: 'Cobro recibido',
+            message: `${pago.merchant.name} cobró ${amount} ${pago.currency}: ${pago.description}`
+        });
+        
+        avisarComercio(pagado || reclamado, 'payment.paid');
+        emitirWebhook('payment.paid', { ...datosPago(pagado || reclamado), payer_id: req.user.id });
+        
+        console.log(`🛒 Pago ${pago.merchant.name}: ${amount} ${pago.currency} (${pago.id})`);
+        
+        res.json({
+            success: true,
+            message: 'Pago realizado',
+            payment: { ...datosPago(pagado || reclamado), merchant: { name: pago.merchant.name } },
+            balance: { [MONEDAS[pago.currency]]: Number(debito.balance_after) }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error realizando pago');
+    }
+});
+
+// ========== RUTAS ADMIN ==========
+app.use('/api/admin', auditarAdmin);
+
+const ORDEN_USUARIOS = ['created_at', 'nickname', 'user_id', 'cwt', 'cws'];
+
+app.get('/api/admin/users', authenticateToken, requireAdmin, requirePermiso('users.read'), async (req, res) => {
+    try {
+        const {
+            search, province, role, account_status, tier, flagged,
+            min_cwt, max_cwt, min_cws, max_cws,
+            created_from, created_to, cursor
+        } = req.query;
+        const sort = ORDEN_USUARIOS.includes(req.query.sort) ? req.query.sort : 'created_at';
+        const ascending = req.query.order === 'asc';
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        
+        // Señales de riesgo abiertas; con ?flagged=1 solo los usuarios que tienen alguna
+        const senales = `risk_flags:risk_flags!risk_flags_user_id_fkey${flagged ? '!inner' : ''}(id, type, severity, details, created_at, updated_at)`;
+        let query = supabase
+            .from('profiles')
+            .select(`*, ${senales}`, cursor ? undefined : { count: 'exact' })
+            .eq('risk_flags.status', 'open');
+        
+        if (search && search.trim()) {
+            // Los comodines de ilike se escapan para buscar el texto literal
+            const termino = search.trim().replace(/[%_\\]/g, c => `\\${c}`);
+            query = query.or(['nickname', 'user_id', 'phone', 'wallet_address']
+                .map(campo => `${campo}.ilike.${valorFiltro(`%${termino}%`)}`)
+                .join(','));
+        }
+        
+        if (province) query = query.eq('province', province);
+        if (role) query = query.eq('role', role);
+        if (account_status) query = query.eq('account_status', account_status);
+        if (tier) query = query.eq('tier', tier);
+        if (min_cwt) query = query.gte('cwt', parseFloat(min_cwt));
+        if (max_cwt) query = query.lte('cwt', parseFloat(max_cwt));
+        if (min_cws) query = query.gte('cws', parseInt(min_cws));
+        if (max_cws) query = query.lte('cws', parseInt(max_cws));
+        if (created_from) query = query.gte('created_at', leerFechaFiltro(created_from, 'created_from'));
+        if (created_to) query = query.lte('created_at', leerFechaFiltro(created_to, 'created_to', true));
+        
+        // Paginación por cursor (keyset) sobre (campo de orden, id)
+        if (cursor) {
+            const { v, id } = decodificarCursor(cursor);
+            const op = ascending ? 'gt' : 'lt';
+            query = query.or(`${sort}.${op}.${valorFiltro(v)},and(${sort}.eq.${valorFiltro(v)},id.${op}.${valorFiltro(id)})`);
+        }
+        
+        const { data, count, error } = await query
+            .order(sort, { ascending })
+            .order('id', { ascending })
+            .limit(limit + 1);
+        
+        if (error) throw error;
+        
+        const users = (data || []).slice(0, limit);
+        const ultimo = users[users.length - 1];
+        const hasMore = (data || []).length > limit;
+        
+        res.json({
+            success: true,
+            users: users,
+            tiers: NIVELES_CUENTA,
+            pagination: {
+                limit: limit,
+                total: cursor ? undefined : count || 0,
+                hasMore: hasMore,
+                nextCursor: hasMore ? codificarCursor({ v: ultimo[sort], id: ultimo.id }) : null
+            }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error obteniendo usuarios');
+    }
+});
+
+app.get('/api/admin/stats', authenticateToken, requireAdmin, requirePermiso('stats.read'), async (req, res) => {
+    try {
+        const { from, to } = leerRangoFechas(req.query);
+        const desde = from.toISOString();
+        const hasta = to.toISOString();
+        
+        // Agregado en SQL: no se leen los perfiles ni los movimientos uno a uno
+        const { data: estadisticas, error } = await supabase.rpc('estadisticas_admin', {
+            p_desde: desde,
+            p_hasta: hasta
+        });
+        
+        if (error) throw error;
+        
+        const buckets = estadisticas.daily.map(b => ({
+            ...b,
+            deposited_usdt: redondearMonto('CWT', Number(b.deposited_usdt)),
+            deposited_cwt: redondearMonto('CWT', Number(b.deposited_cwt)),
+            deposited_saldo: Number(b.deposited_saldo),
+            deposited_cws: Number(b.deposited_cws),
+            redeemed_cwt: redondearMonto('CWT', Number(b.redeemed_cwt)),
+            redeemed_cws: Number(b.redeemed_cws)
+        }));
+        const total = (campo) => buckets.reduce((suma, b) => suma + b[campo], 0);
+        
+        res.json({
+            success: true,
+            stats: {
+                totalCWT: redondearMonto('CWT', Number(estadisticas.total_cwt)),
+                totalCWS: Number(estadisticas.total_cws),
+                totalUsers: Number(estadisticas.total_users),
+                range: { from: desde, to: hasta },
+                signups: total('signups'),
+                deposited: {
+                    usdt: redondearMonto('CWT', total('deposited_usdt')),
+                    cwt: redondearMonto('CWT', total('deposited_cwt')),
+                    saldo: total('deposited_saldo'),
+                    cws: total('deposited_cws')
+                },
+                redeemed: {
+                    cwt: redondearMonto('CWT', total('redeemed_cwt')),
+                    cws: total('redeemed_cws')
+                },
+                daily: buckets
+            }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error estadísticas');
+    }
+});
+
+// Conjuntos exportables y columnas permitidas (la primera lista es la selección por defecto)
+const EXPORTACIONES = {
+    users: {
+        tabla: 'profiles',
+        select: '*',
+        columnas: ['user_id', 'nickname', 'role', 'cwt', 'cws', 'phone', 'province', 'wallet_address', 'created_at', 'id', 'notifications'],
+        fila: (p) => p
+    },
+    transactions: {
+        tabla: 'transactions',
+        select: '*, profiles!transactions_user_id_fkey(nickname, user_id)',
+        columnas: ['created_at', 'crom_id', 'nickname', 'currency', 'amount', 'balance_after', 'type', 'reason', 'reference', 'id', 'user_id', 'actor_id'],
+        fila: ({ profiles, ...t }) => ({ ...t, crom_id: profiles?.user_id || '', nickname: profiles?.nickname || '' })
+    }
+};
+
+function celdaCSV(valor) {
+    if (valor === null || valor === undefined) return '';
+    
+    let texto = typeof valor === 'object' ? JSON.stringify(valor) : String(valor);
+    
+    // Evitar que Excel interprete texto como fórmula (los números negativos se dejan tal cual)
+    if (typeof valor === 'string' && /^[=+\-@]/.test(texto) && isNaN(Number(texto))) {
+        texto = `'${texto}`;
+    }
+    
+    return /[",\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+app.get('/api/admin/export', authenticateToken, requireAdmin, requirePermiso('data.export'), async (req, res) => {
+    try {
+        const dataset = EXPORTACIONES[req.query.dataset || 'users'];
+        const format = req.query.format === 'json' ? 'json' : 'csv';
+        
+        if (!dataset) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Conjunto de datos inválido' 
+            });
+        }
+        
+        const columnas = req.query.columns ? 
+            req.query.columns.split(',').filter(c => dataset.columnas.includes(c)) : 
+            dataset.columnas.slice(0, 9);
+        
+        if (columnas.length === 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Columnas inválidas' 
+            });
+        }
+        
+        // Sin from/to se exporta todo el histórico
+        const rango = req.query.from || req.query.to ? leerRangoFechas(req.query, 30, 3660) : null;
+        const nombre = `cromwell_${req.query.dataset || 'users'}_${new Date().toISOString().slice(0, 10)}.${format}`;
+        
+        res.locals.auditoria = {
+            action: 'data.export',
+            after: { dataset: req.query.dataset || 'users', format, columns: columnas, from: req.query.from || null, to: req.query.to || null }
+        };
+        
+        res.set({
+            'Content-Type': format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${nombre}"`
+        });
+        
+        // BOM para que Excel abra el CSV en UTF-8 (acentos y ñ)
+        res.write(format === 'json' ? '[' : `\ufeff${columnas.join(',')}\n`);
+        
+        let escritos = 0;
+        const tamano = 1000;
+        
+        // Se escribe página a página para no cargar toda la tabla en memoria
+        for (let desde = 0; ; desde += tamano) {
+            let query = supabase
+                .from(dataset.tabla)
+                .select(dataset.select);
+            
+            if (rango) {
+                query = query
+                    .gte('created_at', rango.from.toISOString())
+                    .lte('created_at', rango.to.toISOString());
+            }
+            
+            const { data, error } = await query
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true })
+                .range(desde, desde + tamano - 1);
+            
+            if (error) throw error;
+            
+            const bloque = (data || []).map(registro => {
+                const fila = dataset.fila(registro);
+                
+                if (format === 'json') {
+                    const objeto = {};
+                    columnas.forEach(c => { objeto[c] = fila[c] ?? null; });
+                    return `${escritos++ === 0 ? '' : ','}\n${JSON.stringify(objeto)}`;
+                }
+                
+                return `${columnas.map(c => celdaCSV(fila[c])).join(',')}\n`;
+            });
+            
+            if (bloque.length) res.write(bloque.join(''));
+            
+            if (!data || data.length < tamano) break;
+        }
+        
+        if (format === 'json') res.write('\n]');
+        res.end();
+        
+        console.log(`📤 Exportación ${req.query.dataset || 'users'} (${format}) por ${req.user.id}`);
+        
+    } catch (error) {
+        // Si ya empezó el stream no se puede cambiar el código HTTP: se corta la descarga
+        if (res.headersSent) {
+            console.error('Error exportando:', error);
+            return res.end();
+        }
+        responderError(res, error, 'Error exportando');
+    }
+});
+
+app.get('/api/admin/deposits', authenticateToken, requireAdmin, requirePermiso('deposits.read'), async (req, res) => {
+    try {
+        let query = supabase
+            .from('deposits')
+            .select('*, profiles(nickname, user_id)')
+            .order('created_at', { ascending: false })
+            .limit(200);
+        
+        if (req.query.status) query = query.eq('status', req.query.status);
+        
+        const { data: deposits, error } = await query;
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            deposits: deposits || []
+        });
+        
+    } catch (error) {
+        console.error('Error depósitos admin:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.get('/api/admin/topups', authenticateToken, requireAdmin, requirePermiso('topups.review'), async (req, res) => {
+    try {
+        let query = supabase
+            .from('topups')
+            .select('*, profiles!topups_user_id_fkey(nickname, user_id, phone)')
+            .order('created_at', { ascending: true })
+            .limit(200);
+        
+        if (req.query.status) query = query.eq('status', req.query.status);
+        
+        const { data: topups, error } = await query;
+        
+        if (error) throw error;
+        
+        // Enlaces temporales a las capturas del bucket privado
+        const rutas = (topups || []).filter(t => t.screenshot_path).map(t => t.screenshot_path);
+        const enlaces = {};
+        
+        if (rutas.length) {
+            const { data: firmadas } = await supabase.storage
+                .from(config.saldo.screenshotBucket)
+                .createSignedUrls(rutas, 60 * 60);
+            
+            (firmadas || []).forEach(f => {
+                enlaces[f.path] = f.signedUrl;
+            });
+        }
+        
+        res.json({
+            success: true,
+            topups: await Promise.all((topups || []).map(async t => ({
+                ...t,
+                screenshot_url: enlaces[t.screenshot_path] || null,
+                cws_estimate: saldoACws(t.amount_saldo, await tasasEn(t.created_at))
+            })))
+        });
+        
+    } catch (error) {
+        console.error('Error recargas admin:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.post('/api/admin/topups/:id/approve', authenticateToken, requireAdmin, requirePermiso('topups.review'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const note = (req.body.note || '').trim();
+        
+        const { data: topup, error: topupError } = await supabase
+            .from('topups')
+            .select('*')
+            .eq('id', id)
+            .single();
+        
+        if (topupError || !topup) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Recarga no encontrada' 
+            });
+        }
+        
+        if (topup.user_id === req.profile.id) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'No puedes aprobar tu propia recarga' 
+            });
+        }
+        
+        // El admin puede corregir el monto si lo recibido no coincide con lo declarado
+        const amountSaldo = parseInt(req.body.amount) || topup.amount_saldo;
+        const cws = saldoACws(amountSaldo, await tasasEn(topup.created_at));
+        
+        if (cws <= 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Monto insuficiente para acreditar CWS' 
+            });
+        }
+        
+        // Reclamar la recarga: solo una aprobación puede pasar de 'pending' a 'approved'
+        const { data: aprobada } = await supabase
+            .from('topups')
+            .update({
+                status: 'approved',
+                amount_saldo: amountSaldo,
+                cws_amount: cws,
+                reviewed_by: req.user.id,
+                reviewed_at: new Date().toISOString(),
+                review_note: note
+            })
+            .eq('id', id)
+            .eq('status', 'pending')
+            .select()
+            .single();
+        
+        if (!aprobada) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'La recarga ya fue revisada' 
+            });
+        }
+        
+        let movimiento;
+        try {
+            movimiento = await registrarMovimiento({
+                userId: topup.user_id,
+                moneda: 'CWS',
+                monto: cws,
+                tipo: 'topup',
+                actorId: req.user.id,
+                motivo: `Recarga de ${amountSaldo} Saldo móvil`,
+                referencia: topup.id
+            });
+        } catch (error) {
+            await supabase
+                .from('topups')
+                .update({ status: 'pending', reviewed_by: null, reviewed_at: null })
+                .eq('id', id);
+            throw error;
+        }
+        
+        await supabase
+            .from('topups')
+            .update({ transaction_id: movimiento.id })
+            .eq('id', id);
+        
+        await crearNotificacion(topup.user_id, {
+            type: 'topup',
+            title: 'Recarga aprobada',
+            message: `Tu recarga de ${amountSaldo} Saldo fue aprobada: +${cws} CWS`
+        });
+        
+        res.locals.auditoria = {
+            action: 'topup.approve',
+            targetUserId: topup.user_id,
+            before: { status: topup.status, amount_saldo: topup.amount_saldo },
+            after: { status: 'approved', amount_saldo: amountSaldo, cws_amount: cws, transaction_id: movimiento.id, note }
+        };
+        
+        emitirWebhook('topup.approved', { ...aprobada, transaction_id: movimiento.id });
+        await recompensarReferido(topup.user_id, { phone: topup.sender_phone });
+        
+        console.log(`✅ Recarga ${id} aprobada: ${cws} CWS`);
+        
+        res.json({
+            success: true,
+            message: 'Recarga aprobada',
+            topup: { ...aprobada, transaction_id: movimiento.id }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error aprobando recarga');
+    }
+});
+
+app.post('/api/admin/topups/:id/reject', authenticateToken, requireAdmin, requirePermiso('topups.review'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const reason = (req.body.reason || '').trim();
+        
+        if (!reason) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Indica el motivo del rechazo' 
+            });
+        }
+        
+        const { data: rechazada, error } = await supabase
+            .from('topups')
+            .update({
+                status: 'rejected',
+                reviewed_by: req.user.id,
+                reviewed_at: new Date().toISOString(),
+                review_note: reason
+            })
+            .eq('id', id)
+            .eq('status', 'pending')
+            .select()
+            .single();
+        
+        if (error || !rechazada) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'La recarga no existe o ya fue revisada' 
+            });
+        }
+        
+        await crearNotificacion(rechazada.user_id, {
+            type: 'topup',
+            title: 'Recarga rechazada',
+            message: `Tu recarga de ${rechazada.amount_saldo} Saldo fue rechazada: ${reason}`
+        });
+        
+        res.locals.auditoria = {
+            action: 'topup.reject',
+            targetUserId: rechazada.user_id,
+            before: { status: 'pending' },
+            after: { status: 'rejected', reason }
+        };
+        
+        res.json({
+            success: true,
+            message: 'Recarga rechazada',
+            topup: rechazada
+        });
+        
+    } catch (error) {
+        console.error('Error rechazando recarga:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.get('/api/admin/redemptions', authenticateToken, requireAdmin, requirePermiso('redemptions.review'), async (req, res) => {
+    try {
+        let query = supabase
+            .from('redemptions')
+            .select('*, profiles!redemptions_user_id_fkey(nickname, user_id)')
+            .order('created_at', { ascending: true })
+            .limit(200);
+        
+        if (req.query.status) query = query.eq('status', req.query.status);
+        
+        const { data: redemptions, error } = await query;
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            redemptions: redemptions || []
+        });
+        
+    } catch (error) {
+        console.error('Error canjes admin:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.post('/api/admin/redemptions/:id/paid', authenticateToken, requireAdmin, requirePermiso('redemptions.review'), async (req, res) => {
+    try {
+        const payoutReference = (req.body.payout_reference || '').trim();
+        
+        if (!payoutReference) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Indica la referencia del pago (hash o comprobante)' 
+            });
+        }
+        
+        const { data: pagado, error } = await supabase
+            .from('redemptions')
+            .update({
+                status: 'paid',
+                payout_reference: payoutReference,
+                reviewed_by: req.user.id,
+                reviewed_at: new Date().toISOString(),
+                review_note: (req.body.note || '').trim()
+            })
+            .eq('id', req.params.id)
+            .eq('status', 'pending')
+            .select()
+            .single();
+        
+        if (error || !pagado) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'El canje no existe o ya fue procesado' 
+            });
+        }
+        
+        await crearNotificacion(pagado.user_id, {
+            type: 'redemption',
+            title: 'Canje pagado',
+            message: `Tu canje de ${Number(pagado.amount)} ${pagado.currency} fue pagado. Referencia: ${payoutReference}`
+        });
+        
+        res.locals.auditoria = {
+            action: 'redemption.paid',
+            targetUserId: pagado.user_id,
+            before: { status: 'pending' },
+            after: { status: 'paid', amount: Number(pagado.amount), currency: pagado.currency, payout_reference: payoutReference }
+        };
+        
+        emitirWebhook('redemption.paid', pagado);
+        
+        console.log(`✅ Canje ${pagado.id} pagado: ${payoutReference}`);
+        
+        res.json({
+            success: true,
+            message: 'Canje marcado como pagado',
+            redemption: pagado
+        });
+        
+    } catch (error) {
+        console.error('Error pagando canje:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+app.post('/api/admin/redemptions/:id/reject', authenticateToken, requireAdmin, requirePermiso('redemptions.review'), async (req, res) => {
+    try {
+        const reason = (req.body.reason || '').trim();
+        
+        if (!reason) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Indica el motivo del rechazo' 
+            });
+        }
+        
+        const { data: rechazado, error } = await supabase
+            .from('redemptions')
+            .update({
+                status: 'rejected',
+                reviewed_by: req.user.id,
+                reviewed_at: new Date().toISOString(),
+                review_note: reason
+            })
+            .eq('id', req.params.id)
+            .eq('status', 'pending')
+            .select()
+            .single();
+        
+        if (error || !rechazado) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'El canje no existe o ya fue procesado' 
+            });
+        }
+        
+        // Liberar la retención devolviendo el saldo al usuario; si falla, el canje
+        // vuelve a pendiente para poder rechazarlo de nuevo
+        let release;
+        try {
+            release = await registrarMovimiento({
+                userId: rechazado.user_id,
+                moneda: rechazado.currency,
+                monto: Number(rechazado.amount),
+                tipo: 'redemption_release',
+                actorId: req.user.id,
+                motivo: `Canje rechazado: ${reason}`,
+                referencia: rechazado.id
+            });
+        } catch (error) {
+            await supabase
+                .from('redemptions')
+                .update({ status: 'pending', reviewed_by: null, reviewed_at: null, review_note: null })
+                .eq('id', rechazado.id);
+            throw error;
+        }
+        
+        await supabase
+            .from('redemptions')
+            .update({ release_transaction_id: release.id })
+            .eq('id', rechazado.id);
+        
+        await crearNotificacion(rechazado.user_id, {
+            type: 'redemption',
+            title: 'Canje rechazado',
+            message: `Tu canje de ${Number(rechazado.amount)} ${rechazado.currency} fue rechazado y el saldo devuelto: ${reason}`
+        });
+        
+        res.locals.auditoria = {
+            action: 'redemption.reject',
+            targetUserId: rechazado.user_id,
+            before: { status: 'pending' },
+            after: { status: 'rejected', reason, release_transaction_id: release.id }
+        };
+        
+        res.json({
+            success: true,
+            message: 'Canje rechazado y saldo liberado',
+            redemption: { ...rechazado, release_transaction_id: release.id }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error rechazando canje');
+    }
+});
+
+app.put('/api/admin/users/:userId/role', authenticateToken, requireAdmin, requirePermiso('roles.manage'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+        const reason = (req.body.reason || '').trim();
+        
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Rol inválido. Roles: ${ROLES.join(', ')}` 
+            });
+        }
+        
+        const { data: target, error: targetError } = await supabase
+            .from('profiles')
+            .select('id, nickname, role')
+            .eq('id', userId)
+            .single();
+        
+        if (targetError || !target) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Usuario no encontrado' 
+            });
+        }
+        
+        if (target.role === role) {
+            return res.json({
+                success: true,
+                message: 'El usuario ya tiene ese rol',
+                user: target
+            });
+        }
+        
+        // Nunca dejar el sistema sin superadministrador
+        if (target.role === 'admin') {
+            const { count } = await supabase
+                .from('profiles')
+                .select('id', { count: 'exact', head: true })
+                .eq('role', 'admin');
+            
+            if ((count || 0) <= 1) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Debe quedar al menos un superadministrador' 
+                });
+            }
+        }
+        
+        const { error } = await supabase
+            .from('profiles')
+            .update({ role: role })
+            .eq('id', userId);
+        
+        if (error) throw error;
+        
+        res.locals.auditoria = {
+            action: 'role.change',
+            targetUserId: userId,
+            before: { role: target.role },
+            after: { role: role, reason: reason }
+        };
+        
+        await crearNotificacion(userId, {
+            type: 'security',
+            title: 'Rol actualizado',
+            message: `Tu rol cambió de ${target.role} a ${role}`,
+            obligatoria: true
+        });
+        
+        console.log(`🛡️ Rol de ${target.nickname}: ${target.role} → ${role} por ${req.profile.nickname}`);
+        
+        res.json({
+            success: true,
+            message: 'Rol actualizado',
+            user: { ...target, role: role }
+        });
+        
+    } catch (error) {
+        console.error('Error cambiando rol:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error interno' 
+        });
+    }
+});
+
+// Congelar, cerrar o reactivar una cuenta. Congelar o cerrar revoca sus sesiones.
+app.put('/api/admin/users/:userId/status', authenticateToken, requireAdmin, requirePermiso('accounts.manage'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { status } = req.body;
+        const reason = String(req.body.reason || '').trim();
+        
+        if (!ESTADOS_CUENTA.includes(status)) throw errorHttp(400, `Estado inválido. Estados: ${ESTADOS_CUENTA.join(', ')}`);
+        if (status !== 'active' && !reason) throw errorHttp(400, 'Indica el motivo');
+        if (userId === req.profile.id) throw errorHttp(400, 'No puedes cambiar el estado de tu propia cuenta');
+        
+        const { data: target } = await supabase
+            .from('profiles')
+            .select('id, nickname, role, cwt, cws, account_status')
+            .eq('id', userId)
+            .maybeSingle();
+        
+        if (!target) throw errorHttp(404, 'Usuario no encontrado');
+        
+        const anterior = target.account_status || 'active';
+        if (anterior === status) {
+            return res.json({
+                success: true,
+                message: 'La cuenta ya tiene ese estado',
+                user: target
+            });
+        }
+        
+        if (target.role === 'admin' && !tienePermiso(req.profile.role, '*')) {
+            throw errorHttp(403, 'Solo un superadministrador puede cambiar el estado de otro');
+        }
+        
+        if (status === 'closed' && (Number(target.cwt || 0) > 0 || Number(target.cws || 0) > 0)) {
+            throw errorHttp(400, 'La cuenta aún tiene saldo. Canjéalo o ajústalo antes de cerrarla');
+        }
+        
+        const { error } = await supabase
+            .from('profiles')
+            .update({
+                account_status: status,
+                status_reason: status === 'active' ? null : reason,
+                status_changed_at: new Date().toISOString()
+            })
+            .eq('id', userId);
+        
+        if (error) throw error;
+        
+        const revocadas = status === 'active' ? 0 : await revocarSesiones(userId);
+        
+        res.locals.auditoria = {
+            action: 'account.status',
+            targetUserId: userId,
+            before: { account_status: anterior },
+            after: { account_status: status, reason: reason, sessions_revoked: revocadas }
+        };
+        
+        const mensajes = {
+            active: 'Tu cuenta se ha reactivado',
+            frozen: `Tu cuenta se ha congelado: ${reason}. Puedes entrar y consultarla, pero no mover saldo`,
+            closed: `Tu cuenta se ha cerrado: ${reason}`
+        };
+        
+        await crearNotificacion(userId, {
+            type: 'security',
+            title: 'Estado de la cuenta',
+            message: mensajes[status],
+            obligatoria: true
+        });
+        
+        console.log(`🧊 Cuenta de ${target.nickname}: ${anterior} → ${status} por ${req.profile.nickname}`);
+        
+        res.json({
+            success: true,
+            message: 'Estado de la cuenta actualizado',
+            user: { ...target, account_status: status }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error cambiando estado de la cuenta');
+    }
+});
+
+app.put('/api/admin/users/:userId/tier', authenticateToken, requireAdmin, requirePermiso('accounts.manage'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { tier } = req.body;
+        
+        if (!NIVELES_CUENTA.includes(tier)) throw errorHttp(400, `Nivel inválido. Niveles: ${NIVELES_CUENTA.join(', ')}`);
+        
+        const { data: target } = await supabase
+            .from('profiles')
+            .select('id, nickname, tier')
+            .eq('id', userId)
+            .maybeSingle();
+        
+        if (!target) throw errorHttp(404, 'Usuario no encontrado');
+        
+        const { error } = await supabase
+            .from('profiles')
+            .update({ tier: tier })
+            .eq('id', userId);
+        
+        if (error) throw error;
+        
+        res.locals.auditoria = {
+            action: 'account.tier',
+            targetUserId: userId,
+            before: { tier: target.tier },
+            after: { tier: tier }
+        };
+        
+        const { diario, mensual } = limitesDeNivel(tier);
+        await crearNotificacion(userId, {
+            type: 'profile',
+            title: 'Límites actualizados',
+            message: `Tus nuevos límites: ${diario.cwt} CWT / ${diario.cws} CWS al día, ${mensual.cwt} CWT / ${mensual.cws} CWS al mes`
+        });
+        
+        res.json({
+            success: true,
+            message: 'Nivel actualizado',
+            user: { ...target, tier: tier }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error cambiando nivel');
+    }
+});
+
+app.post('/api/admin/risk-flags/:id/resolve', authenticateToken, requireAdmin, requirePermiso('accounts.manage'), async (req, res) => {
+    try {
+        const note = String(req.body.note || '').trim();
+        
+        const { data: flag } = await supabase
+            .from('risk_flags')
+            .update({
+                status: 'resolved',
+                resolved_by: req.profile.id,
+                resolved_at: new Date().toISOString(),
+                resolution_note: note || null
+            })
+            .eq('id', req.params.id)
+            .eq('status', 'open')
+            .select()
+            .maybeSingle();
+        
+        if (!flag) throw errorHttp(404, 'Señal no encontrada o ya revisada');
+        
+        res.locals.auditoria = {
+            action: 'risk.resolve',
+            targetUserId: flag.user_id,
+            after: { type: flag.type, note: note }
+        };
+        
+        res.json({
+            success: true,
+            message: 'Señal marcada como revisada',
+            flag: flag
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error revisando señal de riesgo');
+    }
+});
+
+app.get('/api/admin/roles', authenticateToken, requireAdmin, async (req, res) => {
+    res.json({
+        success: true,
+        roles: ROLES.map(role => ({ role, permissions: permisosDeRol(role) })),
+        me: { role: req.profile.role, permissions: permisosDeRol(req.profile.role) }
+    });
+});
+
+app.get('/api/admin/audit', authenticateToken, requireAdmin, requirePermiso('audit.read'), async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const desde = (page - 1) * limit;
+        
+        let query = supabase
+            .from('audit_log')
+            .select('*, actor:profiles!audit_log_actor_id_fkey(nickname, user_id), target:profiles!audit_log_target_user_id_fkey(nickname, user_id)', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(desde, desde + limit - 1);
+        
+        if (req.query.actor) query = query.eq('actor_id', req.query.actor);
+        if (req.query.target) query = query.eq('target_user_id', req.query.target);
+        if (req.query.action) query = query.ilike('action', `${req.query.action}%`);
+        
+        if (req.query.from || req.query.to) {
+            const rango = leerRangoFechas(req.query, 30, 3660);
+            query = query.gte('created_at', rango.from.toISOString()).lte('created_at', rango.to.toISOString());
+        }
+        
+        const { data: entries, error, count } = await query;
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            entries: entries || [],
+            pagination: {
+                page: page,
+                limit: limit,
+                total: count || 0,
+                hasMore: desde + limit < (count || 0)
+            }
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error leyendo auditoría');
+    }
+});
+
+app.get('/api/admin/lockouts', authenticateToken, requireAdmin, requirePermiso('lockouts.manage'), async (req, res) => {
+    try {
+        const ahora = Date.now();
+        const lockouts = (await almacenLimites.listarBloqueos())
+            .map(b => ({ ...b, locked: !!b.locked_until && new Date(b.locked_until).getTime() > ahora }));
+        
+        res.json({
+            success: true,
+            lockouts: lockouts
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error listando bloqueos');
+    }
+});
+
+app.delete('/api/admin/lockouts/:key', authenticateToken, requireAdmin, requirePermiso('lockouts.manage'), async (req, res) => {
+    try {
+        const { key } = req.params;
+        const bloqueo = await almacenLimites.leerBloqueo(key);
+        
+        if (!bloqueo) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Bloqueo no encontrado' 
+            });
+        }
+        
+        await almacenLimites.borrarBloqueo(key);
+        
+        res.locals.auditoria = {
+            action: 'lockout.clear',
+            before: { key: key, failures: bloqueo.failures, locked_until: bloqueo.locked_until },
+            after: null
+        };
+        
+        console.log(`🔓 Bloqueo eliminado: ${key} por ${req.profile.nickname}`);
+        
+        res.json({
+            success: true,
+            message: 'Cuenta desbloqueada'
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error eliminando bloqueo');
+    }
+});
+
+app.get('/api/admin/rates', authenticateToken, requireAdmin, requirePermiso('rates.manage'), async (req, res) => {
+    try {
+        const { data: rates, error } = await supabase
+            .from('rates')
+            .select('*, author:profiles!rates_created_by_fkey(nickname)')
+            .order('effective_from', { ascending: false })
+            .limit(100);
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            current: await tasasEn(),
+            rates: (rates || []).map(fila => ({
+                ...tasasDeFila(fila),
+                author: fila.author ? fila.author.nickname : null,
+                created_at: fila.created_at
+            }))
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error obteniendo tasas');
+    }
+});
+
+// Crea una versión nueva partiendo de la vigente: solo hace falta enviar lo que cambia
+app.post('/api/admin/rates', authenticateToken, requireAdmin, requirePermiso('rates.manage'), async (req, res) => {
+    try {
+        const actual = await tasasEn();
+        const body = req.body;
+        
+        const leer = (campo, valorActual, { min = 0, max = Infinity, cero = false } = {}) => {
+            if (body[campo] === undefined || body[campo] === '') return valorActual;
+            
+            const valor = Number(body[campo]);
+            if (!Number.isFinite(valor) || valor < min || valor > max || (!cero && valor === 0)) {
+                throw errorHttp(400, `Valor inválido para ${campo}`);
+            }
+            return valor;
+        };
+        
+        const nuevas = {
+            usdt_unit: leer('usdtUnit', actual.usdtUnit),
+            usdt_to_cwt: leer('usdtToCwt', actual.usdtToCwt),
+            min_usdt: leer('minUsdt', actual.minUsdt),
+            deposit_fee_pct: leer('depositFeePct', actual.depositFeePct, { max: 99, cero: true }),
+            saldo_unit: leer('saldoUnit', actual.saldoUnit),
+            saldo_to_cws: leer('saldoToCws', actual.saldoToCws),
+            min_saldo: leer('minSaldo', actual.minSaldo),
+            topup_fee_pct: leer('topupFeePct', actual.topupFeePct, { max: 99, cero: true }),
+            min_redeem_cwt: leer('minRedeemCwt', actual.minRedeem.cwt),
+            min_redeem_cws: leer('minRedeemCws', actual.minRedeem.cws)
+        };
+        
+        // Los depósitos se liquidan con la tasa de cuando se reportaron: no se
+        // admiten cambios retroactivos
+        const effectiveFrom = body.effectiveFrom ? new Date(body.effectiveFrom) : new Date();
+        if (isNaN(effectiveFrom) || effectiveFrom.getTime() < Date.now() - 60 * 1000) {
+            throw errorHttp(400, 'La fecha de entrada en vigor debe ser ahora o futura');
+        }
+        
+        const { data: fila, error } = await supabase
+            .from('rates')
+            .insert({
+                ...nuevas,
+                effective_from: effectiveFrom.toISOString(),
+                note: (body.note || '').trim() || null,
+                created_by: req.user.id
+            })
+            .select()
+            .single();
+        
+        if (error) throw error;
+        
+        historialTasas = null;
+        const creada = tasasDeFila(fila);
+        
+        res.locals.auditoria = {
+            action: 'rates.update',
+            before: actual,
+            after: creada
+        };
+        
+        console.log(`💱 Tasas nuevas desde ${creada.effectiveFrom} por ${req.profile.nickname}`);
+        
+        res.json({
+            success: true,
+            message: 'Tasas guardadas',
+            rates: creada
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error guardando tasas');
+    }
+});
+
+app.get('/api/admin/merchants', authenticateToken, requireAdmin, requirePermiso('merchants.manage'), async (req, res) => {
+    try {
+        const { data: merchants, error } = await supabase
+            .from('merchants')
+            .select('id, name, status, callback_url, created_at, owner:profiles!merchants_owner_id_fkey(id, nickname, user_id), ' + 
+                'keys:merchant_api_keys(id, prefix, label, created_at, last_used_at, revoked_at)')
+            .order('created_at', { ascending: false });
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            merchants: merchants || []
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error obteniendo comercios');
+    }
+});
+
+app.post('/api/admin/merchants', authenticateToken, requireAdmin, requirePermiso('merchants.manage'), async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        if (!name) throw errorHttp(400, 'Nombre del comercio requerido');
+        
+        const owner = await buscarDestinatario(req.body.owner);
+        
+        const { data: merchant, error } = await supabase
+            .from('merchants')
+            .insert({
+                owner_id: owner.id,
+                name: name,
+                callback_url: await leerUrlCallback(req.body.callbackUrl),
+                callback_secret: generarSecretoWebhook()
+            })
+            .select()
+            .single();
+        
+        if (error) {
+            if (error.code === '23505') throw errorHttp(409, 'Ya existe un comercio con ese nombre');
+            throw error;
+        }
+        
+        res.locals.auditoria = {
+            action: 'merchant.create',
+            targetUserId: owner.id,
+            after: datosComercio(merchant)
+        };
+        
+        console.log(`🏪 Comercio ${name} creado para ${owner.nickname} por ${req.profile.nickname}`);
+        
+        res.json({
+            success: true,
+            message: 'Comercio creado. Guarda el secreto de firma de los avisos: no se volverá a mostrar',
+            merchant: merchant
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error creando comercio');
+    }
+});
+
+app.put('/api/admin/merchants/:id', authenticateToken, requireAdmin, requirePermiso('merchants.manage'), async (req, res) => {
+    try {
+        const { data: previo } = await supabase
+            .from('merchants')
+            .select('*')
+            .eq('id', req.params.id)
+            .maybeSingle();
+        
+        if (!previo) throw errorHttp(404, 'Comercio no encontrado');
+        
+        const cambios = {};
+        if (req.body.name !== undefined) cambios.name = String(req.body.name).trim() || previo.name;
+        if (req.body.callbackUrl !== undefined) cambios.callback_url = await leerUrlCallback(req.body.callbackUrl);
+        if (req.body.status !== undefined) {
+            if (!['active', 'suspended'].includes(req.body.status)) throw errorHttp(400, 'Estado inválido');
+            cambios.status = req.body.status;
+        }
+        
+        const { data: merchant, error } = await supabase
+            .from('merchants')
+            .update(cambios)
+            .eq('id', previo.id)
+            .select()
+            .single();
+        
+        if (error) throw error;
+        
+        res.locals.auditoria = {
+            action: 'merchant.update',
+            targetUserId: previo.owner_id,
+            before: datosComercio(previo),
+            after: datosComercio(merchant)
+        };
+        
+        res.json({
+            success: true,
+            message: 'Comercio actualizado',
+            merchant: datosComercio(merchant)
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error actualizando comercio');
+    }
+});
+
+app.post('/api/admin/merchants/:id/callback-secret', authenticateToken, requireAdmin, requirePermiso('merchants.manage'), async (req, res) => {
     try {
-        const token = req.headers['authorization']?.split(' ')[1];
+        const { data: merchant } = await supabase
+            .from('merchants')
+            .update({ callback_secret: generarSecretoWebhook() })
+            .eq('id', req.params.id)
+            .select()
+            .maybeSingle();
         
-        if (!token) {
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Token requerido' 
-            });
-        }
+        if (!merchant) throw errorHttp(404, 'Comercio no encontrado');
         
-        const { data: { user }, error } = await supabase.auth.getUser(token);
+        res.locals.auditoria = {
+            action: 'merchant.callback_secret.rotate',
+            targetUserId: merchant.owner_id,
+            after: { merchant_id: merchant.id }
+        };
         
-        if (error || !user) {
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Token inválido' 
-            });
-        }
+        res.json({
+            success: true,
+            message: 'Secreto rotado. Actualiza el comercio: los avisos nuevos se firman con este secreto',
+            merchant: merchant
+        });
         
-        req.user = user;
-        next();
     } catch (error) {
-        console.error('Error autenticación:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error de autenticación' 
-        });
+        responderError(res, error, 'Error rotando secreto del comercio');
     }
-};
+});
 
-const requireAdmin = async (req, res, next) => {
+app.post('/api/admin/merchants/:id/keys', authenticateToken, requireAdmin, requirePermiso('merchants.manage'), async (req, res) => {
     try {
-        const user = req.user;
+        const { data: merchant } = await supabase
+            .from('merchants')
+            .select('id, owner_id, name')
+            .eq('id', req.params.id)
+            .maybeSingle();
         
-        const { data: profile, error } = await supabase
-            .from('profiles')
-            .select('role, nickname')
-            .eq('id', user.id)
+        if (!merchant) throw errorHttp(404, 'Comercio no encontrado');
+        
+        const { clave, prefijo, hash } = generarClaveComercio();
+        
+        const { data: registro, error } = await supabase
+            .from('merchant_api_keys')
+            .insert({
+                merchant_id: merchant.id,
+                prefix: prefijo,
+                key_hash: hash,
+                label: String(req.body.label || '').trim() || null
+            })
+            .select('id, prefix, label, created_at')
             .single();
         
-        if (error || !profile) {
-            return res.status(403).json({ 
-                success: false, 
-                message: 'Perfil no encontrado' 
-            });
-        }
+        if (error) throw error;
         
-        // SOLO Ersatz puede ser admin
-        if (profile.role !== 'admin' || profile.nickname !== 'Ersatz') {
-            return res.status(403).json({ 
-                success: false, 
-                message: 'Acceso solo para administrador principal' 
-            });
-        }
+        // Sin la clave: en la auditoría solo queda el prefijo
+        res.locals.auditoria = {
+            action: 'merchant.key.create',
+            targetUserId: merchant.owner_id,
+            after: { merchant_id: merchant.id, ...registro }
+        };
         
-        next();
-    } catch (error) {
-        console.error('Error verificando admin:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error verificando permisos' 
+        res.json({
+            success: true,
+            message: 'Guarda la clave ahora: no se volverá a mostrar',
+            key: { ...registro, key: clave }
         });
+        
+    } catch (error) {
+        responderError(res, error, 'Error creando clave de API');
     }
-};
-
-// ========== RUTAS PÚBLICAS ==========
-app.get('/api/status', async (req, res) => {
-    res.json({ 
-        success: true, 
-        status: '✅ Cromwell Pay Funcionando',
-        timestamp: new Date().toISOString(),
-        version: '3.1.0',
-        auth: 'nickname_only',
-        admin: 'Ersatz'
-    });
 });
 
-// REGISTRO - VERSIÓN SIMPLIFICADA Y FUNCIONAL
-app.post('/api/register', async (req, res) => {
+app.delete('/api/admin/merchants/:id/keys/:keyId', authenticateToken, requireAdmin, requirePermiso('merchants.manage'), async (req, res) => {
     try {
-        const { nickname, password, termsAccepted } = req.body;
+        const { data: registro } = await supabase
+            .from('merchant_api_keys')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', req.params.keyId)
+            .eq('merchant_id', req.params.id)
+            .is('revoked_at', null)
+            .select('id, prefix, label, revoked_at')
+            .single();
         
-        if (!nickname || !password) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Nickname y contraseña requeridos' 
-            });
-        }
+        if (!registro) throw errorHttp(404, 'Clave no encontrada o ya revocada');
         
-        if (!termsAccepted) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Acepta los términos' 
-            });
-        }
+        res.locals.auditoria = {
+            action: 'merchant.key.revoke',
+            after: { merchant_id: req.params.id, ...registro }
+        };
         
-        if (password.length < 6) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Contraseña mínimo 6 caracteres' 
-            });
-        }
+        res.json({
+            success: true,
+            message: 'Clave revocada'
+        });
         
-        // Verificar nickname único
-        const { data: existingProfile } = await supabase
-            .from('profiles')
-            .select('nickname')
-            .eq('nickname', nickname)
-            .single();
+    } catch (error) {
+        responderError(res, error, 'Error revocando clave de API');
+    }
+});
+
+app.get('/api/admin/vouchers', authenticateToken, requireAdmin, requirePermiso('vouchers.manage'), async (req, res) => {
+    try {
+        const { data: vouchers, error } = await supabase
+            .from('vouchers')
+            .select('*, creator:profiles!vouchers_created_by_fkey(nickname)')
+            .order('created_at', { ascending: false });
         
-        if (existingProfile) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Nickname ya existe' 
-            });
-        }
+        if (error) throw error;
         
-        // Crear email único
-        const uniqueEmail = `${nickname.toLowerCase()}_${Date.now()}@cromwellpay.local`;
-        const userId = generarIDUsuario();
+        res.json({
+            success: true,
+            vouchers: (vouchers || []).map(datosCupon)
+        });
         
-        console.log(`📝 Creando usuario: ${nickname}`);
+    } catch (error) {
+        responderError(res, error, 'Error obteniendo cupones');
+    }
+});
+
+app.post('/api/admin/vouchers', authenticateToken, requireAdmin, requirePermiso('vouchers.manage'), async (req, res) => {
+    try {
+        const code = req.body.code ? normalizarCodigoCupon(req.body.code) : generarCodigoCupon();
+        if (!/^[A-Z0-9-]{4,32}$/.test(code)) throw errorHttp(400, 'El código debe tener de 4 a 32 letras, números o guiones');
         
-        // Crear usuario en auth
-        const { data: authData, error: authError } = await supabase.auth.admin.createUser({
-            email: uniqueEmail,
-            password: password,
-            email_confirm: true,
-            user_metadata: {
-                nickname: nickname,
-                user_id: userId,
-                role: 'user'
-            }
-        });
+        const cwt = redondearMonto('CWT', parseFloat(req.body.cwt) || 0);
+        const cws = redondearMonto('CWS', parseFloat(req.body.cws) || 0);
+        if (cwt < 0 || cws < 0 || (!cwt && !cws)) throw errorHttp(400, 'Indica un importe en CWT o CWS');
         
-        if (authError) {
-            console.error('Error auth.createUser:', authError.message);
-            return res.status(400).json({ 
-                success: false, 
-                message: authError.message 
-            });
-        }
+        const expiresAt = leerFechaExpiracion(req.body.expiresAt);
+        if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) throw errorHttp(400, 'La fecha de caducidad ya pasó');
         
-        // Crear perfil en profiles
-        const { error: profileError } = await supabase
-            .from('profiles')
+        const { data: voucher, error } = await supabase
+            .from('vouchers')
             .insert({
-                id: authData.user.id,
-                nickname: nickname,
-                user_id: userId,
-                role: 'user',
-                cwt: 0,
-                cws: 0,
-                phone: '',
-                province: '',
-                wallet_address: '',
-                notifications: true
-            });
+                code: code,
+                description: String(req.body.description || '').trim() || null,
+                cwt: cwt,
+                cws: cws,
+                max_redemptions: req.body.singleUse ? 1 : leerLimiteCupon(req.body.maxRedemptions, 'El máximo de canjes'),
+                per_user_limit: leerLimiteCupon(req.body.perUserLimit, 'El límite por usuario') || 1,
+                expires_at: expiresAt,
+                created_by: req.profile.id
+            })
+            .select()
+            .single();
         
-        if (profileError) {
-            console.error('Error profiles.insert:', profileError.message);
-            // Intentar limpiar
-            await supabase.auth.admin.deleteUser(authData.user.id);
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Error creando perfil' 
-            });
+        if (error) {
+            if (error.code === '23505') throw errorHttp(409, 'Ya existe un cupón con ese código');
+            throw error;
         }
         
-        // Crear sesión automática
-        const { data: sessionData, error: sessionError } = await supabase.auth.admin.createSession({
-            user_id: authData.user.id
-        });
+        res.locals.auditoria = {
+            action: 'voucher.create',
+            after: voucher
+        };
         
-        console.log(`✅ Usuario creado: ${nickname}`);
+        console.log(`🎟️ Cupón ${code} creado por ${req.profile.nickname}`);
         
         res.json({
             success: true,
-            message: 'Registro exitoso',
-            nickname: nickname,
-            token: sessionData?.session?.access_token || null,
-            user: {
-                id: authData.user.id,
-                nickname: nickname,
-                user_id: userId,
-                role: 'user',
-                cwt: 0,
-                cws: 0,
-                phone: '',
-                province: '',
-                wallet_address: '',
-                notifications: true,
-                created_at: new Date().toISOString()
-            }
+            message: 'Cupón creado',
+            voucher: datosCupon(voucher)
         });
         
     } catch (error) {
-        console.error('Error en registro:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error interno' 
-        });
+        responderError(res, error, 'Error creando cupón');
     }
 });
 
-// LOGIN - VERSIÓN SIMPLIFICADA
-app.post('/api/login', async (req, res) => {
+app.put('/api/admin/vouchers/:id', authenticateToken, requireAdmin, requirePermiso('vouchers.manage'), async (req, res) => {
     try {
-        const { nickname, password } = req.body;
+        const { data: previo } = await supabase
+            .from('vouchers')
+            .select('*')
+            .eq('id', req.params.id)
+            .maybeSingle();
         
-        if (!nickname || !password) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Nickname y contraseña requeridos' 
-            });
-        }
+        if (!previo) throw errorHttp(404, 'Cupón no encontrado');
         
-        console.log(`🔍 Login: ${nickname}`);
+        const cambios = {};
+        if (req.body.active !== undefined) cambios.active = !!req.body.active;
+        if (req.body.description !== undefined) cambios.description = String(req.body.description || '').trim() || null;
+        if (req.body.expiresAt !== undefined) cambios.expires_at = leerFechaExpiracion(req.body.expiresAt);
+        if (req.body.perUserLimit !== undefined) cambios.per_user_limit = leerLimiteCupon(req.body.perUserLimit, 'El límite por usuario') || 1;
+        if (req.body.maxRedemptions !== undefined) {
+            cambios.max_redemptions = leerLimiteCupon(req.body.maxRedemptions, 'El máximo de canjes');
+            if (cambios.max_redemptions && cambios.max_redemptions < previo.redemptions_count) {
+                throw errorHttp(400, `El cupón ya lleva ${previo.redemptions_count} canjes`);
+            }
+        }
         
-        // Buscar perfil
-        const { data: profile, error: profileError } = await supabase
-            .from('profiles')
-            .select('*')
-            .eq('nickname', nickname)
+        const { data: voucher, error } = await supabase
+            .from('vouchers')
+            .update(cambios)
+            .eq('id', previo.id)
+            .select()
             .single();
         
-        if (profileError || !profile) {
-            console.log(`❌ No encontrado: ${nickname}`);
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Credenciales incorrectas' 
-            });
-        }
+        if (error) throw error;
         
-        // Obtener usuario auth por ID
-        const { data: { users } } = await supabase.auth.admin.listUsers();
-        const authUser = users.find(u => u.id === profile.id);
+        res.locals.auditoria = {
+            action: 'voucher.update',
+            before: previo,
+            after: voucher
+        };
         
-        if (!authUser) {
-            console.error(`❌ Auth no encontrado: ${profile.id}`);
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Credenciales incorrectas' 
-            });
-        }
+        res.json({
+            success: true,
+            message: 'Cupón actualizado',
+            voucher: datosCupon(voucher)
+        });
         
-        // Intentar login
-        const { data, error } = await supabase.auth.signInWithPassword({
-            email: authUser.email,
-            password: password
+    } catch (error) {
+        responderError(res, error, 'Error actualizando cupón');
+    }
+});
+
+app.get('/api/admin/vouchers/:id/redemptions', authenticateToken, requireAdmin, requirePermiso('vouchers.manage'), async (req, res) => {
+    try {
+        const { data: redemptions, error } = await supabase
+            .from('voucher_redemptions')
+            .select('id, cwt, cws, created_at, user:profiles!voucher_redemptions_user_id_fkey(id, nickname, user_id)')
+            .eq('voucher_id', req.params.id)
+            .order('created_at', { ascending: false })
+            .limit(200);
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            redemptions: redemptions || []
         });
         
-        if (error) {
-            console.error(`❌ Login fallido: ${error.message}`);
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Credenciales incorrectas' 
-            });
-        }
+    } catch (error) {
+        responderError(res, error, 'Error obteniendo canjes del cupón');
+    }
+});
+
+function leerEventosWebhook(eventos) {
+    if (!Array.isArray(eventos) || !eventos.length) throw errorHttp(400, 'Elige al menos un evento');
+    
+    const invalidos = eventos.filter(e => !EVENTOS_WEBHOOK.includes(e));
+    if (invalidos.length) throw errorHttp(400, `Eventos desconocidos: ${invalidos.join(', ')}`);
+    
+    return [...new Set(eventos)];
+}
+
+function generarSecretoWebhook() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// El secreto completo solo se devuelve al crearlo o rotarlo
+function datosEndpoint(endpoint) {
+    const { secret, ...resto } = endpoint;
+    return { ...resto, secret_hint: `${secret.slice(0, 10)}…` };
+}
+
+async function endpointWebhook(id) {
+    const { data: endpoint } = await supabase
+        .from('webhook_endpoints')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    
+    if (!endpoint) throw errorHttp(404, 'Webhook no encontrado');
+    return endpoint;
+}
+
+app.get('/api/admin/webhooks', authenticateToken, requireAdmin, requirePermiso('webhooks.manage'), async (req, res) => {
+    try {
+        const { data: endpoints, error } = await supabase
+            .from('webhook_endpoints')
+            .select('*')
+            .order('created_at', { ascending: false });
+        
+        if (error) throw error;
+        
+        // Entregas que siguen pendientes o fallaron del todo, por endpoint
+        const { data: problemas } = await supabase
+            .from('webhook_deliveries')
+            .select('endpoint_id, status')
+            .in('status', ['pending', 'failed']);
         
-        console.log(`✅ Login exitoso: ${nickname}`);
+        const resumen = {};
+        (problemas || []).forEach(d => {
+            resumen[d.endpoint_id] = resumen[d.endpoint_id] || { pending: 0, failed: 0 };
+            resumen[d.endpoint_id][d.status]++;
+        });
         
         res.json({
             success: true,
-            message: 'Login exitoso',
-            token: data.session.access_token,
-            user: {
-                id: profile.id,
-                nickname: profile.nickname,
-                user_id: profile.user_id,
-                role: profile.role,
-                cwt: profile.cwt || 0,
-                cws: profile.cws || 0,
-                phone: profile.phone || '',
-                province: profile.province || '',
-                wallet_address: profile.wallet_address || '',
-                notifications: profile.notifications !== false,
-                created_at: profile.created_at
-            }
+            events: EVENTOS_WEBHOOK,
+            webhooks: (endpoints || []).map(e => ({
+                ...datosEndpoint(e),
+                deliveries: resumen[e.id] || { pending: 0, failed: 0 }
+            }))
         });
         
     } catch (error) {
-        console.error('Error en login:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error interno' 
-        });
+        responderError(res, error, 'Error obteniendo webhooks');
     }
 });
 
-// ========== RUTAS PROTEGIDAS ==========
-app.get('/api/verify-token', authenticateToken, async (req, res) => {
+app.post('/api/admin/webhooks', authenticateToken, requireAdmin, requirePermiso('webhooks.manage'), async (req, res) => {
     try {
-        const user = req.user;
+        const url = await leerUrlCallback(req.body.url, 'url');
+        if (!url) throw errorHttp(400, 'url requerida');
         
-        const { data: profile, error } = await supabase
-            .from('profiles')
-            .select('*')
-            .eq('id', user.id)
+        const { data: endpoint, error } = await supabase
+            .from('webhook_endpoints')
+            .insert({
+                url: url,
+                events: leerEventosWebhook(req.body.events),
+                description: String(req.body.description || '').trim() || null,
+                secret: generarSecretoWebhook(),
+                created_by: req.user.id
+            })
+            .select()
             .single();
         
-        if (error || !profile) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Perfil no encontrado' 
-            });
-        }
+        if (error) throw error;
+        
+        res.locals.auditoria = {
+            action: 'webhook.create',
+            after: datosEndpoint(endpoint)
+        };
+        
+        console.log(`🪝 Webhook ${url} creado por ${req.profile.nickname}`);
         
         res.json({
             success: true,
-            user: {
-                id: profile.id,
-                nickname: profile.nickname,
-                user_id: profile.user_id,
-                role: profile.role,
-                cwt: profile.cwt || 0,
-                cws: profile.cws || 0,
-                phone: profile.phone || '',
-                province: profile.province || '',
-                wallet_address: profile.wallet_address || '',
-                notifications: profile.notifications !== false,
-                created_at: profile.created_at
-            }
+            message: 'Webhook creado. Guarda el secreto: no se volverá a mostrar',
+            webhook: { ...datosEndpoint(endpoint), secret: endpoint.secret }
         });
         
     } catch (error) {
-        console.error('Error verificando token:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error interno' 
-        });
+        responderError(res, error, 'Error creando webhook');
     }
 });
 
-app.get('/api/dashboard', authenticateToken, async (req, res) => {
+app.put('/api/admin/webhooks/:id', authenticateToken, requireAdmin, requirePermiso('webhooks.manage'), async (req, res) => {
     try {
-        const user = req.user;
+        const previo = await endpointWebhook(req.params.id);
         
-        const { data: profile, error } = await supabase
-            .from('profiles')
-            .select('*')
-            .eq('id', user.id)
+        const cambios = {};
+        if (req.body.url !== undefined) {
+            cambios.url = await leerUrlCallback(req.body.url, 'url');
+            if (!cambios.url) throw errorHttp(400, 'url requerida');
+        }
+        if (req.body.events !== undefined) cambios.events = leerEventosWebhook(req.body.events);
+        if (req.body.description !== undefined) cambios.description = String(req.body.description).trim() || null;
+        if (req.body.active !== undefined) cambios.active = !!req.body.active;
+        
+        const { data: endpoint, error } = await supabase
+            .from('webhook_endpoints')
+            .update(cambios)
+            .eq('id', previo.id)
+            .select()
             .single();
         
-        if (error || !profile) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Perfil no encontrado' 
-            });
-        }
+        if (error) throw error;
+        
+        res.locals.auditoria = {
+            action: 'webhook.update',
+            before: datosEndpoint(previo),
+            after: datosEndpoint(endpoint)
+        };
         
         res.json({
             success: true,
-            user: profile,
-            dashboard: {
-                total_balance: (profile.cwt || 0) + (profile.cws || 0),
-                total_cwt: profile.cwt,
-                total_cws: profile.cws
-            }
+            message: 'Webhook actualizado',
+            webhook: datosEndpoint(endpoint)
         });
         
     } catch (error) {
-        console.error('Error dashboard:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error interno' 
-        });
+        responderError(res, error, 'Error actualizando webhook');
     }
 });
 
-app.get('/api/user/profile', authenticateToken, async (req, res) => {
+app.delete('/api/admin/webhooks/:id', authenticateToken, requireAdmin, requirePermiso('webhooks.manage'), async (req, res) => {
     try {
-        const user = req.user;
+        const previo = await endpointWebhook(req.params.id);
         
-        const { data: profile, error } = await supabase
-            .from('profiles')
-            .select('*')
-            .eq('id', user.id)
-            .single();
+        const { error } = await supabase
+            .from('webhook_endpoints')
+            .delete()
+            .eq('id', previo.id);
         
-        if (error || !profile) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Perfil no encontrado' 
-            });
-        }
+        if (error) throw error;
+        
+        res.locals.auditoria = {
+            action: 'webhook.delete',
+            before: datosEndpoint(previo)
+        };
         
         res.json({
             success: true,
-            profile: profile
+            message: 'Webhook eliminado'
         });
         
     } catch (error) {
-        console.error('Error perfil:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error interno' 
-        });
+        responderError(res, error, 'Error eliminando webhook');
     }
 });
 
-app.put('/api/user/profile', authenticateToken, async (req, res) => {
+app.post('/api/admin/webhooks/:id/secret', authenticateToken, requireAdmin, requirePermiso('webhooks.manage'), async (req, res) => {
     try {
-        const user = req.user;
-        const { nickname, phone, province, wallet_address, notifications } = req.body;
-        
-        if (!nickname || !phone || !province) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Datos requeridos' 
-            });
-        }
-        
-        // Verificar nickname único
-        if (nickname !== user.user_metadata?.nickname) {
-            const { data: existing } = await supabase
-                .from('profiles')
-                .select('id')
-                .eq('nickname', nickname)
-                .neq('id', user.id)
-                .single();
-            
-            if (existing) {
-                return res.status(400).json({ 
-                    success: false, 
-                    message: 'Nickname ya en uso' 
-                });
-            }
-        }
+        const previo = await endpointWebhook(req.params.id);
         
-        const { error } = await supabase
-            .from('profiles')
-            .update({
-                nickname: nickname,
-                phone: phone,
-                province: province,
-                wallet_address: wallet_address || '',
-                notifications: notifications !== false
-            })
-            .eq('id', user.id);
+        const { data: endpoint, error } = await supabase
+            .from('webhook_endpoints')
+            .update({ secret: generarSecretoWebhook() })
+            .eq('id', previo.id)
+            .select()
+            .single();
         
         if (error) throw error;
         
+        res.locals.auditoria = {
+            action: 'webhook.secret.rotate',
+            before: datosEndpoint(previo),
+            after: datosEndpoint(endpoint)
+        };
+        
         res.json({
             success: true,
-            message: 'Perfil actualizado'
+            message: 'Secreto rotado. Actualiza el receptor: las firmas nuevas usan este secreto',
+            webhook: { ...datosEndpoint(endpoint), secret: endpoint.secret }
         });
         
     } catch (error) {
-        console.error('Error actualizando perfil:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error interno' 
-        });
+        responderError(res, error, 'Error rotando secreto');
     }
 });
 
-app.get('/api/user/balance', authenticateToken, async (req, res) => {
+// Envía un evento webhook.test solo a este endpoint y espera el resultado
+app.post('/api/admin/webhooks/:id/test', authenticateToken, requireAdmin, requirePermiso('webhooks.manage'), async (req, res) => {
     try {
-        const user = req.user;
+        const endpoint = await endpointWebhook(req.params.id);
+        const [entrega] = await crearEntregas([endpoint.id], 'webhook.test', {
+            message: 'Evento de prueba',
+            sent_by: req.profile.nickname
+        });
         
-        const { data: profile, error } = await supabase
-            .from('profiles')
-            .select('cwt, cws')
-            .eq('id', user.id)
-            .single();
+        const resultado = await entregarWebhook(entrega);
         
-        if (error || !profile) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Perfil no encontrado' 
-            });
-        }
+        res.locals.auditoria = {
+            action: 'webhook.test',
+            after: { webhook_id: endpoint.id, delivery_id: entrega.id, status: resultado?.status }
+        };
         
         res.json({
             success: true,
-            balance: {
-                cwt: profile.cwt || 0,
-                cws: profile.cws || 0,
-                total: (profile.cwt || 0) + (profile.cws || 0)
-            }
+            delivery: resultado
         });
         
     } catch (error) {
-        console.error('Error balance:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error interno' 
-        });
+        responderError(res, error, 'Error enviando prueba');
     }
 });
 
-// ========== RUTAS ADMIN ==========
-app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/webhooks/:id/deliveries', authenticateToken, requireAdmin, requirePermiso('webhooks.manage'), async (req, res) => {
     try {
-        const { data: users, error } = await supabase
-            .from('profiles')
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        
+        let query = supabase
+            .from('webhook_deliveries')
             .select('*')
-            .order('created_at', { ascending: false });
+            .eq('endpoint_id', req.params.id)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        
+        if (req.query.status) query = query.eq('status', req.query.status);
+        if (req.query.event) query = query.eq('event', req.query.event);
+        
+        const { data: deliveries, error } = await query;
         
         if (error) throw error;
         
         res.json({
             success: true,
-            users: users || []
+            deliveries: deliveries || []
         });
         
     } catch (error) {
-        console.error('Error obteniendo usuarios:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error interno' 
+        responderError(res, error, 'Error obteniendo entregas');
+    }
+});
+
+// Reenvío manual: la entrega vuelve a 'pending' y se intenta al momento. Si
+// falla, sigue el calendario normal de reintentos.
+app.post('/api/admin/webhook-deliveries/:id/resend', authenticateToken, requireAdmin, requirePermiso('webhooks.manage'), async (req, res) => {
+    try {
+        const { data: entrega } = await supabase
+            .from('webhook_deliveries')
+            .update({ status: 'pending', attempts: 0, next_attempt_at: reservaWebhook() })
+            .eq('id', req.params.id)
+            .select(CAMPOS_ENTREGA)
+            .maybeSingle();
+        
+        if (!entrega) throw errorHttp(404, 'Entrega no encontrada');
+        
+        const resultado = await entregarWebhook(entrega);
+        
+        res.locals.auditoria = {
+            action: 'webhook.resend',
+            after: { delivery_id: entrega.id, event: entrega.event, status: resultado?.status }
+        };
+        
+        res.json({
+            success: true,
+            delivery: resultado
         });
+        
+    } catch (error) {
+        responderError(res, error, 'Error reenviando entrega');
     }
 });
 
-app.put('/api/admin/users/:userId/balance', authenticateToken, requireAdmin, async (req, res) => {
+app.put('/api/admin/users/:userId/balance', authenticateToken, requireAdmin, requirePermiso('balance.adjust'), requireStepUp, idempotente, async (req, res) => {
     try {
         const { userId } = req.params;
-        const { cwt, cws, operation, reason } = req.body;
+        const { cwt, cws, operation = 'set', reason, note } = req.body;
+        const motivo = (reason || note || '').trim();
+        
+        if (userId === req.profile.id) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'No puedes ajustar tu propio saldo' 
+            });
+        }
+        
+        if (!['add', 'subtract', 'set'].includes(operation)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Operación inválida' 
+            });
+        }
         
         const { data: targetUser, error: userError } = await supabase
             .from('profiles')
@@ -571,26 +7009,66 @@ app.put('/api/admin/users/:userId/balance', authenticateToken, requireAdmin, asy
             });
         }
         
-        let newCWT = targetUser.cwt || 0;
-        let newCWS = targetUser.cws || 0;
+        const previous = { cwt: Number(targetUser.cwt || 0), cws: Number(targetUser.cws || 0) };
+        const valores = { cwt: parseFloat(cwt) || 0, cws: parseInt(cws) || 0 };
+        const cambios = [];
         
-        if (operation === 'add') {
-            newCWT += parseFloat(cwt) || 0;
-            newCWS += parseInt(cws) || 0;
-        } else if (operation === 'subtract') {
-            newCWT = Math.max(newCWT - (parseFloat(cwt) || 0), 0);
-            newCWS = Math.max(newCWS - (parseInt(cws) || 0), 0);
+        for (const [moneda, columna] of Object.entries(MONEDAS)) {
+            // 'set' llega desde el modal de edición con el saldo final deseado
+            if (operation === 'set' && req.body[columna] === undefined) continue;
+            
+            let delta = valores[columna];
+            if (operation === 'subtract') {
+                delta = -Math.min(valores[columna], previous[columna]);
+            } else if (operation === 'set') {
+                delta = Math.max(valores[columna], 0) - previous[columna];
+            }
+            
+            if (!redondearMonto(moneda, delta)) continue;
+            
+            const cambio = {
+                userId: userId,
+                moneda: moneda,
+                monto: delta,
+                tipo: 'admin_adjustment',
+                actorId: req.user.id,
+                motivo: motivo
+            };
+            
+            // 'set' y 'subtract' se calculan sobre el saldo leído: si otro cambio
+            // entra antes, aplicar_movimientos() rechaza con 409 en vez de pisarlo
+            if (operation !== 'add') cambio.saldoEsperado = previous[columna];
+            
+            cambios.push(cambio);
         }
         
-        const { error: updateError } = await supabase
-            .from('profiles')
-            .update({
-                cwt: newCWT,
-                cws: newCWS
-            })
-            .eq('id', userId);
+        const movimientos = cambios.length ? await registrarMovimientos(cambios) : [];
         
-        if (updateError) throw updateError;
+        const current = { ...previous };
+        movimientos.forEach(m => {
+            current[MONEDAS[m.currency]] = Number(m.balance_after);
+        });
+        
+        if (movimientos.length) {
+            const detalle = movimientos
+                .map(m => `${Number(m.amount) > 0 ? '+' : ''}${Number(m.amount)} ${m.currency}`)
+                .join(', ');
+            
+            await crearNotificacion(userId, {
+                type: 'balance',
+                title: 'Saldo actualizado',
+                message: motivo ? `${detalle}. Motivo: ${motivo}` : detalle
+            });
+        }
+        
+        res.locals.auditoria = {
+            action: 'balance.adjust',
+            targetUserId: userId,
+            before: previous,
+            after: { ...current, operation, reason: motivo, transactions: movimientos.map(m => m.id) }
+        };
+        
+        console.log(`💰 Balance ${targetUser.nickname}: ${movimientos.length} movimiento(s) por ${req.user.id}`);
         
         res.json({
             success: true,
@@ -599,14 +7077,47 @@ app.put('/api/admin/users/:userId/balance', authenticateToken, requireAdmin, asy
                 id: targetUser.id,
                 nickname: targetUser.nickname,
                 balance: {
-                    previous: { cwt: targetUser.cwt || 0, cws: targetUser.cws || 0 },
-                    current: { cwt: newCWT, cws: newCWS }
+                    previous: previous,
+                    current: current
                 }
+            },
+            transactions: movimientos
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error actualizando balance');
+    }
+});
+
+app.get('/api/admin/users/:userId/transactions', authenticateToken, requireAdmin, requirePermiso('users.read'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const from = (page - 1) * limit;
+        
+        const { data: transactions, count, error } = await supabase
+            .from('transactions')
+            .select('*', { count: 'exact' })
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .range(from, from + limit - 1);
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            transactions: transactions || [],
+            pagination: {
+                page: page,
+                limit: limit,
+                total: count || 0,
+                pages: Math.ceil((count || 0) / limit)
             }
         });
         
     } catch (error) {
-        console.error('Error actualizando balance:', error);
+        console.error('Error movimientos admin:', error);
         res.status(500).json({ 
             success: false, 
             message: 'Error interno' 
@@ -614,11 +7125,35 @@ app.put('/api/admin/users/:userId/balance', authenticateToken, requireAdmin, asy
     }
 });
 
-// ========== INICIAR SERVIDOR ==========
-app.listen(PORT, () => {
-    console.log('===========================================');
-    console.log(`🚀 Cromwell Pay en http://localhost:${PORT}`);
-    console.log('✅ RLS: DESHABILITADO (sin bloqueos)');
-    console.log('🔐 Admin: Ersatz / ErsatzCromwell*320()/#');
-    console.log('===========================================');
+app.get('/api/admin/users/:userId/reconcile', authenticateToken, requireAdmin, requirePermiso('balance.adjust'), async (req, res) => {
+    try {
+        const reconciliation = await conciliarSaldo(req.params.userId);
+        
+        res.json({
+            success: true,
+            reconciliation: reconciliation,
+            ok: reconciliation.cwt.ok && reconciliation.cws.ok
+        });
+        
+    } catch (error) {
+        responderError(res, error, 'Error conciliando saldo');
+    }
 });
+
+// ========== INICIAR SERVIDOR ==========
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log('===========================================');
+        console.log(`🚀 Cromwell Pay en http://localhost:${PORT}`);
+        console.log('✅ RLS: DESHABILITADO (sin bloqueos)');
+        console.log(`🛡️ Roles: ${ROLES.join(', ')}`);
+        console.log(`📨 Códigos por: ${canalesDeCodigo().join(', ') || 'ningún canal (configura EMAIL_PROVIDER)'}`);
+        console.log('===========================================');
+        
+        setInterval(procesarDepositosPendientes, config.bsc.checkInterval);
+        setInterval(procesarWebhooksPendientes, config.webhooks.intervaloMs);
+    });
+}
+
+// Para las pruebas (test/)
+module.exports = { app, registrarMovimientos, procesarWebhooksPendientes };
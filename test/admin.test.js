@@ -0,0 +1,127 @@
+// Rutas del panel de administración
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { arrancarServidor } = require('./support/servidor');
+const { codigoTOTP, activarTOTP } = require('./support/totp');
+
+let servidor;
+let admin;
+
+before(async () => {
+    servidor = await arrancarServidor();
+    admin = await servidor.local.crearUsuario({ nickname: 'Jefa', role: 'admin', two_factor_enabled: true });
+});
+
+after(async () => {
+    await servidor?.cerrar();
+});
+
+describe('GET /api/admin/stats', () => {
+    it('agrega totales y series diarias en la base de datos', async () => {
+        const ana = await servidor.local.crearUsuario({ nickname: 'AnaStats' });
+        await servidor.registrarMovimientos([
+            { userId: ana.id, moneda: 'CWT', monto: 2.5, tipo: 'adjustment' },
+            { userId: ana.id, moneda: 'CWS', monto: 300, tipo: 'adjustment' }
+        ]);
+        await servidor.local.db.query(
+            `insert into deposits (user_id, tx_hash, amount_usdt, received_usdt, cwt_amount, status, credited_at)
+             values ($1, '0xabc', 10, 10, 0.2, 'credited', now())`,
+            [ana.id]
+        );
+
+        const inicio = servidor.local.peticiones.length;
+        const respuesta = await servidor.peticion('GET', '/api/admin/stats', { token: admin.token });
+
+        assert.equal(respuesta.status, 200);
+        const { stats } = respuesta.datos;
+        assert.equal(stats.totalUsers, 2);
+        assert.equal(stats.totalCWT, 2.5);
+        assert.equal(stats.totalCWS, 300);
+        assert.equal(stats.signups, 2);
+        assert.equal(stats.deposited.usdt, 10);
+        assert.equal(stats.daily.length, 30);
+        assert.equal(stats.daily.at(-1).signups, 2);
+
+        const lecturasPerfiles = servidor.local.peticiones.slice(inicio)
+            .filter(p => p.ruta === '/rest/v1/profiles' && p.query.includes('cwt'));
+        assert.equal(lecturasPerfiles.length, 0, 'no debe leer los perfiles uno a uno');
+    });
+});
+
+describe('GET /api/admin/users', () => {
+    it('responde 400 con fechas de alta inválidas', async () => {
+        for (const query of ['created_from=ayer', 'created_to=2024-13-45']) {
+            const respuesta = await servidor.peticion('GET', `/api/admin/users?${query}`, { token: admin.token });
+            assert.equal(respuesta.status, 400, query);
+            assert.match(respuesta.datos.message, /fecha válida/);
+        }
+    });
+});
+
+describe('auditoría de /api/admin', () => {
+    async function ultimaAuditoria(route) {
+        // El registro se escribe al terminar la respuesta
+        for (let intento = 0; intento < 20; intento++) {
+            const { rows } = await servidor.local.db.query(
+                'select * from audit_log where actor_id = $1 and route = $2 order by created_at desc limit 1',
+                [admin.id, route]
+            );
+            if (rows.length) return rows[0];
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return null;
+    }
+
+    it('registra también las lecturas', async () => {
+        await servidor.peticion('GET', '/api/admin/stats?from=2026-01-01&to=2026-01-31', { token: admin.token });
+
+        const registro = await ultimaAuditoria('/api/admin/stats?from=2026-01-01&to=2026-01-31');
+        assert.ok(registro, 'la lectura debe quedar registrada');
+        assert.equal(registro.method, 'GET');
+        assert.equal(registro.status_code, 200);
+    });
+
+    it('oculta los campos sensibles del cuerpo', async () => {
+        const ruta = '/api/admin/topups/00000000-0000-0000-0000-000000000000/reject';
+        await servidor.peticion('POST', ruta, {
+            token: admin.token,
+            cuerpo: { reason: 'Captura ilegible', password: 'secreta123', webhook: { secret: 'whsec_x' } }
+        });
+
+        const registro = await ultimaAuditoria(ruta);
+        assert.deepEqual(registro.after, { reason: 'Captura ilegible', password: '[oculto]', webhook: { secret: '[oculto]' } });
+    });
+});
+
+describe('operaciones sobre la propia cuenta', () => {
+    it('soporte no puede aprobar su propia recarga', async () => {
+        const soporte = await servidor.local.crearUsuario({ nickname: 'SoportePropio', role: 'support', two_factor_enabled: true });
+        const { rows: [topup] } = await servidor.local.db.query(
+            "insert into topups (user_id, amount_saldo, sender_phone) values ($1, 500, '+5350000300') returning id",
+            [soporte.id]
+        );
+
+        const respuesta = await servidor.peticion('POST', `/api/admin/topups/${topup.id}/approve`, { token: soporte.token, cuerpo: {} });
+        assert.equal(respuesta.status, 403);
+
+        const { rows: [despues] } = await servidor.local.db.query('select status from topups where id = $1', [topup.id]);
+        assert.equal(despues.status, 'pending');
+        const { rows: [perfil] } = await servidor.local.db.query('select cws from profiles where id = $1', [soporte.id]);
+        assert.equal(perfil.cws, 0);
+    });
+
+    it('finanzas no puede ajustar su propio saldo', async () => {
+        const finanzas = await servidor.local.crearUsuario({ nickname: 'FinanzasPropia', role: 'finance' });
+        await activarTOTP(servidor.local, finanzas);
+
+        const respuesta = await servidor.peticion('PUT', `/api/admin/users/${finanzas.id}/balance`, {
+            token: finanzas.token,
+            cuerpo: { operation: 'add', cws: 1000, reason: 'Bono' },
+            cabeceras: { 'X-2FA-Code': codigoTOTP() }
+        });
+        assert.equal(respuesta.status, 403);
+
+        const { rows: [perfil] } = await servidor.local.db.query('select cws from profiles where id = $1', [finanzas.id]);
+        assert.equal(perfil.cws, 0);
+    });
+});
@@ -0,0 +1,113 @@
+// Códigos de verificación: sin proveedor real no se generan ni se registran, y
+// los intentos de confirmación se cuentan uno a uno aunque lleguen a la vez
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { arrancarServidor } = require('./support/servidor');
+
+let servidor;
+
+before(async () => {
+    // EMAIL_PROVIDER y SMS_PROVIDER por defecto ('console' y 'none') fuera de desarrollo
+    servidor = await arrancarServidor({ NODE_ENV: 'production' });
+});
+
+after(async () => {
+    await servidor?.cerrar();
+});
+
+async function codigosDe(userId) {
+    const { rows } = await servidor.local.db.query('select count(*)::int as total from verification_codes where user_id = $1', [userId]);
+    return rows[0].total;
+}
+
+describe('POST /api/user/verification/request', () => {
+    it('rechaza el teléfono sin pasarela SMS', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'SinSms', phone: '+5355555558' });
+        const respuesta = await servidor.peticion('POST', '/api/user/verification/request', {
+            token: usuario.token,
+            cuerpo: { channel: 'phone' }
+        });
+
+        assert.equal(respuesta.status, 400);
+        assert.match(respuesta.datos.message, /teléfono/);
+        assert.equal(await codigosDe(usuario.id), 0);
+    });
+
+    it('no usa el proveedor de consola fuera de desarrollo', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'SinEmail' });
+        const respuesta = await servidor.peticion('POST', '/api/user/verification/request', {
+            token: usuario.token,
+            cuerpo: { channel: 'email', email: 'sin-email@example.com' }
+        });
+
+        assert.equal(respuesta.status, 400);
+        assert.equal(await codigosDe(usuario.id), 0);
+    });
+
+    it('publica los canales disponibles en /api/status', async () => {
+        const respuesta = await servidor.peticion('GET', '/api/status');
+        assert.deepEqual(respuesta.datos.codeChannels, []);
+    });
+});
+
+describe('POST /api/password/forgot', () => {
+    it('no envía códigos al teléfono sin pasarela SMS', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'SoloTelefono', phone: '+5355555559' });
+        await servidor.local.db.query('update profiles set phone_verified = true, verified = true where id = $1', [usuario.id]);
+
+        const respuesta = await servidor.peticion('POST', '/api/password/forgot', {
+            cuerpo: { nickname: 'SoloTelefono', channel: 'phone' }
+        });
+
+        // Misma respuesta que para una cuenta sin contacto: no revela nada
+        assert.equal(respuesta.status, 200);
+        assert.equal(await codigosDe(usuario.id), 0);
+    });
+});
+
+describe('POST /api/user/verification/confirm', () => {
+    async function codigoPendiente(usuario) {
+        const email = `${usuario.id.slice(0, 8)}@example.com`;
+        await servidor.local.db.query('update profiles set contact_email = $2 where id = $1', [usuario.id, email]);
+        const { rows: [codigo] } = await servidor.local.db.query(
+            `insert into verification_codes (user_id, purpose, channel, destination, code_hash, expires_at)
+             values ($1, 'verify_email', 'email', $2, $3, now() + interval '10 minutes') returning id`,
+            [usuario.id, email, crypto.createHash('sha256').update(`${usuario.id}:123456`).digest('hex')]
+        );
+        return codigo.id;
+    }
+
+    function confirmar(usuario, code) {
+        return servidor.peticion('POST', '/api/user/verification/confirm', {
+            token: usuario.token,
+            cuerpo: { channel: 'email', code }
+        });
+    }
+
+    it('los intentos simultáneos no pasan del máximo', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Simultaneo' });
+        const id = await codigoPendiente(usuario);
+
+        const respuestas = await Promise.all(Array.from({ length: 10 }, (_, i) => confirmar(usuario, `00000${i}`)));
+
+        const incorrectos = respuestas.filter(r => r.datos?.message === 'Código incorrecto');
+        assert.equal(incorrectos.length, 5);
+
+        const { rows: [codigo] } = await servidor.local.db.query('select attempts from verification_codes where id = $1', [id]);
+        assert.equal(codigo.attempts, 5);
+    });
+
+    it('limita las confirmaciones por cuenta', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Confirmador' });
+        const estados = [];
+
+        for (let i = 0; i < 11; i++) {
+            await codigoPendiente(usuario);
+            estados.push((await confirmar(usuario, '000000')).status);
+        }
+
+        assert.ok(estados.slice(0, 10).every(s => s === 400));
+        assert.equal(estados[10], 429);
+    });
+});
@@ -0,0 +1,125 @@
+// Avisos a comercios: firmados con el secreto del comercio y solo a hosts públicos
+// (OUTBOUND_ALLOW_HOSTS deja usar el receptor local de la prueba)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { arrancarServidor } = require('./support/servidor');
+
+const avisos = [];
+let receptor;
+let servidor;
+let admin;
+
+before(async () => {
+    receptor = http.createServer(async (req, res) => {
+        let cuerpo = '';
+        for await (const trozo of req) cuerpo += trozo;
+        avisos.push({ ruta: req.url, cabeceras: req.headers, cuerpo });
+        res.end('ok');
+    });
+    await new Promise(resolve => receptor.listen(0, '127.0.0.1', resolve));
+
+    servidor = await arrancarServidor({ OUTBOUND_ALLOW_HOSTS: '127.0.0.1' });
+    admin = await servidor.local.crearUsuario({ nickname: 'AdminComercios', role: 'admin', two_factor_enabled: true });
+});
+
+after(async () => {
+    await servidor?.cerrar();
+    await new Promise(resolve => receptor.close(resolve));
+});
+
+function crearComercio(name, callbackUrl) {
+    return servidor.peticion('POST', '/api/admin/merchants', {
+        token: admin.token,
+        cuerpo: { name, owner: 'AdminComercios', callbackUrl }
+    });
+}
+
+// El aviso se envía después de responder al pagador
+async function avisoEn(ruta) {
+    for (let intento = 0; intento < 40; intento++) {
+        const aviso = avisos.find(a => a.ruta === ruta);
+        if (aviso) return aviso;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return null;
+}
+
+describe('URL de aviso', () => {
+    it('rechaza destinos que no son https a un host público', async () => {
+        const urls = [
+            'http://tienda.example.com/avisos',
+            'https://169.254.169.254/latest/meta-data',
+            'https://10.0.0.8/avisos',
+            'https://[::1]/avisos',
+            'https://[::ffff:192.168.1.1]/avisos',
+            'https://localhost/avisos'
+        ];
+
+        for (const [i, url] of urls.entries()) {
+            const respuesta = await crearComercio(`Interno ${i}`, url);
+            assert.equal(respuesta.status, 400, url);
+        }
+    });
+
+    it('tampoco se puede cambiar a una dirección interna', async () => {
+        const creado = await crearComercio('Cambiante', null);
+        const respuesta = await servidor.peticion('PUT', `/api/admin/merchants/${creado.datos.merchant.id}`, {
+            token: admin.token,
+            cuerpo: { callbackUrl: 'https://192.168.0.10:8080/admin' }
+        });
+
+        assert.equal(respuesta.status, 400);
+        assert.equal(respuesta.datos.merchant, undefined);
+    });
+});
+
+describe('avisos de pago', () => {
+    it('van firmados con el secreto del comercio', async () => {
+        const ruta = '/avisos/firmados';
+        const creado = await crearComercio('Firmado', `http://127.0.0.1:${receptor.address().port}${ruta}`);
+        assert.equal(creado.status, 200);
+
+        const { id, callback_secret: secreto } = creado.datos.merchant;
+        assert.match(secreto, /^whsec_/);
+
+        const clave = await servidor.peticion('POST', `/api/admin/merchants/${id}/keys`, { token: admin.token, cuerpo: {} });
+        const solicitud = await servidor.peticion('POST', '/api/merchant/payment-requests', {
+            cuerpo: { amount: 50, currency: 'CWS', description: 'Pedido 1' },
+            cabeceras: { 'X-API-Key': clave.datos.key.key }
+        });
+        assert.equal(solicitud.status, 200);
+
+        const cliente = await servidor.local.crearUsuario({ nickname: 'ClienteAviso' });
+        await servidor.registrarMovimientos([{ userId: cliente.id, moneda: 'CWS', monto: 100, tipo: 'adjustment' }]);
+
+        const pago = await servidor.peticion('POST', `/api/payments/${solicitud.datos.payment.id}/pay`, {
+            token: cliente.token,
+            cabeceras: { 'X-Confirm-Password': cliente.password }
+        });
+        assert.equal(pago.status, 200);
+
+        const aviso = await avisoEn(ruta);
+        assert.ok(aviso, 'el comercio debe recibir el aviso');
+        assert.equal(aviso.cabeceras['x-cromwell-event'], 'payment.paid');
+
+        const [, t, v1] = aviso.cabeceras['x-cromwell-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+        const esperada = crypto.createHmac('sha256', secreto).update(`${t}.${aviso.cuerpo}`).digest('hex');
+        assert.equal(v1, esperada);
+        assert.ok(Math.abs(Date.now() / 1000 - Number(t)) < 60);
+        assert.equal(JSON.parse(aviso.cuerpo).payment.status, 'paid');
+    });
+
+    it('el secreto no sale en el listado y se puede rotar', async () => {
+        const creado = await crearComercio('Rotado', null);
+        const { id, callback_secret: anterior } = creado.datos.merchant;
+
+        const listado = await servidor.peticion('GET', '/api/admin/merchants', { token: admin.token });
+        assert.ok(listado.datos.merchants.every(m => m.callback_secret === undefined));
+
+        const rotado = await servidor.peticion('POST', `/api/admin/merchants/${id}/callback-secret`, { token: admin.token });
+        assert.equal(rotado.status, 200);
+        assert.notEqual(rotado.datos.merchant.callback_secret, anterior);
+    });
+});
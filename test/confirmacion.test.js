@@ -0,0 +1,169 @@
+// Confirmación reforzada (step-up) y desafíos 2FA con RATE_LIMIT_STORE=supabase
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { arrancarServidor } = require('./support/servidor');
+const { codigoTOTP, activarTOTP } = require('./support/totp');
+
+let servidor;
+
+before(async () => {
+    servidor = await arrancarServidor({ RATE_LIMIT_STORE: 'supabase' });
+});
+
+after(async () => {
+    await servidor?.cerrar();
+});
+
+function transferir(usuario, cabeceras) {
+    return servidor.peticion('POST', '/api/transfers', { token: usuario.token, cuerpo: {}, cabeceras });
+}
+
+describe('requireStepUp', () => {
+    it('no cambia la sesión del cliente compartido de Supabase', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Compartido' });
+        const inicio = servidor.local.peticiones.length;
+
+        await transferir(usuario, { 'X-Confirm-Password': usuario.password });
+        await transferir(usuario, { 'X-Confirm-Password': usuario.password });
+
+        const rest = servidor.local.peticiones.slice(inicio).filter(p => p.ruta.startsWith('/rest/v1/'));
+        assert.ok(rest.length > 0);
+        assert.ok(rest.every(p => p.autorizacion === 'Bearer clave-de-servicio-local'),
+            'las consultas deben seguir usando la clave de servicio');
+    });
+
+    it('las contraseñas incorrectas bloquean la cuenta como en el login', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Adivinador' });
+
+        for (let i = 0; i < 5; i++) {
+            const respuesta = await transferir(usuario, { 'X-Confirm-Password': `incorrecta${i}` });
+            assert.equal(respuesta.status, 401);
+        }
+
+        const bloqueada = await transferir(usuario, { 'X-Confirm-Password': usuario.password });
+        assert.equal(bloqueada.status, 429);
+
+        const login = await servidor.peticion('POST', '/api/login', {
+            cuerpo: { nickname: 'Adivinador', password: usuario.password }
+        });
+        assert.equal(login.status, 429);
+
+        const { rows } = await servidor.local.db.query("select failures from auth_lockouts where key = 'login:adivinador'");
+        assert.equal(rows[0].failures, 5);
+    });
+
+    it('limita los intentos por cuenta', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Insistente' });
+        const estados = [];
+
+        for (let i = 0; i < 11; i++) {
+            estados.push((await transferir(usuario, { 'X-Confirm-Password': usuario.password })).status);
+        }
+
+        assert.ok(estados.slice(0, 10).every(s => s === 400), 'con contraseña correcta llega a validar la transferencia');
+        assert.equal(estados[10], 429);
+    });
+});
+
+describe('cambio de contraseña', () => {
+    function cambiar(usuario, currentPassword) {
+        return servidor.peticion('POST', '/api/user/password', {
+            token: usuario.token,
+            cuerpo: { currentPassword, newPassword: 'nueva-secreta-456' }
+        });
+    }
+
+    it('comprueba la contraseña actual sin tocar el cliente compartido', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'CambiaClave' });
+        const inicio = servidor.local.peticiones.length;
+
+        assert.equal((await cambiar(usuario, usuario.password)).status, 200);
+
+        const rest = servidor.local.peticiones.slice(inicio).filter(p => p.ruta.startsWith('/rest/v1/'));
+        assert.ok(rest.length > 0);
+        assert.ok(rest.every(p => p.autorizacion === 'Bearer clave-de-servicio-local'));
+    });
+
+    it('las contraseñas actuales incorrectas bloquean la cuenta', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'AdivinaClave' });
+
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await cambiar(usuario, `incorrecta${i}`)).status, 400);
+        }
+
+        assert.equal((await cambiar(usuario, usuario.password)).status, 429);
+
+        const { rows } = await servidor.local.db.query("select failures from auth_lockouts where key = 'login:adivinaclave'");
+        assert.equal(rows[0].failures, 5);
+    });
+
+    it('limita los intentos por cuenta', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'InsisteClave' });
+        const estados = [];
+
+        // Sin newPassword válida no se llega a comprobar la contraseña ni a bloquear
+        for (let i = 0; i < 11; i++) {
+            estados.push((await servidor.peticion('POST', '/api/user/password', {
+                token: usuario.token,
+                cuerpo: { currentPassword: usuario.password, newPassword: 'corta' }
+            })).status);
+        }
+
+        assert.ok(estados.slice(0, 10).every(s => s === 400));
+        assert.equal(estados[10], 429);
+    });
+});
+
+describe('login con 2FA', () => {
+    it('guarda el desafío en el almacén compartido', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'DosPasos' });
+        await activarTOTP(servidor.local, usuario);
+
+        const login = await servidor.peticion('POST', '/api/login', {
+            cuerpo: { nickname: 'DosPasos', password: usuario.password }
+        });
+        assert.equal(login.datos.requires2FA, true);
+
+        const { challenge } = login.datos;
+        const leerDesafio = async () => (await servidor.local.db.query(
+            'select attempts from login_challenges where id = $1', [challenge]
+        )).rows[0];
+
+        assert.equal((await leerDesafio()).attempts, 0);
+
+        const erroneo = await servidor.peticion('POST', '/api/login/2fa', { cuerpo: { challenge, code: '000000' } });
+        assert.equal(erroneo.status, 401);
+        assert.equal((await leerDesafio()).attempts, 1);
+
+        const correcto = await servidor.peticion('POST', '/api/login/2fa', { cuerpo: { challenge, code: codigoTOTP() } });
+        assert.equal(correcto.status, 200);
+        assert.ok(correcto.datos.token);
+        assert.equal(await leerDesafio(), undefined);
+    });
+});
+
+describe('gestión de 2FA', () => {
+    function pedir(usuario, ruta, code) {
+        return servidor.peticion('POST', `/api/user/2fa/${ruta}`, { token: usuario.token, cuerpo: { code } });
+    }
+
+    it('los códigos incorrectos bloquean la cuenta como en el login', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Regenerador' });
+        await activarTOTP(servidor.local, usuario);
+
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await pedir(usuario, 'recovery-codes', `00000${i}`)).status, 400);
+        }
+        for (let i = 3; i < 5; i++) {
+            assert.equal((await pedir(usuario, 'disable', `00000${i}`)).status, 400);
+        }
+
+        assert.equal((await pedir(usuario, 'recovery-codes', codigoTOTP())).status, 429);
+        assert.equal((await pedir(usuario, 'disable', codigoTOTP())).status, 429);
+
+        const { rows } = await servidor.local.db.query("select failures from auth_lockouts where key = 'login:regenerador'");
+        assert.equal(rows[0].failures, 5);
+        const { rows: totp } = await servidor.local.db.query('select enabled from user_totp where user_id = $1', [usuario.id]);
+        assert.equal(totp[0].enabled, true);
+    });
+});
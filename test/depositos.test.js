@@ -0,0 +1,164 @@
+// Verificación de depósitos USDT contra un nodo BSC simulado (BSC_RPC_URL)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { arrancarServidor } = require('./support/servidor');
+
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const CONTRATO = '0x55d398326f99059ff775485246999027b3197955';
+const DEPOSITO = '0x1111111111111111111111111111111111111111';
+const OTRA_WALLET = '0x3333333333333333333333333333333333333333';
+// Las transacciones simuladas están en el bloque 0x64, minado hace una hora
+const FECHA_BLOQUE = Math.floor(Date.now() / 1000) - 3600;
+
+const recibos = new Map();
+let nodo;
+let servidor;
+
+function topicDe(direccion) {
+    return `0x${direccion.slice(2).padStart(64, '0')}`;
+}
+
+// Cada perfil necesita su propia wallet
+function walletNueva() {
+    return `0x${crypto.randomBytes(20).toString('hex')}`;
+}
+
+function logTransferencia(origen, usdt) {
+    return {
+        address: CONTRATO,
+        topics: [TRANSFER_TOPIC, topicDe(origen), topicDe(DEPOSITO)],
+        data: `0x${(BigInt(usdt) * 10n ** 18n).toString(16)}`
+    };
+}
+
+function transaccion(...logs) {
+    const hash = `0x${crypto.randomBytes(32).toString('hex')}`;
+    recibos.set(hash, { status: '0x1', blockNumber: '0x64', logs });
+    return hash;
+}
+
+before(async () => {
+    nodo = http.createServer(async (req, res) => {
+        let cuerpo = '';
+        for await (const trozo of req) cuerpo += trozo;
+        const { id, method, params } = JSON.parse(cuerpo);
+
+        const result = method === 'eth_blockNumber' ? '0xc8' :
+            method === 'eth_getBlockByNumber' ? { number: params[0], timestamp: `0x${FECHA_BLOQUE.toString(16)}` } :
+            recibos.get(params[0]) || null;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+    });
+    await new Promise(resolve => nodo.listen(0, '127.0.0.1', resolve));
+
+    servidor = await arrancarServidor({
+        BSC_RPC_URL: `http://127.0.0.1:${nodo.address().port}`,
+        BSC_DEPOSIT_ADDRESS: DEPOSITO
+    });
+});
+
+after(async () => {
+    await servidor?.cerrar();
+    await new Promise(resolve => nodo.close(resolve));
+});
+
+function depositar(usuario, txHash, amount) {
+    return servidor.peticion('POST', '/api/deposits', { token: usuario.token, cuerpo: { tx_hash: txHash, amount } });
+}
+
+describe('POST /api/deposits', () => {
+    it('exige una wallet registrada en el perfil', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'SinWallet' });
+        const respuesta = await depositar(usuario, transaccion(logTransferencia(walletNueva(), 10)), 10);
+
+        assert.equal(respuesta.status, 400);
+        assert.match(respuesta.datos.message, /wallet/);
+    });
+
+    it('acredita lo enviado desde la wallet del perfil', async () => {
+        const wallet = walletNueva();
+        const usuario = await servidor.local.crearUsuario({ nickname: 'ConWallet', wallet_address: wallet });
+        const respuesta = await depositar(usuario, transaccion(logTransferencia(wallet, 10)), 10);
+
+        assert.equal(respuesta.status, 200);
+        assert.equal(respuesta.datos.deposit.status, 'credited');
+        assert.equal(respuesta.datos.deposit.from_address, wallet);
+    });
+
+    it('rechaza lo enviado desde otra wallet', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'OtraWallet', wallet_address: walletNueva() });
+        const respuesta = await depositar(usuario, transaccion(logTransferencia(OTRA_WALLET, 10)), 10);
+
+        assert.equal(respuesta.datos.deposit.status, 'rejected');
+        assert.match(respuesta.datos.deposit.error, /wallet registrada/);
+    });
+
+    it('rechaza transferencias que mezclan varias wallets de origen', async () => {
+        const wallet = walletNueva();
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Mezcla', wallet_address: wallet });
+        const txHash = transaccion(logTransferencia(wallet, 5), logTransferencia(OTRA_WALLET, 5));
+        const respuesta = await depositar(usuario, txHash, 10);
+
+        assert.equal(respuesta.datos.deposit.status, 'rejected');
+        assert.match(respuesta.datos.deposit.error, /varias wallets/);
+
+        const { rows } = await servidor.local.db.query('select cwt from profiles where id = $1', [usuario.id]);
+        assert.equal(rows[0].cwt, 0);
+    });
+
+    it('rechaza una wallet registrada después de la transacción', async () => {
+        const wallet = walletNueva();
+        const txHash = transaccion(logTransferencia(wallet, 10));
+
+        // Alguien ve la transacción en la red y registra la wallet de origen como suya
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Oportunista' });
+        const perfil = await servidor.peticion('PUT', '/api/user/profile', {
+            token: usuario.token,
+            cuerpo: { nickname: 'Oportunista', phone: '+5350000100', province: 'La Habana', wallet_address: wallet }
+        });
+        assert.equal(perfil.status, 200);
+
+        const respuesta = await depositar(usuario, txHash, 10);
+
+        assert.equal(respuesta.datos.deposit.status, 'rejected');
+        assert.match(respuesta.datos.deposit.error, /después de la transacción/);
+    });
+});
+
+describe('wallet del perfil', () => {
+    function guardarWallet(usuario, nickname, wallet_address) {
+        return servidor.peticion('PUT', '/api/user/profile', {
+            token: usuario.token,
+            cuerpo: { nickname, phone: '+5350000200', province: 'La Habana', wallet_address }
+        });
+    }
+
+    it('no se puede registrar la wallet de otra cuenta', async () => {
+        const wallet = walletNueva();
+        await servidor.local.crearUsuario({ nickname: 'DuenioWallet', wallet_address: wallet });
+        const usuario = await servidor.local.crearUsuario({ nickname: 'CopiaWallet' });
+
+        const respuesta = await guardarWallet(usuario, 'CopiaWallet', wallet.toUpperCase().replace('0X', '0x'));
+        assert.equal(respuesta.status, 409);
+
+        const { rows } = await servidor.local.db.query('select wallet_address from profiles where id = $1', [usuario.id]);
+        assert.equal(rows[0].wallet_address, '');
+    });
+
+    it('la base de datos tampoco admite repetidas', async () => {
+        const wallet = walletNueva();
+        await servidor.local.crearUsuario({ nickname: 'PrimeraWallet', wallet_address: wallet });
+
+        await assert.rejects(
+            servidor.local.crearUsuario({ nickname: 'SegundaWallet', wallet_address: wallet.toUpperCase().replace('0X', '0x') }),
+            { code: '23505' }
+        );
+    });
+
+    it('rechaza direcciones con formato inválido', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'WalletRara' });
+        assert.equal((await guardarWallet(usuario, 'WalletRara', '0x%')).status, 400);
+    });
+});
@@ -0,0 +1,267 @@
+// Concurrencia del ledger (aplicar_movimientos) y del middleware idempotente
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { arrancarServidor } = require('./support/servidor');
+
+let servidor;
+
+// Los niveles por defecto más uno reducido para probar TIER_LIMITS
+const TIER_LIMITS = {
+    basic: { diario: { cwt: 20, cws: 2000 }, mensual: { cwt: 200, cws: 20000 } },
+    verified: { diario: { cwt: 100, cws: 10000 }, mensual: { cwt: 1000, cws: 100000 } },
+    premium: { diario: { cwt: 500, cws: 50000 }, mensual: { cwt: 5000, cws: 500000 } },
+    prueba: { diario: { cwt: 1, cws: 100 }, mensual: { cwt: 5, cws: 500 } }
+};
+
+before(async () => {
+    servidor = await arrancarServidor({ TIER_LIMITS: JSON.stringify(TIER_LIMITS) });
+});
+
+after(async () => {
+    await servidor?.cerrar();
+});
+
+async function saldoYLedger(userId, moneda) {
+    const columna = moneda.toLowerCase();
+    const { rows: [perfil] } = await servidor.local.db.query(`select ${columna} as saldo from profiles where id = $1`, [userId]);
+    const { rows: [ledger] } = await servidor.local.db.query(
+        'select coalesce(sum(amount), 0)::numeric as suma, count(*)::int as movimientos from transactions where user_id = $1 and currency = $2',
+        [userId, moneda]
+    );
+    return { saldo: perfil.saldo, suma: ledger.suma, movimientos: ledger.movimientos };
+}
+
+function canjear(usuario, cantidad, clave) {
+    return servidor.peticion('POST', '/api/redemptions', {
+        token: usuario.token,
+        cuerpo: { currency: 'CWS', amount: cantidad },
+        cabeceras: {
+            'X-Confirm-Password': usuario.password,
+            ...(clave ? { 'Idempotency-Key': clave } : {})
+        }
+    });
+}
+
+describe('aplicar_movimientos', () => {
+    it('no deja el saldo en negativo con débitos simultáneos', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Concurrente' });
+        await servidor.registrarMovimientos([{ userId: usuario.id, moneda: 'CWT', monto: 10, tipo: 'adjustment' }]);
+
+        const resultados = await Promise.allSettled(Array.from({ length: 25 }, () =>
+            servidor.registrarMovimientos([{ userId: usuario.id, moneda: 'CWT', monto: -1, tipo: 'adjustment' }])
+        ));
+
+        const aplicados = resultados.filter(r => r.status === 'fulfilled');
+        const rechazados = resultados.filter(r => r.status === 'rejected');
+
+        assert.equal(aplicados.length, 10);
+        assert.ok(rechazados.every(r => r.reason.status === 400), 'los débitos sin saldo deben fallar con 400');
+
+        const estado = await saldoYLedger(usuario.id, 'CWT');
+        assert.equal(estado.saldo, 0);
+        assert.equal(estado.suma, estado.saldo);
+        assert.equal(estado.movimientos, 11);
+    });
+
+    it('aplica todo o nada en transferencias cruzadas simultáneas', async () => {
+        const ana = await servidor.local.crearUsuario({ nickname: 'AnaCruce' });
+        const luis = await servidor.local.crearUsuario({ nickname: 'LuisCruce' });
+        await servidor.registrarMovimientos([
+            { userId: ana.id, moneda: 'CWS', monto: 500, tipo: 'adjustment' },
+            { userId: luis.id, moneda: 'CWS', monto: 500, tipo: 'adjustment' }
+        ]);
+
+        const transferir = (de, a, monto) => servidor.registrarMovimientos([
+            { userId: de.id, moneda: 'CWS', monto: -monto, tipo: 'transfer_out' },
+            { userId: a.id, moneda: 'CWS', monto: monto, tipo: 'transfer_in' }
+        ]);
+
+        await Promise.allSettled(Array.from({ length: 30 }, (_, i) =>
+            i % 2 ? transferir(ana, luis, 70) : transferir(luis, ana, 45)
+        ));
+
+        const estadoAna = await saldoYLedger(ana.id, 'CWS');
+        const estadoLuis = await saldoYLedger(luis.id, 'CWS');
+
+        assert.equal(estadoAna.suma, estadoAna.saldo);
+        assert.equal(estadoLuis.suma, estadoLuis.saldo);
+        assert.equal(estadoAna.saldo + estadoLuis.saldo, 1000);
+        assert.ok(estadoAna.saldo >= 0 && estadoLuis.saldo >= 0);
+    });
+
+    it('cada canje simultáneo retiene saldo solo si alcanza', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Canjeador', phone: '+5355555555' });
+        await servidor.registrarMovimientos([{ userId: usuario.id, moneda: 'CWS', monto: 500, tipo: 'adjustment' }]);
+
+        const respuestas = await Promise.all(Array.from({ length: 8 }, () => canjear(usuario, 100)));
+
+        assert.equal(respuestas.filter(r => r.status === 200).length, 5);
+        assert.ok(respuestas.filter(r => r.status !== 200).every(r => r.status === 400));
+
+        const estado = await saldoYLedger(usuario.id, 'CWS');
+        assert.equal(estado.saldo, 0);
+        assert.equal(estado.suma, 0);
+
+        const { rows } = await servidor.local.db.query('select count(*)::int as total from redemptions where user_id = $1', [usuario.id]);
+        assert.equal(rows[0].total, 5);
+    });
+});
+
+describe('límites de salida', () => {
+    it('las salidas simultáneas no superan el límite diario', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Limitado' });
+        const destino = await servidor.local.crearUsuario({ nickname: 'DestinoLimite' });
+        await servidor.registrarMovimientos([{ userId: usuario.id, moneda: 'CWS', monto: 5000, tipo: 'adjustment' }]);
+
+        const resultados = await Promise.allSettled(Array.from({ length: 10 }, () => servidor.registrarMovimientos([
+            { userId: usuario.id, moneda: 'CWS', monto: -300, tipo: 'transfer_out', limites: { diario: 1000, mensual: 20000 } },
+            { userId: destino.id, moneda: 'CWS', monto: 300, tipo: 'transfer_in' }
+        ])));
+
+        const rechazados = resultados.filter(r => r.status === 'rejected');
+        assert.equal(resultados.length - rechazados.length, 3);
+        assert.ok(rechazados.every(r => r.reason.status === 400 && /límite diario/.test(r.reason.message)));
+
+        const estado = await saldoYLedger(usuario.id, 'CWS');
+        assert.equal(estado.saldo, 4100);
+    });
+
+    it('dos transferencias confirmadas a la vez no pasan juntas el límite del nivel', async () => {
+        // basic: 2000 CWS al día
+        const ana = await servidor.local.crearUsuario({ nickname: 'AnaLimite' });
+        await servidor.local.crearUsuario({ nickname: 'LuisLimite' });
+        await servidor.registrarMovimientos([{ userId: ana.id, moneda: 'CWS', monto: 5000, tipo: 'adjustment' }]);
+
+        const presupuestos = await Promise.all([1, 2].map(() => servidor.peticion('POST', '/api/transfers/quote', {
+            token: ana.token,
+            cuerpo: { recipient: 'LuisLimite', currency: 'CWS', amount: 1500 }
+        })));
+        assert.ok(presupuestos.every(p => p.status === 200));
+
+        const respuestas = await Promise.all(presupuestos.map(p => servidor.peticion('POST', '/api/transfers', {
+            token: ana.token,
+            cuerpo: { confirmationToken: p.datos.confirmationToken },
+            cabeceras: { 'X-Confirm-Password': ana.password }
+        })));
+
+        assert.deepEqual(respuestas.map(r => r.status).sort(), [200, 400]);
+        assert.equal((await saldoYLedger(ana.id, 'CWS')).saldo, 3500);
+
+        const { rows } = await servidor.local.db.query('select count(*)::int as total from transfers where sender_id = $1', [ana.id]);
+        assert.equal(rows[0].total, 1);
+    });
+    it('los canjes simultáneos tampoco pasan juntos el límite del nivel', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'CanjeLimite', phone: '+5355555558' });
+        await servidor.registrarMovimientos([{ userId: usuario.id, moneda: 'CWS', monto: 5000, tipo: 'adjustment' }]);
+
+        const respuestas = await Promise.all(Array.from({ length: 5 }, () => canjear(usuario, 600)));
+
+        assert.equal(respuestas.filter(r => r.status === 200).length, 3);
+        assert.ok(respuestas.filter(r => r.status !== 200).every(r => /límite diario/.test(r.datos.message)));
+        assert.equal((await saldoYLedger(usuario.id, 'CWS')).saldo, 3200);
+    });
+
+    it('los niveles salen de TIER_LIMITS', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'NivelPrueba', tier: 'prueba' });
+        await servidor.local.crearUsuario({ nickname: 'DestinoPrueba' });
+        await servidor.registrarMovimientos([{ userId: usuario.id, moneda: 'CWS', monto: 1000, tipo: 'adjustment' }]);
+
+        const presupuestar = (amount) => servidor.peticion('POST', '/api/transfers/quote', {
+            token: usuario.token,
+            cuerpo: { recipient: 'DestinoPrueba', currency: 'CWS', amount }
+        });
+
+        assert.equal((await presupuestar(80)).status, 200);
+
+        const rechazado = await presupuestar(150);
+        assert.equal(rechazado.status, 400);
+        assert.match(rechazado.datos.message, /límite diario de 100 CWS/);
+    });
+
+    it('el aviso previo cuenta las mismas salidas que aplicar_movimientos', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'SalidasPrueba', tier: 'prueba' });
+        await servidor.local.crearUsuario({ nickname: 'DestinoSalidas' });
+        await servidor.registrarMovimientos([{ userId: usuario.id, moneda: 'CWS', monto: 1000, tipo: 'adjustment' }]);
+        await servidor.registrarMovimientos([
+            { userId: usuario.id, moneda: 'CWS', monto: -70, tipo: 'payment' },
+            { userId: usuario.id, moneda: 'CWS', monto: -20, tipo: 'fee' }
+        ]);
+
+        const respuesta = await servidor.peticion('POST', '/api/transfers/quote', {
+            token: usuario.token,
+            cuerpo: { recipient: 'DestinoSalidas', currency: 'CWS', amount: 40 }
+        });
+
+        assert.equal(respuesta.status, 400);
+        assert.match(respuesta.datos.message, /hoy llevas 70/);
+    });
+});
+
+describe('Idempotency-Key', () => {
+    it('aplica una sola vez las peticiones simultáneas con la misma clave', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Reintentos', phone: '+5355555556' });
+        await servidor.registrarMovimientos([{ userId: usuario.id, moneda: 'CWS', monto: 1000, tipo: 'adjustment' }]);
+
+        const respuestas = await Promise.all(Array.from({ length: 6 }, () => canjear(usuario, 100, 'canje-1')));
+
+        const originales = respuestas.filter(r => r.status === 200 && !r.cabeceras.get('idempotent-replayed'));
+        assert.equal(originales.length, 1);
+        // El resto, o espera a que termine la original (409) o repite su respuesta
+        assert.ok(respuestas.every(r => r.status === 409 || r.status === 200));
+
+        const repetida = await canjear(usuario, 100, 'canje-1');
+        assert.equal(repetida.status, 200);
+        assert.equal(repetida.cabeceras.get('idempotent-replayed'), 'true');
+        assert.deepEqual(repetida.datos, originales[0].datos);
+
+        const estado = await saldoYLedger(usuario.id, 'CWS');
+        assert.equal(estado.saldo, 900);
+        assert.equal(estado.suma, 900);
+    });
+
+    it('rechaza reutilizar la clave con otra petición', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'OtraPeticion', phone: '+5355555557' });
+        await servidor.registrarMovimientos([{ userId: usuario.id, moneda: 'CWS', monto: 1000, tipo: 'adjustment' }]);
+
+        assert.equal((await canjear(usuario, 100, 'canje-2')).status, 200);
+
+        const distinta = await canjear(usuario, 200, 'canje-2');
+        assert.equal(distinta.status, 422);
+
+        const estado = await saldoYLedger(usuario.id, 'CWS');
+        assert.equal(estado.saldo, 900);
+    });
+});
+
+describe('acceso desde la API de Supabase', () => {
+    // Consulta con el rol de un cliente de la API (anon o authenticated)
+    function comoRol(rol, sql, params) {
+        return servidor.local.db.transaction(async tx => {
+            await tx.query(`set local role ${rol}`);
+            return tx.query(sql, params);
+        });
+    }
+
+    it('los clientes no pueden mover saldo con las funciones del ledger', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'Directo' });
+        const movimientos = JSON.stringify([{ user_id: usuario.id, currency: 'CWS', amount: 1000, type: 'adjustment' }]);
+
+        for (const rol of ['anon', 'authenticated']) {
+            await assert.rejects(comoRol(rol, 'select * from aplicar_movimientos($1)', [movimientos]), { code: '42501' });
+            await assert.rejects(comoRol(rol, "select * from canjear_cupon('X', $1)", [usuario.id]), { code: '42501' });
+        }
+
+        const estado = await saldoYLedger(usuario.id, 'CWS');
+        assert.equal(estado.saldo, 0);
+    });
+
+    it('las tablas con secretos no devuelven filas', async () => {
+        const usuario = await servidor.local.crearUsuario({ nickname: 'ConSecretos' });
+        await servidor.local.db.query("insert into user_totp (user_id, secret, enabled) values ($1, 'JBSWY3DPEHPK3PXP', true)", [usuario.id]);
+
+        for (const tabla of ['user_totp', 'login_challenges', 'merchants', 'merchant_api_keys', 'webhook_endpoints']) {
+            const { rows } = await comoRol('authenticated', `select * from ${tabla}`);
+            assert.equal(rows.length, 0, tabla);
+        }
+    });
+});
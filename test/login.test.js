@@ -0,0 +1,155 @@
+// Login y recuperación con muchos usuarios: el email de auth sale del perfil
+// (una consulta por nickname) y nunca se recorre auth.admin.listUsers
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { arrancarServidor } = require('./support/servidor');
+
+const USUARIOS = 20000;
+
+let servidor;
+
+before(async () => {
+    // Los códigos de recuperación llegan a la Edge Function del Supabase local
+    servidor = await arrancarServidor({ EMAIL_PROVIDER: 'edge' });
+
+    await servidor.local.db.exec(`
+        insert into auth.users (email, password)
+        select 'masivo' || i || '@cromwellpay.local', 'secreta123' from generate_series(1, ${USUARIOS}) i;
+
+        insert into profiles (id, nickname, email, user_id)
+        select id, split_part(email, '@', 1), email, 'CROM-' || left(id::text, 8)
+        from auth.users where email like 'masivo%';
+    `);
+});
+
+after(async () => {
+    await servidor?.cerrar();
+});
+
+// Peticiones al Supabase local hechas durante fn()
+async function registrarPeticiones(fn) {
+    const inicio = servidor.local.peticiones.length;
+    const resultado = await fn();
+    return { resultado, peticiones: servidor.local.peticiones.slice(inicio) };
+}
+
+function listados(peticiones) {
+    return peticiones.filter(p => p.metodo === 'GET' && p.ruta === '/auth/v1/admin/users');
+}
+
+function login(nickname, password = 'secreta123') {
+    return servidor.peticion('POST', '/api/login', { cuerpo: { nickname, password } });
+}
+
+describe(`login con ${USUARIOS} usuarios`, () => {
+    it('resuelve el nickname con el índice de profiles', async () => {
+        const { rows } = await servidor.local.db.query(
+            "explain select * from profiles where nickname = 'masivo19999'"
+        );
+        const plan = rows.map(r => r['QUERY PLAN']).join('\n');
+        assert.match(plan, /Index Scan using profiles_nickname_idx/);
+    });
+
+    it('no lista los usuarios de auth', async () => {
+        const { resultado, peticiones } = await registrarPeticiones(() => login('masivo19999'));
+
+        assert.equal(resultado.status, 200);
+        assert.equal(resultado.datos.user.nickname, 'masivo19999');
+        assert.equal(listados(peticiones).length, 0);
+    });
+
+    it('un perfil antiguo sin email lo obtiene por ID una sola vez', async () => {
+        await servidor.local.db.query("update profiles set email = null where nickname = 'masivo123'");
+
+        const primero = await registrarPeticiones(() => login('masivo123'));
+        assert.equal(primero.resultado.status, 200);
+        assert.equal(listados(primero.peticiones).length, 0);
+        assert.equal(primero.peticiones.filter(p => p.ruta.startsWith('/auth/v1/admin/users/')).length, 1);
+
+        const segundo = await registrarPeticiones(() => login('masivo123'));
+        assert.equal(segundo.resultado.status, 200);
+        assert.equal(segundo.peticiones.filter(p => p.ruta.startsWith('/auth/v1/admin/')).length, 0);
+    });
+
+    it('no cambia la sesión del cliente compartido de Supabase', async () => {
+        const { resultado, peticiones } = await registrarPeticiones(async () => [
+            await login('masivo500'),
+            await login('masivo501')
+        ]);
+
+        assert.deepEqual(resultado.map(r => r.status), [200, 200]);
+        const rest = peticiones.filter(p => p.ruta.startsWith('/rest/v1/'));
+        assert.ok(rest.length > 0);
+        assert.ok(rest.every(p => p.autorizacion === 'Bearer clave-de-servicio-local'),
+            'las consultas deben seguir usando la clave de servicio');
+    });
+
+    it('las credenciales incorrectas tampoco listan usuarios', async () => {
+        const { resultado, peticiones } = await registrarPeticiones(async () => [
+            await login('masivo42', 'incorrecta'),
+            await login('no-existe')
+        ]);
+
+        assert.deepEqual(resultado.map(r => r.status), [401, 401]);
+        assert.equal(listados(peticiones).length, 0);
+    });
+});
+
+describe(`recuperación con ${USUARIOS} usuarios`, () => {
+    it('pide y usa el código sin listar usuarios', async () => {
+        await servidor.local.db.query(
+            `update profiles set contact_email = 'masivo777@example.com', email_verified = true
+             where nickname = 'masivo777'`
+        );
+
+        const { resultado, peticiones } = await registrarPeticiones(async () => {
+            const pedido = await servidor.peticion('POST', '/api/password/forgot', { cuerpo: { nickname: 'masivo777' } });
+
+            const correo = servidor.local.correos.findLast(c => c.to === 'masivo777@example.com');
+            assert.ok(correo, 'el código debe enviarse al email de contacto');
+
+            const cambio = await servidor.peticion('POST', '/api/password/reset', {
+                cuerpo: { nickname: 'masivo777', code: correo.code, password: 'nueva-clave' }
+            });
+            return { pedido, cambio };
+        });
+
+        assert.equal(resultado.pedido.status, 200);
+        assert.equal(resultado.cambio.status, 200);
+        assert.equal(listados(peticiones).length, 0);
+        assert.equal((await login('masivo777', 'nueva-clave')).status, 200);
+    });
+});
+
+// Va al final: agota el límite de login de la IP de las pruebas
+describe('refresco de sesión', () => {
+    function refrescar(refreshToken) {
+        return servidor.peticion('POST', '/api/token/refresh', { cuerpo: { refreshToken } });
+    }
+
+    it('no comparte el límite con el login', async () => {
+        const sesion = await login('masivo900');
+        assert.equal(sesion.status, 200);
+
+        let estado;
+        for (let i = 0; i < 25 && estado !== 429; i++) {
+            // Nicknames distintos: así solo cuenta el límite por IP, no el bloqueo de la cuenta
+            estado = (await login(`no-existe-${i}`)).status;
+        }
+        assert.equal(estado, 429, 'el login de la IP debe quedar limitado');
+
+        const refresco = await refrescar(sesion.datos.refreshToken);
+        assert.equal(refresco.status, 200);
+        assert.ok(refresco.datos.token);
+    });
+
+    it('corta los reintentos con el mismo token', async () => {
+        const estados = [];
+        for (let i = 0; i < 6; i++) {
+            estados.push((await refrescar('token-repetido')).status);
+        }
+
+        assert.ok(estados.slice(0, 5).every(s => s === 401));
+        assert.equal(estados[5], 429);
+    });
+});
@@ -0,0 +1,114 @@
+// Recompensas de referidos: autorreferidos por IP y pago solo a invitados verificados
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { arrancarServidor } = require('./support/servidor');
+
+let servidor;
+let admin;
+
+before(async () => {
+    servidor = await arrancarServidor();
+    admin = await servidor.local.crearUsuario({ nickname: 'AdminReferidos', role: 'admin', two_factor_enabled: true });
+});
+
+after(async () => {
+    await servidor?.cerrar();
+});
+
+// Invitado con su fila en referrals, como la deja /api/register
+async function invitar(referente, nickname, ip, perfil = {}) {
+    const invitado = await servidor.local.crearUsuario({ nickname, ...perfil });
+    await servidor.local.db.query(
+        "insert into referrals (referrer_id, referee_id, code, referee_ip) values ($1, $2, 'CODIGO', $3)",
+        [referente.id, invitado.id, ip]
+    );
+    return invitado;
+}
+
+async function sesionDesde(usuario, ip) {
+    await servidor.local.db.query(
+        'insert into user_sessions (id, user_id, ip) values (gen_random_uuid(), $1, $2)',
+        [usuario.id, ip]
+    );
+}
+
+async function aprobarRecarga(usuario, telefono) {
+    const { rows: [topup] } = await servidor.local.db.query(
+        'insert into topups (user_id, amount_saldo, sender_phone) values ($1, 100, $2) returning id',
+        [usuario.id, telefono]
+    );
+    const respuesta = await servidor.peticion('POST', `/api/admin/topups/${topup.id}/approve`, { token: admin.token, cuerpo: {} });
+    assert.equal(respuesta.status, 200);
+}
+
+async function referido(invitado) {
+    const { rows: [fila] } = await servidor.local.db.query('select * from referrals where referee_id = $1', [invitado.id]);
+    return fila;
+}
+
+async function saldoCws(usuario) {
+    const { rows: [perfil] } = await servidor.local.db.query('select cws from profiles where id = $1', [usuario.id]);
+    return perfil.cws;
+}
+
+async function verificarEmail(usuario) {
+    const email = `${usuario.id.slice(0, 8)}@example.com`;
+    await servidor.local.db.query('update profiles set contact_email = $2 where id = $1', [usuario.id, email]);
+    await servidor.local.db.query(
+        `insert into verification_codes (user_id, purpose, channel, destination, code_hash, expires_at)
+         values ($1, 'verify_email', 'email', $2, $3, now() + interval '10 minutes')`,
+        [usuario.id, email, crypto.createHash('sha256').update(`${usuario.id}:123456`).digest('hex')]
+    );
+    return servidor.peticion('POST', '/api/user/verification/confirm', {
+        token: usuario.token,
+        cuerpo: { channel: 'email', code: '123456' }
+    });
+}
+
+describe('recompensa de referidos', () => {
+    it('se rechaza si el invitado se registró desde una IP de quien invita', async () => {
+        const referente = await servidor.local.crearUsuario({ nickname: 'MismaIp' });
+        await sesionDesde(referente, '203.0.113.7');
+        const invitado = await invitar(referente, 'MismaIpInvitado', '203.0.113.7', { verified: true });
+
+        await aprobarRecarga(invitado, '+5350000001');
+
+        const fila = await referido(invitado);
+        assert.equal(fila.status, 'rejected');
+        assert.match(fila.reject_reason, /misma IP/);
+        assert.equal(await saldoCws(referente), 0);
+    });
+
+    it('espera a que el invitado verifique su contacto para pagar', async () => {
+        const referente = await servidor.local.crearUsuario({ nickname: 'Paciente' });
+        await sesionDesde(referente, '203.0.113.8');
+        const invitado = await invitar(referente, 'PacienteInvitado', '198.51.100.20');
+
+        await aprobarRecarga(invitado, '+5350000002');
+
+        const calificado = await referido(invitado);
+        assert.equal(calificado.status, 'pending');
+        assert.ok(calificado.qualified_at, 'la primera recarga califica la invitación');
+        assert.equal(await saldoCws(referente), 0);
+
+        assert.equal((await verificarEmail(invitado)).status, 200);
+
+        const pagado = await referido(invitado);
+        assert.equal(pagado.status, 'rewarded');
+        assert.equal(pagado.qualified_at.getTime(), calificado.qualified_at.getTime());
+        assert.equal(await saldoCws(referente), 20);
+    });
+
+    it('verificarse sin haber recargado no paga nada', async () => {
+        const referente = await servidor.local.crearUsuario({ nickname: 'SinRecarga' });
+        const invitado = await invitar(referente, 'SinRecargaInvitado', '198.51.100.21');
+
+        assert.equal((await verificarEmail(invitado)).status, 200);
+
+        const fila = await referido(invitado);
+        assert.equal(fila.status, 'pending');
+        assert.equal(fila.qualified_at, null);
+        assert.equal(await saldoCws(referente), 0);
+    });
+});
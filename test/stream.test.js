@@ -0,0 +1,125 @@
+// Eventos en tiempo real: ticket de /api/stream y cierre de streams abiertos
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { arrancarServidor } = require('./support/servidor');
+
+let servidor;
+let admin;
+
+before(async () => {
+    servidor = await arrancarServidor();
+    admin = await servidor.local.crearUsuario({ nickname: 'JefaStream', role: 'admin', two_factor_enabled: true });
+});
+
+after(async () => {
+    await servidor?.cerrar();
+});
+
+// Como authenticateToken, registra la sesión del token en user_sessions
+async function usuarioConSesion(nickname) {
+    const usuario = await servidor.local.crearUsuario({ nickname });
+    const payload = JSON.parse(Buffer.from(usuario.token.split('.')[1], 'base64url').toString('utf8'));
+    await servidor.local.db.query(
+        'insert into user_sessions (id, user_id) values ($1, $2)',
+        [payload.session_id, usuario.id]
+    );
+    return { ...usuario, sessionId: payload.session_id };
+}
+
+function abrir(query) {
+    return fetch(`${servidor.base}/api/stream?${query}`);
+}
+
+async function abrirStream(usuario) {
+    const { status, datos } = await servidor.peticion('POST', '/api/stream/ticket', { token: usuario.token });
+    assert.equal(status, 200);
+
+    const response = await abrir(`ticket=${encodeURIComponent(datos.ticket)}`);
+    assert.equal(response.status, 200);
+
+    const lector = response.body.getReader();
+    const decodificador = new TextDecoder();
+    let texto = '';
+    while (!texto.includes('event: balance')) {
+        const { value, done } = await lector.read();
+        assert.ok(!done, 'el stream se cerró antes del saldo inicial');
+        texto += decodificador.decode(value);
+    }
+    return lector;
+}
+
+// Resuelve true si el servidor termina el stream antes del plazo
+async function terminaEnPlazo(lector, ms = 2000) {
+    const plazo = new Promise(resolve => setTimeout(() => resolve('plazo'), ms));
+    for (;;) {
+        const resultado = await Promise.race([lector.read(), plazo]);
+        if (resultado === 'plazo') {
+            await lector.cancel();
+            return false;
+        }
+        if (resultado.done) return true;
+    }
+}
+
+describe('GET /api/stream', () => {
+    it('no acepta el token de sesión en la URL', async () => {
+        const ana = await usuarioConSesion('AnaStream');
+
+        const response = await abrir(`token=${encodeURIComponent(ana.token)}`);
+        assert.equal(response.status, 401);
+    });
+
+    it('rechaza tickets caducados o firmados para otro uso', async () => {
+        const ana = await usuarioConSesion('AnaTicket');
+        const caducado = jwt.sign({ sub: ana.id, sid: ana.sessionId }, 'secreto-de-pruebas', { expiresIn: -10, audience: 'stream' });
+        const confirmacion = jwt.sign({ sub: ana.id, sid: ana.sessionId }, 'secreto-de-pruebas', { expiresIn: '5m' });
+
+        for (const ticket of [caducado, confirmacion]) {
+            const response = await abrir(`ticket=${encodeURIComponent(ticket)}`);
+            assert.equal(response.status, 401);
+        }
+    });
+
+    it('no abre el stream de una sesión ya cerrada', async () => {
+        const ana = await usuarioConSesion('AnaCerrada');
+        const { datos } = await servidor.peticion('POST', '/api/stream/ticket', { token: ana.token });
+        await servidor.local.db.query('update user_sessions set revoked_at = now() where id = $1', [ana.sessionId]);
+
+        const response = await abrir(`ticket=${encodeURIComponent(datos.ticket)}`);
+        assert.equal(response.status, 401);
+    });
+
+    it('cierra el stream al cerrar su sesión', async () => {
+        const ana = await usuarioConSesion('AnaRevoca');
+        const lector = await abrirStream(ana);
+
+        const respuesta = await servidor.peticion('DELETE', `/api/user/sessions/${ana.sessionId}`, { token: ana.token });
+        assert.equal(respuesta.status, 200);
+
+        assert.ok(await terminaEnPlazo(lector), 'el stream debe cerrarse');
+    });
+
+    it('cierra los streams al congelar la cuenta', async () => {
+        const ana = await usuarioConSesion('AnaCongela');
+        const lector = await abrirStream(ana);
+
+        const respuesta = await servidor.peticion('PUT', `/api/admin/users/${ana.id}/status`, {
+            token: admin.token,
+            cuerpo: { status: 'frozen', reason: 'Revisión de pruebas' }
+        });
+        assert.equal(respuesta.status, 200);
+
+        assert.ok(await terminaEnPlazo(lector), 'el stream debe cerrarse');
+    });
+
+    it('mantiene abiertos los streams de otros usuarios', async () => {
+        const ana = await usuarioConSesion('AnaSigue');
+        const beto = await usuarioConSesion('BetoCierra');
+        const lector = await abrirStream(ana);
+
+        await servidor.peticion('POST', '/api/logout', { token: beto.token });
+
+        assert.equal(await terminaEnPlazo(lector, 300), false);
+    });
+});
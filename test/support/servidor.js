@@ -0,0 +1,57 @@
+// Arranca server.js contra el Supabase local en un puerto libre
+const { crearSupabaseLocal } = require('./supabase-local');
+
+// El runner de Node 20 lee sus informes del stdout del proceso de pruebas y a
+// veces se corrompe si el servidor escribe mucho: los logs van a stderr
+console.log = console.error;
+
+async function arrancarServidor(entorno = {}) {
+    const local = await crearSupabaseLocal();
+
+    Object.assign(process.env, {
+        SUPABASE_URL: local.url,
+        SUPABASE_SERVICE_KEY: 'clave-de-servicio-local',
+        JWT_SECRET: 'secreto-de-pruebas',
+        NODE_ENV: 'test',
+        ...entorno
+    });
+
+    let servidorApp;
+    let http;
+    try {
+        servidorApp = require('../../server');
+        http = await new Promise(resolve => {
+            const s = servidorApp.app.listen(0, '127.0.0.1', () => resolve(s));
+        });
+    } catch (error) {
+        await local.cerrar();
+        throw error;
+    }
+
+    return {
+        ...servidorApp,
+        local: local,
+        base: `http://127.0.0.1:${http.address().port}`,
+
+        async peticion(metodo, ruta, { token, cuerpo, cabeceras = {} } = {}) {
+            const response = await fetch(`${this.base}${ruta}`, {
+                method: metodo,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                    ...cabeceras
+                },
+                body: cuerpo ? JSON.stringify(cuerpo) : undefined
+            });
+            return { status: response.status, cabeceras: response.headers, datos: await response.json().catch(() => null) };
+        },
+
+        async cerrar() {
+            http.closeAllConnections();
+            await new Promise(resolve => http.close(resolve));
+            await local.cerrar();
+        }
+    };
+}
+
+module.exports = { arrancarServidor };
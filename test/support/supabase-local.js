@@ -0,0 +1,570 @@
+// Supabase local para las pruebas: un servidor HTTP con la parte de PostgREST y
+// de GoTrue que usa server.js y la Edge Function de correo (EMAIL_PROVIDER=edge),
+// sobre Postgres en memoria (PGlite) con schema.sql cargado. Las funciones SQL (aplicar_movimientos, canjear_cupon...) son las reales.
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+// Lo que en producción crea Supabase antes de ejecutar schema.sql
+const TABLAS_BASE = `
+create schema if not exists auth;
+
+-- Roles de la API y los permisos que Supabase les da por defecto en public
+create role anon nologin;
+create role authenticated nologin;
+create role service_role nologin bypassrls;
+grant usage on schema public to anon, authenticated, service_role;
+alter default privileges in schema public grant all on tables to anon, authenticated, service_role;
+alter default privileges in schema public grant all on functions to anon, authenticated, service_role;
+
+create table auth.users (
+    id uuid primary key default gen_random_uuid(),
+    email text unique,
+    password text,
+    user_metadata jsonb not null default '{}'
+);
+
+create table profiles (
+    id uuid primary key references auth.users(id) on delete cascade,
+    user_id text,
+    nickname text,
+    role text not null default 'user',
+    cwt numeric(18, 4) not null default 0,
+    cws numeric(18, 4) not null default 0,
+    phone text default '',
+    province text default '',
+    wallet_address text default '',
+    notifications boolean default true,
+    created_at timestamptz not null default now()
+);
+`;
+
+const PARAMETROS_RESERVADOS = ['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'];
+const OPERADORES = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'like', ilike: 'ilike', cs: '@>', cd: '<@' };
+
+function identificador(nombre) {
+    if (!/^[a-z_][a-z0-9_]*$/i.test(nombre)) throw errorRest(400, 'PGRST100', `Identificador no válido: ${nombre}`);
+    return `"${nombre}"`;
+}
+
+function errorRest(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function base64url(datos) {
+    return Buffer.from(JSON.stringify(datos)).toString('base64url');
+}
+
+// Parte una lista "a,b,(c,d)" por las comas de primer nivel, respetando comillas
+function partirLista(texto) {
+    const partes = [];
+    let actual = '';
+    let nivel = 0;
+    let comillas = false;
+
+    for (let i = 0; i < texto.length; i++) {
+        const c = texto[i];
+        if (comillas && c === '\\') {
+            actual += c + texto[++i];
+            continue;
+        }
+        if (c === '"') comillas = !comillas;
+        if (!comillas && c === '(') nivel++;
+        if (!comillas && c === ')') nivel--;
+        if (!comillas && nivel === 0 && c === ',') {
+            partes.push(actual);
+            actual = '';
+            continue;
+        }
+        actual += c;
+    }
+
+    if (actual) partes.push(actual);
+    return partes;
+}
+
+function valorLiteral(valor) {
+    if (valor.startsWith('"') && valor.endsWith('"')) {
+        return valor.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    return valor;
+}
+
+function crearLocal(db) {
+    const columnasCache = new Map();
+
+    async function columnas(tabla) {
+        if (!columnasCache.has(tabla)) {
+            const { rows } = await db.query(
+                `select column_name, data_type from information_schema.columns
+                 where table_schema = 'public' and table_name = $1`,
+                [tabla]
+            );
+            if (!rows.length) throw errorRest(404, '42P01', `relation "public.${tabla}" does not exist`);
+            columnasCache.set(tabla, Object.fromEntries(rows.map(r => [r.column_name, r.data_type])));
+        }
+        return columnasCache.get(tabla);
+    }
+
+    async function clavePrimaria(tabla) {
+        const { rows } = await db.query(
+            `select a.attname from pg_index i
+             join pg_attribute a on a.attrelid = i.indrelid and a.attnum = any(i.indkey)
+             where i.indrelid = $1::regclass and i.indisprimary`,
+            [tabla]
+        );
+        return rows.map(r => r.attname);
+    }
+
+    // Valor JS → parámetro de Postgres según el tipo de la columna
+    function parametro(valor, tipo) {
+        if (valor === null || valor === undefined) return null;
+        if (tipo === 'jsonb' || tipo === 'json') return JSON.stringify(valor);
+        if (tipo === 'ARRAY') {
+            return `{${valor.map(v => `"${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`).join(',')}}`;
+        }
+        if (typeof valor === 'object') return JSON.stringify(valor);
+        return valor;
+    }
+
+    // Filtro "op.valor" de PostgREST sobre una columna → SQL
+    function filtro(columna, expresion, params) {
+        let negado = false;
+        if (expresion.startsWith('not.')) {
+            negado = true;
+            expresion = expresion.slice(4);
+        }
+
+        const punto = expresion.indexOf('.');
+        const op = expresion.slice(0, punto);
+        const valor = expresion.slice(punto + 1);
+        const col = identificador(columna);
+        let sql;
+
+        if (op === 'is') {
+            sql = `${col} is ${{ null: 'null', true: 'true', false: 'false' }[valor]}`;
+        } else if (op === 'in') {
+            const valores = partirLista(valor.replace(/^\(|\)$/g, '')).map(valorLiteral);
+            if (!valores.length) {
+                sql = 'false';
+            } else {
+                sql = `${col} in (${valores.map(v => {
+                    params.push(v);
+                    return `$${params.length}`;
+                }).join(', ')})`;
+            }
+        } else if (OPERADORES[op]) {
+            params.push(op.endsWith('like') ? valorLiteral(valor).replace(/\*/g, '%') : valorLiteral(valor));
+            sql = `${col}${['like', 'ilike'].includes(op) ? '::text' : ''} ${OPERADORES[op]} $${params.length}`;
+        } else {
+            throw errorRest(400, 'PGRST100', `Operador no soportado: ${op}`);
+        }
+
+        return negado ? `not (${sql})` : sql;
+    }
+
+    // or=(a.eq.1,and(b.eq.2,c.lt.3))
+    function logica(union, lista, params) {
+        const condiciones = partirLista(lista.replace(/^\(|\)$/g, '')).map(parte => {
+            const anidada = parte.match(/^(and|or)\((.*)\)$/);
+            if (anidada) return logica(anidada[1], anidada[2], params);
+
+            const punto = parte.indexOf('.');
+            return filtro(parte.slice(0, punto), parte.slice(punto + 1), params);
+        });
+        return `(${condiciones.join(` ${union} `)})`;
+    }
+
+    // Los recursos embebidos con !inner filtran las filas del padre; los filtros
+    // "recurso.columna" se aplican dentro de ese mismo exists
+    function where(searchParams, params, embebidos = {}) {
+        const condiciones = [];
+        const filtrosEmbebidos = {};
+
+        for (const [clave, valor] of searchParams) {
+            if (PARAMETROS_RESERVADOS.includes(clave)) continue;
+            if (clave === 'or' || clave === 'and') {
+                condiciones.push(logica(clave, valor, params));
+            } else if (clave.includes('.')) {
+                const [recurso, columna] = clave.split('.');
+                if (!embebidos[recurso]?.inner) {
+                    throw errorRest(400, 'PGRST100', `Solo se admiten filtros sobre recursos embebidos con !inner: ${clave}`);
+                }
+                (filtrosEmbebidos[recurso] = filtrosEmbebidos[recurso] || []).push(filtro(columna, valor, params));
+            } else {
+                condiciones.push(filtro(clave, valor, params));
+            }
+        }
+
+        for (const [recurso, { tabla, referencia, union, inner }] of Object.entries(embebidos)) {
+            if (!inner) continue;
+            const extra = (filtrosEmbebidos[recurso] || []).map(f => ` and ${f}`).join('');
+            condiciones.push(`exists (select 1 from ${identificador(tabla)} ${referencia} where ${union}${extra})`);
+        }
+
+        return condiciones.length ? ` where ${condiciones.join(' and ')}` : '';
+    }
+
+    // Clave ajena entre dos tablas, en cualquier sentido; pista es el nombre de la
+    // restricción o de la columna (tabla!pista)
+    async function relacion(padre, hija, pista) {
+        const { rows } = await db.query(
+            `select c.conname, c.conrelid::regclass::text as origen, a.attname as columna, af.attname as referida
+             from pg_constraint c
+             join pg_attribute a on a.attrelid = c.conrelid and a.attnum = c.conkey[1]
+             join pg_attribute af on af.attrelid = c.confrelid and af.attnum = c.confkey[1]
+             where c.contype = 'f'
+               and ((c.conrelid = $1::regclass and c.confrelid = $2::regclass)
+                 or (c.conrelid = $2::regclass and c.confrelid = $1::regclass))`,
+            [padre, hija]
+        );
+        const candidatas = rows.filter(r => !pista || r.conname === pista || r.columna === pista);
+        if (candidatas.length !== 1) {
+            throw errorRest(400, 'PGRST201', `No hay una única relación entre ${padre} y ${hija}${pista ? ` (${pista})` : ''}`);
+        }
+        return candidatas[0];
+    }
+
+    // select de PostgREST → columnas SQL. Cada recurso embebido es una subconsulta
+    // json: un objeto si el padre tiene la clave ajena, una lista si la tiene la hija
+    async function listaSelect(tabla, select, referencia, contador = { valor: 0 }) {
+        const columnasSql = [];
+        const embebidos = {};
+
+        for (let c of partirLista(select || '*')) {
+            c = c.trim();
+            if (c === '*') {
+                columnasSql.push(`${referencia}.*`);
+                continue;
+            }
+
+            const embebido = c.match(/^(?:([a-z_][a-z0-9_]*):)?([a-z_][a-z0-9_]*)((?:![a-z0-9_]+)*)\((.*)\)$/i);
+            if (embebido) {
+                const [, alias, hija, modificadores, seleccion] = embebido;
+                const pistas = modificadores.split('!').filter(Boolean);
+                const rel = await relacion(tabla, hija, pistas.find(p => p !== 'inner'));
+                const sub = `e${++contador.valor}`;
+                const aPadre = rel.origen === tabla;
+                const union = aPadre ?
+                    `${sub}.${identificador(rel.referida)} = ${referencia}.${identificador(rel.columna)}` :
+                    `${sub}.${identificador(rel.columna)} = ${referencia}.${identificador(rel.referida)}`;
+
+                const interior = await listaSelect(hija, seleccion, sub, contador);
+                const fila = `select ${interior.sql} from ${identificador(hija)} ${sub} where ${union}`;
+                columnasSql.push(aPadre ?
+                    `(select row_to_json(x) from (${fila}) x) as ${identificador(alias || hija)}` :
+                    `coalesce((select json_agg(row_to_json(x)) from (${fila}) x), '[]') as ${identificador(alias || hija)}`);
+
+                embebidos[alias || hija] = { tabla: hija, referencia: sub, union, inner: pistas.includes('inner') };
+                continue;
+            }
+
+            const [alias, columna] = c.includes(':') ? c.split(':') : [c, c];
+            const sql = `${referencia}.${identificador(columna)}`;
+            columnasSql.push(alias === columna ? sql : `${sql} as ${identificador(alias)}`);
+        }
+
+        return { sql: columnasSql.join(', '), embebidos };
+    }
+
+    function orden(order) {
+        if (!order) return '';
+        return ' order by ' + order.split(',').map(parte => {
+            const [columna, ...modificadores] = parte.split('.');
+            const sentido = modificadores.includes('desc') ? 'desc' : 'asc';
+            const nulos = modificadores.includes('nullsfirst') ? ' nulls first' : modificadores.includes('nullslast') ? ' nulls last' : '';
+            return `${identificador(columna)} ${sentido}${nulos}`;
+        }).join(', ');
+    }
+
+    async function consultarTabla(metodo, tabla, url, cabeceras, cuerpo) {
+        const prefer = cabeceras['prefer'] || '';
+        const tipos = await columnas(tabla);
+        const params = [];
+        const sp = url.searchParams;
+        const nombre = identificador(tabla);
+        const { sql: devolver, embebidos } = await listaSelect(tabla, sp.get('select'), nombre);
+        let sql;
+        let total = null;
+
+        if (metodo === 'GET' || metodo === 'HEAD') {
+            const condicion = where(sp, params, embebidos);
+
+            if (/count=(exact|planned|estimated)/.test(prefer)) {
+                const { rows } = await db.query(`select count(*)::int as total from ${nombre}${condicion}`, params);
+                total = rows[0].total;
+            }
+
+            if (metodo === 'HEAD') return { filas: [], total };
+
+            sql = `select ${devolver} from ${nombre}${condicion}${orden(sp.get('order'))}`;
+            if (sp.get('limit')) sql += ` limit ${parseInt(sp.get('limit'))}`;
+            if (sp.get('offset')) sql += ` offset ${parseInt(sp.get('offset'))}`;
+        } else if (metodo === 'POST') {
+            const filas = Array.isArray(cuerpo) ? cuerpo : [cuerpo];
+            const nombres = [...new Set(filas.flatMap(f => Object.keys(f)))];
+            const valores = filas.map(fila => `(${nombres.map(n => {
+                if (!(n in fila)) return 'default';
+                params.push(parametro(fila[n], tipos[n]));
+                return `$${params.length}`;
+            }).join(', ')})`);
+
+            sql = `insert into ${nombre} (${nombres.map(identificador).join(', ')}) values ${valores.join(', ')}`;
+
+            const resolucion = prefer.match(/resolution=(merge|ignore)-duplicates/);
+            if (resolucion) {
+                const conflicto = sp.get('on_conflict') ? sp.get('on_conflict').split(',') : await clavePrimaria(tabla);
+                const actualizables = nombres.filter(n => !conflicto.includes(n));
+                sql += ` on conflict (${conflicto.map(identificador).join(', ')}) do `;
+                sql += resolucion[1] === 'ignore' || !actualizables.length ?
+                    'nothing' :
+                    `update set ${actualizables.map(n => `${identificador(n)} = excluded.${identificador(n)}`).join(', ')}`;
+            }
+            sql += ` returning ${devolver}`;
+        } else if (metodo === 'PATCH') {
+            const asignaciones = Object.keys(cuerpo).map(n => {
+                params.push(parametro(cuerpo[n], tipos[n]));
+                return `${identificador(n)} = $${params.length}`;
+            });
+            sql = `update ${nombre} set ${asignaciones.join(', ')}${where(sp, params, embebidos)} returning ${devolver}`;
+        } else if (metodo === 'DELETE') {
+            sql = `delete from ${nombre}${where(sp, params, embebidos)} returning ${devolver}`;
+        } else {
+            throw errorRest(405, 'PGRST000', `Método no soportado: ${metodo}`);
+        }
+
+        const { rows } = await db.query(sql, params);
+        return { filas: rows, total };
+    }
+
+    async function llamarFuncion(funcion, args) {
+        const { rows: definicion } = await db.query(
+            `select p.proretset, t.typtype from pg_proc p join pg_type t on t.oid = p.prorettype where p.proname = $1`,
+            [funcion]
+        );
+        if (!definicion.length) throw errorRest(404, 'PGRST202', `Función no encontrada: ${funcion}`);
+
+        const params = [];
+        const argumentos = Object.entries(args || {}).map(([nombre, valor]) => {
+            params.push(valor !== null && typeof valor === 'object' ? JSON.stringify(valor) : valor);
+            return `${identificador(nombre)} => $${params.length}`;
+        });
+
+        const { rows } = await db.query(`select * from ${identificador(funcion)}(${argumentos.join(', ')})`, params);
+        const { proretset, typtype } = definicion[0];
+
+        if (proretset) return rows;
+        if (typtype === 'c') return rows[0] || null;
+        return rows[0] ? Object.values(rows[0])[0] : null;
+    }
+
+    return { consultarTabla, llamarFuncion };
+}
+
+async function crearSupabaseLocal() {
+    const db = new PGlite({
+        // PostgREST devuelve numeric y bigint como números JSON
+        parsers: { 1700: Number, 20: Number }
+    });
+
+    await db.exec(TABLAS_BASE);
+    await db.exec(fs.readFileSync(path.join(__dirname, '..', '..', 'schema.sql'), 'utf8'));
+
+    const local = crearLocal(db);
+    const sesiones = new Map();   // access_token → { userId, sessionId }
+    const refrescos = new Map();  // refresh_token → userId
+    const peticiones = [];
+    const correos = [];   // lo que recibe send-verification-email, en orden
+
+    async function usuarioAuth(id) {
+        const { rows } = await db.query('select id, email, user_metadata from auth.users where id = $1', [id]);
+        return rows[0] ? { ...rows[0], aud: 'authenticated', role: 'authenticated' } : null;
+    }
+
+    async function crearSesion(userId) {
+        const sessionId = crypto.randomUUID();
+        const expira = Math.floor(Date.now() / 1000) + 3600;
+        const token = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({ sub: userId, session_id: sessionId, exp: expira })}.firma`;
+        const refresh = crypto.randomBytes(16).toString('hex');
+
+        sesiones.set(token, { userId, sessionId });
+        refrescos.set(refresh, userId);
+
+        return {
+            access_token: token,
+            token_type: 'bearer',
+            expires_in: 3600,
+            expires_at: expira,
+            refresh_token: refresh,
+            user: await usuarioAuth(userId)
+        };
+    }
+
+    async function manejarAuth(req, url, cuerpo) {
+        const ruta = url.pathname.replace('/auth/v1', '');
+        const token = (req.headers['authorization'] || '').split(' ')[1];
+
+        if (req.method === 'GET' && ruta === '/user') {
+            const sesion = sesiones.get(token);
+            if (!sesion) return [401, { code: 401, msg: 'invalid JWT' }];
+            return [200, await usuarioAuth(sesion.userId)];
+        }
+
+        if (req.method === 'POST' && ruta === '/token') {
+            if (url.searchParams.get('grant_type') === 'password') {
+                const { rows } = await db.query(
+                    'select id from auth.users where email = $1 and password = $2',
+                    [cuerpo.email, cuerpo.password]
+                );
+                if (!rows.length) return [400, { error: 'invalid_grant', error_description: 'Invalid login credentials' }];
+                return [200, await crearSesion(rows[0].id)];
+            }
+
+            const userId = refrescos.get(cuerpo.refresh_token);
+            if (!userId) return [400, { error: 'invalid_grant', error_description: 'Invalid Refresh Token' }];
+            refrescos.delete(cuerpo.refresh_token);
+            return [200, await crearSesion(userId)];
+        }
+
+        if (req.method === 'POST' && ruta === '/logout') return [204, null];
+
+        if (ruta === '/admin/users' && req.method === 'GET') {
+            const { rows } = await db.query('select id, email, user_metadata from auth.users order by id');
+            return [200, { users: rows, aud: 'authenticated' }];
+        }
+
+        if (ruta === '/admin/users' && req.method === 'POST') {
+            const { rows } = await db.query(
+                'insert into auth.users (email, password, user_metadata) values ($1, $2, $3) returning id',
+                [cuerpo.email, cuerpo.password, JSON.stringify(cuerpo.user_metadata || {})]
+            );
+            return [200, await usuarioAuth(rows[0].id)];
+        }
+
+        const porId = ruta.match(/^\/admin\/users\/([0-9a-f-]+)$/);
+        if (porId && req.method === 'GET') {
+            const usuario = await usuarioAuth(porId[1]);
+            return usuario ? [200, usuario] : [404, { code: 404, msg: 'User not found' }];
+        }
+
+        if (porId && req.method === 'PUT') {
+            await db.query(
+                'update auth.users set password = coalesce($2, password), email = coalesce($3, email) where id = $1',
+                [porId[1], cuerpo.password || null, cuerpo.email || null]
+            );
+            const usuario = await usuarioAuth(porId[1]);
+            return usuario ? [200, usuario] : [404, { code: 404, msg: 'User not found' }];
+        }
+
+        return [404, { code: 404, msg: `Ruta de auth no soportada: ${req.method} ${ruta}` }];
+    }
+
+    // Edge Function send-verification-email: guarda el correo en vez de enviarlo
+    function manejarFuncion(req, url, cuerpo) {
+        if (req.method === 'POST' && url.pathname === '/functions/v1/send-verification-email') {
+            correos.push({ to: cuerpo.to, code: cuerpo.code });
+            return [200, { success: true }];
+        }
+        return [404, { error: `Función no soportada: ${url.pathname}` }];
+    }
+
+    async function manejarRest(req, res, url, cuerpo) {
+        const partes = url.pathname.replace('/rest/v1/', '').split('/');
+        const aceptaObjeto = (req.headers['accept'] || '').includes('vnd.pgrst.object+json');
+
+        if (partes[0] === 'rpc') {
+            const datos = await local.llamarFuncion(partes[1], cuerpo);
+            return [200, datos];
+        }
+
+        const { filas, total } = await local.consultarTabla(req.method, partes[0], url, req.headers, cuerpo);
+
+        if (total !== null) res.setHeader('Content-Range', `${filas.length ? `0-${filas.length - 1}` : '*'}/${total}`);
+        if (req.method === 'HEAD') return [200, null];
+
+        const representacion = req.method === 'GET' || (req.headers['prefer'] || '').includes('return=representation');
+        if (!representacion) return [req.method === 'POST' ? 201 : 204, null];
+
+        if (aceptaObjeto) {
+            if (filas.length !== 1) {
+                return [406, {
+                    code: 'PGRST116',
+                    details: `The result contains ${filas.length} rows`,
+                    hint: null,
+                    message: 'JSON object requested, multiple (or no) rows returned'
+                }];
+            }
+            return [200, filas[0]];
+        }
+
+        return [200, filas];
+    }
+
+    const servidor = http.createServer(async (req, res) => {
+        const trozos = [];
+        for await (const trozo of req) trozos.push(trozo);
+        const texto = Buffer.concat(trozos).toString('utf8');
+        const url = new URL(req.url, 'http://localhost');
+
+        peticiones.push({ metodo: req.method, ruta: url.pathname, query: url.search, autorizacion: req.headers['authorization'] || null });
+
+        let status;
+        let datos;
+        try {
+            const cuerpo = texto ? JSON.parse(texto) : null;
+            [status, datos] = url.pathname.startsWith('/auth/v1') ? await manejarAuth(req, url, cuerpo) :
+                url.pathname.startsWith('/functions/v1') ? manejarFuncion(req, url, cuerpo) :
+                await manejarRest(req, res, url, cuerpo);
+        } catch (error) {
+            // Mismo formato de error que PostgREST: code es el SQLSTATE
+            status = error.status || (['23505', '23503'].includes(error.code) ? 409 : 400);
+            datos = { code: error.code || 'PGRST000', message: error.message, details: error.detail || null, hint: error.hint || null };
+        }
+
+        res.statusCode = status;
+        if (datos === null || datos === undefined) return res.end();
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(datos));
+    });
+
+    await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${servidor.address().port}`,
+        db: db,
+        peticiones: peticiones,
+        correos: correos,
+
+        // Crea el usuario de auth y su perfil; devuelve también un token de sesión
+        async crearUsuario({ nickname, password = 'secreta123', ...perfil }) {
+            const email = `${nickname.toLowerCase()}@cromwellpay.local`;
+            const { rows } = await db.query(
+                'insert into auth.users (email, password, user_metadata) values ($1, $2, $3) returning id',
+                [email, password, JSON.stringify({ nickname })]
+            );
+            const id = rows[0].id;
+            const datos = { id, nickname, email, user_id: `CROM-${id.slice(0, 6).toUpperCase()}`, ...perfil };
+            const nombres = Object.keys(datos);
+
+            await db.query(
+                `insert into profiles (${nombres.map(identificador).join(', ')}) values (${nombres.map((n, i) => `$${i + 1}`).join(', ')})`,
+                nombres.map(n => datos[n])
+            );
+
+            const sesion = await crearSesion(id);
+            return { id, email, password, token: sesion.access_token };
+        },
+
+        async cerrar() {
+            await new Promise(resolve => servidor.close(resolve));
+            await db.close();
+        }
+    };
+}
+
+module.exports = { crearSupabaseLocal };
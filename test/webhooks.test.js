@@ -0,0 +1,141 @@
+// Webhooks salientes contra un receptor local: firma, reintentos con espera
+// exponencial, reenvío y destinos internos (OUTBOUND_ALLOW_HOSTS=127.0.0.1)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { arrancarServidor } = require('./support/servidor');
+
+const recibidos = [];
+const estados = [];   // códigos que devuelve el receptor, en orden; después 200
+let receptor;
+let servidor;
+let admin;
+
+before(async () => {
+    receptor = http.createServer(async (req, res) => {
+        let cuerpo = '';
+        for await (const trozo of req) cuerpo += trozo;
+        recibidos.push({ cabeceras: req.headers, cuerpo });
+        res.statusCode = estados.shift() || 200;
+        res.end();
+    });
+    await new Promise(resolve => receptor.listen(0, '127.0.0.1', resolve));
+
+    servidor = await arrancarServidor({ OUTBOUND_ALLOW_HOSTS: '127.0.0.1' });
+    admin = await servidor.local.crearUsuario({ nickname: 'AdminWebhooks', role: 'admin', two_factor_enabled: true });
+});
+
+after(async () => {
+    await servidor?.cerrar();
+    await new Promise(resolve => receptor.close(resolve));
+});
+
+async function crearWebhook(url) {
+    return servidor.peticion('POST', '/api/admin/webhooks', {
+        token: admin.token,
+        cuerpo: { url, events: ['payment.paid'] }
+    });
+}
+
+function probar(webhookId) {
+    return servidor.peticion('POST', `/api/admin/webhooks/${webhookId}/test`, { token: admin.token });
+}
+
+function firmaValida(recibido, secreto) {
+    const [, t, v1] = recibido.cabeceras['x-cromwell-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    return v1 === crypto.createHmac('sha256', secreto).update(`${t}.${recibido.cuerpo}`).digest('hex');
+}
+
+function esperaEnSegundos(entrega) {
+    return Math.round((new Date(entrega.next_attempt_at) - new Date(entrega.last_attempt_at)) / 1000);
+}
+
+describe('entrega de webhooks', () => {
+    let webhook;
+
+    before(async () => {
+        const creado = await crearWebhook(`http://127.0.0.1:${receptor.address().port}/hooks`);
+        assert.equal(creado.status, 200);
+        webhook = creado.datos.webhook;
+    });
+
+    it('firma el cuerpo con el secreto del endpoint', async () => {
+        const inicio = recibidos.length;
+        const respuesta = await probar(webhook.id);
+
+        assert.equal(respuesta.datos.delivery.status, 'delivered');
+
+        const [recibido] = recibidos.slice(inicio);
+        assert.equal(recibido.cabeceras['x-cromwell-event'], 'webhook.test');
+        assert.equal(recibido.cabeceras['x-cromwell-delivery'], respuesta.datos.delivery.id);
+        assert.ok(firmaValida(recibido, webhook.secret));
+        assert.ok(!firmaValida(recibido, 'whsec_otro'));
+    });
+
+    it('reintenta con espera exponencial y el reenvío manual la entrega', async () => {
+        const inicio = recibidos.length;
+        estados.push(500, 503);
+
+        const primero = (await probar(webhook.id)).datos.delivery;
+        assert.equal(primero.status, 'pending');
+        assert.equal(primero.attempts, 1);
+        assert.equal(primero.last_status_code, 500);
+        assert.equal(esperaEnSegundos(primero), 30);
+
+        // Adelantar el reintento programado y pasar el proceso periódico
+        await servidor.local.db.query(
+            "update webhook_deliveries set next_attempt_at = now() - interval '1 second' where id = $1",
+            [primero.id]
+        );
+        await servidor.procesarWebhooksPendientes();
+
+        const { rows: [segundo] } = await servidor.local.db.query('select * from webhook_deliveries where id = $1', [primero.id]);
+        assert.equal(segundo.status, 'pending');
+        assert.equal(segundo.attempts, 2);
+        assert.equal(segundo.last_status_code, 503);
+        assert.equal(esperaEnSegundos(segundo), 60);
+
+        const reenvio = await servidor.peticion('POST', `/api/admin/webhook-deliveries/${primero.id}/resend`, { token: admin.token });
+        assert.equal(reenvio.datos.delivery.status, 'delivered');
+        assert.equal(reenvio.datos.delivery.attempts, 1);
+
+        // Los tres intentos llevan el mismo evento, cada uno con su firma
+        const intentos = recibidos.slice(inicio);
+        assert.equal(intentos.length, 3);
+        assert.ok(intentos.every(r => r.cabeceras['x-cromwell-delivery'] === primero.id));
+        assert.ok(intentos.every(r => r.cuerpo === intentos[0].cuerpo));
+        assert.ok(intentos.every(r => firmaValida(r, webhook.secret)));
+    });
+});
+
+describe('destinos de webhooks', () => {
+    it('rechaza guardar URLs que no son https a un host público', async () => {
+        for (const url of ['http://receptor.example.com/hooks', 'https://169.254.169.254/', 'https://[fd00::1]/hooks']) {
+            assert.equal((await crearWebhook(url)).status, 400, url);
+        }
+
+        const creado = await crearWebhook(`http://127.0.0.1:${receptor.address().port}/otro`);
+        const cambio = await servidor.peticion('PUT', `/api/admin/webhooks/${creado.datos.webhook.id}`, {
+            token: admin.token,
+            cuerpo: { url: 'https://172.16.0.1/hooks' }
+        });
+        assert.equal(cambio.status, 400);
+    });
+
+    it('no entrega a una URL interna guardada antes de la validación', async () => {
+        const creado = await crearWebhook(`http://127.0.0.1:${receptor.address().port}/antiguo`);
+        await servidor.local.db.query(
+            "update webhook_endpoints set url = 'http://10.0.0.5/interno' where id = $1",
+            [creado.datos.webhook.id]
+        );
+
+        const inicio = recibidos.length;
+        const { delivery } = (await probar(creado.datos.webhook.id)).datos;
+
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.last_status_code, null);
+        assert.match(delivery.last_error, /https/);
+        assert.equal(recibidos.length, inicio);
+    });
+});